@@ -0,0 +1,39 @@
+'use strict';
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Reads the admin secret from the Authorization header (Bearer scheme) or
+// from X-Admin-Secret
+const presentedSecret = (req) => {
+  const authorization = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  return match ? match[1].trim() : (req.get('X-Admin-Secret') || '');
+};
+
+// Compares digests so the comparison takes the same time for any input
+const secretsMatch = (presented, secret) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(secret));
+};
+
+// Whether the request carries the ADMIN_SECRET configured in the environment
+const isAdmin = (req) => {
+  const secret = process.env.ADMIN_SECRET;
+  return Boolean(secret) && secretsMatch(presentedSecret(req), secret);
+};
+
+// Middleware for moderator-only routes
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_SECRET) {
+    return sendError(res, 503, 'Moderation is not configured');
+  }
+
+  if (!isAdmin(req)) {
+    return sendError(res, 401, 'Admin secret required');
+  }
+
+  next();
+};
+
+module.exports = { secretsMatch, isAdmin, requireAdmin };
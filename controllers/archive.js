@@ -0,0 +1,67 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { isHeld } = require('./filters');
+const { logError } = require('./logging');
+
+// Seconds an archived thread is kept before the sweeper removes it, unless
+// ARCHIVE_TTL says otherwise
+const DEFAULT_ARCHIVE_TTL = 7 * 24 * 60 * 60;
+const SWEEP_INTERVAL = 60 * 1000;
+
+const archiveTtl = () => {
+  const seconds = parseInt(process.env.ARCHIVE_TTL, 10);
+  return seconds >= 1 ? seconds : DEFAULT_ARCHIVE_TTL;
+};
+
+// Archived threads stay readable but take no more replies, reports, edits or
+// deletes
+const isArchived = (thread) => Boolean(thread.archived_on);
+
+const listLiveThreads = (board) =>
+  threadStorage.listThreads(board).filter(thread => !isArchived(thread));
+
+const listArchivedThreads = (board) =>
+  threadStorage.listThreads(board).filter(isArchived);
+
+// Moves the least recently bumped threads of a board into the archive until
+// it is back within max_threads. Sticky threads count toward the cap but are
+// never archived; threads a filter holds do neither until released, so held
+// spam cannot push real threads out. Returns the threads that were archived.
+const archiveOverflow = (board) => {
+  const live = listLiveThreads(board.name).filter(thread => !isHeld(thread));
+  const overflow = live.length - board.max_threads;
+
+  return live
+    .filter(thread => !thread.sticky)
+    .sort((a, b) => a.bumped_on - b.bumped_on || a.thread_id - b.thread_id)
+    .slice(0, Math.max(0, overflow))
+    .map(thread => threadStorage.updateThread(board.name, thread.thread_id, { archived_on: new Date() }));
+};
+
+// Deletes archived threads older than the TTL. Returns how many went.
+const sweepArchive = (now = Date.now()) => {
+  const cutoff = now - archiveTtl() * 1000;
+  const expired = threadStorage.listThreads()
+    .filter(thread => isArchived(thread) && thread.archived_on <= cutoff);
+
+  expired.forEach(thread => threadStorage.deleteThread(thread.board, thread.thread_id));
+  return expired.length;
+};
+
+const sweeper = setInterval(() => {
+  try {
+    sweepArchive();
+  } catch (error) {
+    logError('Error sweeping archive', error);
+  }
+}, SWEEP_INTERVAL);
+sweeper.unref();
+
+module.exports = {
+  isArchived,
+  listLiveThreads,
+  listArchivedThreads,
+  archiveOverflow,
+  sweepArchive
+};
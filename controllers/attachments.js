@@ -0,0 +1,390 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { threadStorage } = require('../storage');
+const { sendError } = require('./errors');
+const { logError } = require('./logging');
+
+// Defaults for the ATTACHMENT_* settings, read on every request so they can
+// change without a restart
+const DEFAULT_DIR = './uploads';
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 4;
+
+// Unreferenced files younger than this are left alone by the collector, so
+// it never races an upload that is still being posted
+const GC_GRACE_PERIOD = 10 * 60 * 1000;
+const GC_INTERVAL = 10 * 60 * 1000;
+
+const MAX_NAME_LENGTH = 100;
+
+// Stored files are named <sha256>.<ext>
+const FILE_PATTERN = /^[0-9a-f]{64}\.[a-z]+$/;
+
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// Text is anything that is valid UTF-8 without NUL bytes
+const isPlainText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Accepted types, recognised by their leading bytes; the client's filename
+// and content type are never trusted. Only images are shown inline.
+const FILE_TYPES = [
+  {
+    type: 'image/png',
+    ext: 'png',
+    inline: true,
+    matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  {
+    type: 'image/jpeg',
+    ext: 'jpg',
+    inline: true,
+    matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff])
+  },
+  {
+    type: 'image/gif',
+    ext: 'gif',
+    inline: true,
+    matches: buffer => /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))
+  },
+  {
+    type: 'image/webp',
+    ext: 'webp',
+    inline: true,
+    matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    type: 'application/pdf',
+    ext: 'pdf',
+    inline: false,
+    matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-'
+  },
+  {
+    type: 'text/plain',
+    ext: 'txt',
+    inline: false,
+    matches: isPlainText
+  }
+];
+
+const readPositiveInteger = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return number >= 1 ? number : fallback;
+};
+
+const attachmentDir = () => path.resolve(process.env.ATTACHMENT_DIR || DEFAULT_DIR);
+const maxFileSize = () => readPositiveInteger(process.env.ATTACHMENT_MAX_SIZE, DEFAULT_MAX_SIZE);
+const maxFiles = () => readPositiveInteger(process.env.ATTACHMENT_MAX_FILES, DEFAULT_MAX_FILES);
+
+const sniffType = (buffer) => FILE_TYPES.find(fileType => fileType.matches(buffer)) || null;
+
+// The file type a stored file name stands for
+const typeOfFile = (file) => {
+  const ext = path.extname(file).slice(1);
+  return FILE_TYPES.find(fileType => fileType.ext === ext) || null;
+};
+
+// Original names are only shown, never used on disk
+const cleanName = (name) =>
+  path.basename(String(name || 'file'))
+    .replace(/[^\w.\- ]/g, '_')
+    .slice(0, MAX_NAME_LENGTH);
+
+// Which posts reference which stored files. Kept in step with every storage
+// change so that deleting a post, by whatever route, frees its files as soon
+// as nothing else points at them.
+function createAttachmentIndex(storage) {
+  const refs = new Map(); // file -> Set of post keys
+  const postFiles = new Map(); // post key -> files
+  const threadPosts = new Map(); // thread_id -> Set of post keys
+
+  // Files written for requests that have not committed their post yet
+  const pending = new Map(); // file -> count
+
+  const isReferenced = (file) => refs.has(file) || pending.has(file);
+
+  function removeIfUnused(file) {
+    if (isReferenced(file)) return;
+    fs.rmSync(path.join(attachmentDir(), file), { force: true });
+  }
+
+  function unindex(key) {
+    (postFiles.get(key) || []).forEach(file => {
+      const keys = refs.get(file);
+      keys.delete(key);
+      if (keys.size === 0) refs.delete(file);
+    });
+    postFiles.delete(key);
+  }
+
+  // Re-reads a post's attachments; returns the files it stopped referencing
+  function indexPost(key, threadId, post) {
+    const before = postFiles.get(key) || [];
+    unindex(key);
+
+    const files = (post.attachments || []).map(attachment => attachment.file);
+    files.forEach(file => {
+      if (!refs.has(file)) refs.set(file, new Set());
+      refs.get(file).add(key);
+    });
+    postFiles.set(key, files);
+
+    if (!threadPosts.has(threadId)) threadPosts.set(threadId, new Set());
+    threadPosts.get(threadId).add(key);
+
+    return before.filter(file => !files.includes(file));
+  }
+
+  function removePost(key, threadId) {
+    const files = postFiles.get(key) || [];
+    unindex(key);
+    if (threadPosts.has(threadId)) threadPosts.get(threadId).delete(key);
+    return files;
+  }
+
+  function indexThread(thread) {
+    indexPost(`thread:${thread.thread_id}`, thread.thread_id, thread);
+    thread.replies.forEach(reply => indexPost(`reply:${reply.reply_id}`, thread.thread_id, reply));
+  }
+
+  function clear() {
+    refs.clear();
+    postFiles.clear();
+    threadPosts.clear();
+  }
+
+  function rebuild(source) {
+    clear();
+    source.listThreads().forEach(indexThread);
+  }
+
+  // Keeps the index in step with one committed storage mutation and deletes
+  // the files that lost their last reference
+  function applyChange(op) {
+    let released = [];
+
+    switch (op.type) {
+      case 'thread:create':
+        indexThread(op.thread);
+        break;
+
+      case 'thread:update':
+        if (op.changes.attachments !== undefined) {
+          released = indexPost(`thread:${op.thread_id}`, op.thread_id, op.changes);
+        }
+        break;
+
+      case 'thread:delete':
+        Array.from(threadPosts.get(op.thread_id) || []).forEach(key => {
+          released = released.concat(removePost(key, op.thread_id));
+        });
+        threadPosts.delete(op.thread_id);
+        break;
+
+      case 'reply:create':
+        indexPost(`reply:${op.reply.reply_id}`, op.thread_id, op.reply);
+        break;
+
+      case 'reply:update':
+        if (op.changes.attachments !== undefined) {
+          released = indexPost(`reply:${op.reply_id}`, op.thread_id, op.changes);
+        }
+        break;
+
+      case 'reply:delete':
+        released = removePost(`reply:${op.reply_id}`, op.thread_id);
+        break;
+
+      case 'reset':
+        released = Array.from(refs.keys());
+        clear();
+        break;
+    }
+
+    released.forEach(removeIfUnused);
+  }
+
+  function hold(file) {
+    pending.set(file, (pending.get(file) || 0) + 1);
+  }
+
+  function release(file) {
+    const count = (pending.get(file) || 0) - 1;
+    if (count > 0) {
+      pending.set(file, count);
+    } else {
+      pending.delete(file);
+    }
+    removeIfUnused(file);
+  }
+
+  // Deletes stored files no post references that are older than the grace
+  // period, along with leftovers of interrupted writes. Returns how many went.
+  function collectGarbage(now = Date.now()) {
+    const dir = attachmentDir();
+    if (!fs.existsSync(dir)) return 0;
+
+    let removed = 0;
+    fs.readdirSync(dir).forEach(entry => {
+      const stored = FILE_PATTERN.test(entry);
+      if (!stored && !entry.endsWith('.tmp')) return;
+      if (stored && isReferenced(entry)) return;
+
+      const target = path.join(dir, entry);
+      if (now - fs.statSync(target).mtimeMs < GC_GRACE_PERIOD) return;
+
+      fs.rmSync(target, { force: true });
+      removed += 1;
+    });
+    return removed;
+  }
+
+  storage.on('use', rebuild);
+  storage.on('change', applyChange);
+
+  return {
+    isReferenced,
+    hold,
+    release,
+    collectGarbage,
+    size: () => refs.size
+  };
+}
+
+const attachmentIndex = createAttachmentIndex(threadStorage);
+
+const collector = setInterval(() => {
+  try {
+    attachmentIndex.collectGarbage();
+  } catch (error) {
+    logError('Error collecting attachments', error);
+  }
+}, GC_INTERVAL);
+collector.unref();
+
+// What each multer limit error tells the client
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: () => ({ status: 413, error: `Attachments must be at most ${maxFileSize()} bytes` }),
+  LIMIT_FILE_COUNT: () => ({ status: 400, error: `At most ${maxFiles()} attachments per post` }),
+  LIMIT_UNEXPECTED_FILE: () => ({ status: 400, error: 'Files must be sent in the attachments field' })
+};
+
+// Route middleware that reads multipart bodies into req.body and req.files,
+// holding the files in memory until they are checked. Other bodies pass
+// through untouched.
+const acceptUploads = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize(), files: maxFiles() }
+  }).array('attachments', maxFiles());
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const describe = UPLOAD_ERRORS[error.code];
+      const { status, error: message } = describe ? describe() : { status: 400, error: error.message };
+      return sendError(res, status, message, { field: 'attachments' });
+    }
+
+    next(error);
+  });
+};
+
+// Checks the uploaded files and writes them to the attachment directory.
+// Returns { attachments } to store on the post, or { error } when a file is
+// refused (then nothing is written). The files stay held until
+// releaseUploads() is called with the attachments, whether or not the post
+// was created.
+const saveUploads = (files = []) => {
+  // Text-only posts leave the filesystem alone
+  if (files.length === 0) return { attachments: [] };
+
+  const checked = [];
+
+  for (const upload of files) {
+    const name = cleanName(upload.originalname);
+
+    if (upload.size === 0) {
+      return { error: `${name} is empty` };
+    }
+
+    const fileType = sniffType(upload.buffer);
+
+    if (!fileType) {
+      return { error: `${name} is not an allowed file type` };
+    }
+
+    checked.push({ upload, name, fileType });
+  }
+
+  const dir = attachmentDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const attachments = checked.map(({ upload, name, fileType }) => {
+    const hash = crypto.createHash('sha256').update(upload.buffer).digest('hex');
+    const file = `${hash}.${fileType.ext}`;
+    const target = path.join(dir, file);
+
+    attachmentIndex.hold(file);
+
+    // Same content, same name: an existing copy only needs its age reset so
+    // the collector does not count it as stale
+    if (fs.existsSync(target)) {
+      const now = new Date();
+      fs.utimesSync(target, now, now);
+    } else {
+      const tmp = `${target}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, upload.buffer);
+      fs.renameSync(tmp, target);
+    }
+
+    return { file, name, type: fileType.type, size: upload.size };
+  });
+
+  return { attachments };
+};
+
+const releaseUploads = (attachments = []) => {
+  attachments.forEach(attachment => attachmentIndex.release(attachment.file));
+};
+
+// Public shape of a stored attachment
+const describeAttachment = (attachment) => ({
+  ...attachment,
+  url: `/api/attachments/${attachment.file}`
+});
+
+// Where a referenced file lives and how to serve it; null for anything else
+const findAttachment = (file) => {
+  if (!FILE_PATTERN.test(file) || !attachmentIndex.isReferenced(file)) return null;
+
+  const fileType = typeOfFile(file);
+  if (!fileType) return null;
+
+  return { path: path.join(attachmentDir(), file), ...fileType };
+};
+
+module.exports = {
+  FILE_PATTERN,
+  FILE_TYPES,
+  sniffType,
+  acceptUploads,
+  saveUploads,
+  releaseUploads,
+  describeAttachment,
+  findAttachment,
+  attachmentIndex
+};
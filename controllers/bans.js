@@ -0,0 +1,128 @@
+'use strict';
+
+const crypto = require('crypto');
+const { threadStorage } = require('../storage');
+const { parseId } = require('./params');
+const { sendError } = require('./errors');
+const { logError } = require('./logging');
+
+// Longest ban a moderator can hand out, in seconds
+const MAX_BAN_DURATION = 365 * 24 * 60 * 60;
+const MAX_REASON_LENGTH = 200;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Global bans stop posting everywhere, board bans only on the board the
+// banned post was on
+const BAN_SCOPES = ['global', 'board'];
+
+// Without IP_HASH_SALT the salt lives only as long as the process, and bans
+// stop matching their poster after a restart
+const fallbackSalt = crypto.randomBytes(32).toString('hex');
+
+// Posts keep a salted hash of the address they came from: enough to tell
+// that two requests share one, not enough to recover it
+const hashIp = (ip) =>
+  crypto.createHmac('sha256', process.env.IP_HASH_SALT || fallbackSalt)
+    .update(String(ip || ''))
+    .digest('hex');
+
+const isExpired = (ban, now = Date.now()) => ban.expires_on <= now;
+
+// The ban that keeps a poster off a board, the longest-running when several
+// apply; null when none does
+const findActiveBan = (ipHash, board, now = Date.now()) =>
+  threadStorage.listBans()
+    .filter(ban => ban.ip_hash === ipHash && !isExpired(ban, now) &&
+      (ban.board === null || ban.board === board))
+    .sort((a, b) => b.expires_on - a.expires_on)[0] || null;
+
+// Public shape of a ban; the hash it matches on never leaves the server
+const describeBan = (ban) => {
+  const { ip_hash, ...safeBan } = ban;
+  return safeBan;
+};
+
+// Checks a moderator's ban request. Returns { duration, reason, scope } or
+// { error, field }.
+const parseBan = (input = {}) => {
+  const duration = parseId(input.duration);
+
+  if (duration === null || duration > MAX_BAN_DURATION) {
+    return { error: `duration must be a whole number of seconds up to ${MAX_BAN_DURATION}`, field: 'duration' };
+  }
+
+  const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+
+  if (!reason) {
+    return { error: 'Missing required field: reason', field: 'reason' };
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be at most ${MAX_REASON_LENGTH} characters`, field: 'reason' };
+  }
+
+  const scope = input.scope === undefined || input.scope === '' ? 'global' : input.scope;
+
+  if (!BAN_SCOPES.includes(scope)) {
+    return { error: `scope must be one of ${BAN_SCOPES.join(', ')}`, field: 'scope' };
+  }
+
+  return { duration, reason, scope };
+};
+
+// Bans whoever wrote the post, from the moment of the call
+const banPoster = (board, thread, reply, { duration, reason, scope }) => {
+  const now = new Date();
+
+  return threadStorage.createBan({
+    ip_hash: (reply || thread).ip_hash,
+    board: scope === 'board' ? board : null,
+    thread_id: thread.thread_id,
+    reply_id: reply ? reply.reply_id : null,
+    reason,
+    created_on: now,
+    expires_on: new Date(+now + duration * 1000)
+  });
+};
+
+// Removes the bans that have run out. Returns how many went.
+const sweepBans = (now = Date.now()) => {
+  const expired = threadStorage.listBans().filter(ban => isExpired(ban, now));
+  expired.forEach(ban => threadStorage.deleteBan(ban.ban_id));
+  return expired.length;
+};
+
+const sweeper = setInterval(() => {
+  try {
+    sweepBans();
+  } catch (error) {
+    logError('Error sweeping bans', error);
+  }
+}, SWEEP_INTERVAL);
+sweeper.unref();
+
+// Route middleware turning banned clients away from a board
+const rejectBanned = (req, res, next) => {
+  const ban = findActiveBan(hashIp(req.ip), req.params.board);
+
+  if (!ban) {
+    return next();
+  }
+
+  sendError(res, 403, `Banned until ${ban.expires_on.toISOString()}: ${ban.reason}`, {
+    code: 'banned',
+    reason: ban.reason,
+    expires_on: ban.expires_on
+  });
+};
+
+module.exports = {
+  BAN_SCOPES,
+  hashIp,
+  isExpired,
+  describeBan,
+  parseBan,
+  banPoster,
+  sweepBans,
+  rejectBanned
+};
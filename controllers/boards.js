@@ -0,0 +1,146 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { isArchived } = require('./archive');
+const { parseBoolean } = require('./params');
+const { sendError } = require('./errors');
+
+const BOARD_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Leading zero bits a proof-of-work solution needs; each one doubles the
+// work, and 24 already takes seconds in a browser
+const MAX_POW_DIFFICULTY = 24;
+
+// Settings a board gets unless it is created with its own
+const BOARD_DEFAULTS = {
+  description: '',
+  max_text_length: 2000,
+  max_threads: 100,
+  allow_new_threads: true,
+  // Seconds after posting during which a post can be edited; 0 turns editing off
+  edit_window: 300,
+  // Proof-of-work difficulty for posting, in bits; 0 asks for none until
+  // posting volume spikes
+  pow_difficulty: 0
+};
+
+const parseInteger = (value, min) => {
+  const number = Number(value);
+  return value !== '' && Number.isInteger(number) && number >= min ? number : null;
+};
+
+// Validates the board settings present in the input. Returns the parsed
+// settings, or an error message and the field for the first invalid one.
+const parseBoardSettings = (input) => {
+  const settings = {};
+
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || !input.title.trim() || input.title.length > MAX_TITLE_LENGTH) {
+      return { error: `title must be 1 to ${MAX_TITLE_LENGTH} characters`, field: 'title' };
+    }
+    settings.title = input.title.trim();
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`, field: 'description' };
+    }
+    settings.description = input.description.trim();
+  }
+
+  for (const field of ['max_text_length', 'max_threads']) {
+    if (input[field] !== undefined) {
+      settings[field] = parseInteger(input[field], 1);
+      if (settings[field] === null) {
+        return { error: `${field} must be a positive integer`, field };
+      }
+    }
+  }
+
+  if (input.edit_window !== undefined) {
+    settings.edit_window = parseInteger(input.edit_window, 0);
+    if (settings.edit_window === null) {
+      return { error: 'edit_window must be a non-negative integer', field: 'edit_window' };
+    }
+  }
+
+  if (input.pow_difficulty !== undefined) {
+    settings.pow_difficulty = parseInteger(input.pow_difficulty, 0);
+    if (settings.pow_difficulty === null || settings.pow_difficulty > MAX_POW_DIFFICULTY) {
+      return { error: `pow_difficulty must be an integer from 0 to ${MAX_POW_DIFFICULTY}`, field: 'pow_difficulty' };
+    }
+  }
+
+  if (input.allow_new_threads !== undefined) {
+    settings.allow_new_threads = parseBoolean(input.allow_new_threads);
+    if (settings.allow_new_threads === null) {
+      return { error: 'allow_new_threads must be true or false', field: 'allow_new_threads' };
+    }
+  }
+
+  return { settings };
+};
+
+// Registers a board; null when one with that name already exists
+const createBoard = ({ name, ...settings }, storage = threadStorage) =>
+  storage.createBoard({
+    name,
+    title: name,
+    ...BOARD_DEFAULTS,
+    ...settings,
+    created_on: new Date()
+  });
+
+// Public description of a board with its current size; archived threads are
+// counted apart from the live ones that max_threads applies to
+const describeBoard = (board) => {
+  const threads = threadStorage.listThreads(board.name);
+  const live = threads.filter(thread => !isArchived(thread));
+
+  return {
+    ...board,
+    thread_count: live.length,
+    archived_count: threads.length - live.length,
+    reply_count: live.reduce((count, thread) => count + thread.replies.length, 0)
+  };
+};
+
+// Registers the DEFAULT_BOARDS (comma-separated, "general" unless set) the
+// first time an empty store comes into use
+const seedDefaultBoards = (storage) => {
+  if (storage.listBoards().length > 0) return;
+
+  const names = (process.env.DEFAULT_BOARDS || 'general')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => BOARD_NAME_PATTERN.test(name));
+
+  names.forEach(name => createBoard({ name }, storage));
+};
+
+threadStorage.on('use', seedDefaultBoards);
+
+// Route middleware that rejects unknown boards and exposes the registered
+// one as res.locals.board
+const requireBoard = (req, res, next) => {
+  const board = threadStorage.findBoard(req.params.board);
+
+  if (!board) {
+    return sendError(res, 404, 'Board not found', { field: 'board' });
+  }
+
+  res.locals.board = board;
+  next();
+};
+
+module.exports = {
+  BOARD_NAME_PATTERN,
+  BOARD_DEFAULTS,
+  MAX_POW_DIFFICULTY,
+  parseBoardSettings,
+  createBoard,
+  describeBoard,
+  requireBoard
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+const crypto = require('crypto');
+const { threadStorage } = require('../storage');
+const { MAX_POW_DIFFICULTY } = require('./boards');
+const { sendRefusal } = require('./errors');
+const { logError } = require('./logging');
+
+// Hashcash-style proof of work for posting. A challenge is a signed token
+// naming the board, a difficulty and an expiry; solving it means finding a
+// string such that SHA-256 of "<token>:<solution>" starts with that many zero
+// bits. Checking a solution takes one hash, finding one takes about
+// 2^difficulty, which costs a browser little for one post and a bot a lot
+// for thousands.
+
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const MAX_SOLUTION_LENGTH = 32;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Every POW_SPIKE_THRESHOLD posts on a board within the last minute add
+// SPIKE_STEP bits to its difficulty
+const SPIKE_WINDOW = 60 * 1000;
+const SPIKE_STEP = 4;
+const DEFAULT_SPIKE_THRESHOLD = 60;
+
+// Without CHALLENGE_SECRET the key lives only as long as the process, and
+// challenges issued before a restart stop verifying
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', process.env.CHALLENGE_SECRET || fallbackSecret)
+    .update(payload)
+    .digest('base64url');
+
+// 0 turns the automatic raise off
+const spikeThreshold = () => {
+  const threshold = parseInt(process.env.POW_SPIKE_THRESHOLD, 10);
+  return threshold >= 0 ? threshold : DEFAULT_SPIKE_THRESHOLD;
+};
+
+// When recent posts went up, by board. Counted from the store's changes, so
+// imports and every version of the API count alike.
+const recentPosts = new Map();
+
+const postsSince = (board, since) => {
+  const times = (recentPosts.get(board) || []).filter(time => time > since);
+  recentPosts.set(board, times);
+  return times.length;
+};
+
+threadStorage.on('change', (op) => {
+  const board = op.type === 'thread:create' ? op.thread.board
+    : op.type === 'reply:create' ? op.board
+      : null;
+
+  if (board !== null) {
+    const now = Date.now();
+    postsSince(board, now - SPIKE_WINDOW);
+    recentPosts.get(board).push(now);
+  }
+});
+
+threadStorage.on('use', () => recentPosts.clear());
+
+// The difficulty posting on a board takes right now: its own setting, raised
+// while posts are coming in fast
+const currentDifficulty = (board, now = Date.now()) => {
+  const threshold = spikeThreshold();
+  const raise = threshold > 0 ? Math.floor(postsSince(board.name, now - SPIKE_WINDOW) / threshold) * SPIKE_STEP : 0;
+  return Math.min((board.pow_difficulty || 0) + raise, MAX_POW_DIFFICULTY);
+};
+
+// A new challenge for posting on the board
+const issueChallenge = (board, now = Date.now()) => {
+  const challenge = {
+    board: board.name,
+    difficulty: currentDifficulty(board, now),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    expires_on: now + CHALLENGE_TTL
+  };
+  const payload = Buffer.from(JSON.stringify(challenge)).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    algorithm: 'sha256',
+    difficulty: challenge.difficulty,
+    expires_on: new Date(challenge.expires_on)
+  };
+};
+
+// The challenge a token carries; null unless this server signed it
+const readChallenge = (token) => {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const presented = Buffer.from(signature);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+const solves = (token, solution, difficulty) =>
+  leadingZeroBits(crypto.createHash('sha256').update(`${token}:${solution}`).digest()) >= difficulty;
+
+// Nonces of the challenges already spent, until they would have expired
+// anyway
+const usedChallenges = new Map();
+
+const sweepChallenges = (now = Date.now()) => {
+  usedChallenges.forEach((expiresOn, nonce) => {
+    if (expiresOn <= now) usedChallenges.delete(nonce);
+  });
+};
+
+const sweeper = setInterval(() => {
+  try {
+    sweepChallenges();
+  } catch (error) {
+    logError('Error sweeping challenges', error);
+  }
+}, SWEEP_INTERVAL);
+sweeper.unref();
+
+// Checks the solution a post carries and marks its challenge used. Returns
+// the { status, error, code, field } refusal, or { challenge } with the
+// challenge spent, null when the board asks for none.
+const checkSolution = (board, { pow_token: token, pow_solution: solution } = {}, now = Date.now()) => {
+  const difficulty = currentDifficulty(board, now);
+  const refuse = (error, code, field = 'pow_token') => ({ status: 403, error, code, field });
+
+  if (difficulty === 0) return { challenge: null };
+
+  if (!token || !solution) {
+    return refuse(`Posting needs a solved challenge from /api/challenges/${board.name}`, 'challenge_required');
+  }
+
+  const challenge = readChallenge(token);
+
+  if (!challenge || challenge.board !== board.name) {
+    return refuse('Invalid challenge', 'challenge_invalid');
+  }
+
+  if (challenge.expires_on <= now) {
+    return refuse('Challenge has expired', 'challenge_expired');
+  }
+
+  if (challenge.difficulty < difficulty) {
+    return refuse('The board needs a harder challenge now; request a new one', 'challenge_invalid');
+  }
+
+  if (usedChallenges.has(challenge.nonce)) {
+    return refuse('Challenge has already been used', 'challenge_used');
+  }
+
+  if (String(solution).length > MAX_SOLUTION_LENGTH || !solves(token, solution, challenge.difficulty)) {
+    return refuse('Incorrect challenge solution', 'challenge_failed', 'pow_solution');
+  }
+
+  usedChallenges.set(challenge.nonce, challenge.expires_on);
+  return { challenge };
+};
+
+// Makes a spent challenge usable again
+const releaseChallenge = (challenge) => usedChallenges.delete(challenge.nonce);
+
+// Route middleware for the posting routes, after the body is parsed. The
+// challenge is marked used straight away, so one solution cannot post twice
+// at once, and released when the post is refused after all: fixing a post
+// the board turned down does not take a new solution.
+const requireProofOfWork = (req, res, next) => {
+  const result = checkSolution(res.locals.board, req.body);
+
+  if (result.error) {
+    return sendRefusal(res, result);
+  }
+
+  if (result.challenge) {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) releaseChallenge(result.challenge);
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  currentDifficulty,
+  issueChallenge,
+  checkSolution,
+  sweepChallenges,
+  requireProofOfWork
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const { BOARD_DEFAULTS } = require('./boards');
+
+// Older revisions beyond this are dropped
+const MAX_REVISIONS = 20;
+
+// Whether the post is still young enough to be edited under the board's
+// edit_window (boards registered before the setting existed get the default)
+const isWithinEditWindow = (post, board, now = Date.now()) => {
+  const seconds = board.edit_window === undefined ? BOARD_DEFAULTS.edit_window : board.edit_window;
+  return now - post.created_on <= seconds * 1000;
+};
+
+// Changes that replace a post's text, keeping the version it replaces along
+// with the time that version was written
+const editChanges = (post, text) => {
+  const editedOn = new Date();
+  const previous = { text: post.text, written_on: post.edited_on || post.created_on };
+
+  return {
+    text,
+    edited_on: editedOn,
+    revisions: (post.revisions || []).concat(previous).slice(-MAX_REVISIONS)
+  };
+};
+
+module.exports = { isWithinEditWindow, editChanges };
@@ -0,0 +1,36 @@
+'use strict';
+
+// Codes for errors that do not name their own, by status
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'deleted',
+  413: 'payload_too_large',
+  423: 'locked',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Every API error goes out in one envelope: a stable code for programs, a
+// message for people and the input field at fault, or null. `error` repeats
+// the message for clients written before the envelope; anything else in the
+// options (a ban's expiry, say) goes alongside.
+const sendError = (res, status, message, { code, field = null, ...extra } = {}) =>
+  res.status(status).json({
+    code: code || STATUS_CODES[status] || 'error',
+    message,
+    field,
+    error: message,
+    ...extra
+  });
+
+// Sends a { status, error, code, field } refusal, the shape controllers
+// return when they turn a request down
+const sendRefusal = (res, { status, error, code, field }) =>
+  sendError(res, status, error, { code, field });
+
+module.exports = { STATUS_CODES, sendError, sendRefusal };
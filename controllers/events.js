@@ -0,0 +1,171 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { sanitizeThread, sanitizeReply } = require('./sanitize');
+
+// Events kept for clients that reconnect with Last-Event-ID
+const EVENT_BUFFER_SIZE = 1000;
+
+// Turns a committed storage mutation into the event clients see, using the
+// same sanitized shapes as the REST routes. Mutations clients do not care
+// about (reports, board settings) produce no event.
+const toEvent = (op) => {
+  switch (op.type) {
+    case 'thread:create':
+      // Held posts are announced once a moderator releases them
+      if (op.thread.held) return null;
+      return {
+        event: 'thread_created',
+        board: op.thread.board,
+        thread_id: op.thread.thread_id,
+        data: { ...sanitizeThread(op.thread), replies: [] }
+      };
+
+    case 'thread:update':
+      // Deleting a thread that has replies leaves a tombstone behind
+      if (op.changes.deleted_on !== undefined) {
+        return {
+          event: 'post_deleted',
+          board: op.board,
+          thread_id: op.thread_id,
+          data: { board: op.board, thread_id: op.thread_id, deleted_on: op.changes.deleted_on }
+        };
+      }
+      if (op.changes.held === false) {
+        const thread = threadStorage.findThread(op.board, op.thread_id);
+        return {
+          event: 'thread_created',
+          board: op.board,
+          thread_id: op.thread_id,
+          data: { ...sanitizeThread(thread), replies: [] }
+        };
+      }
+      // An edit a filter holds takes the post off the page until released
+      if (op.changes.held === true) {
+        return {
+          event: 'post_held',
+          board: op.board,
+          thread_id: op.thread_id,
+          data: { board: op.board, thread_id: op.thread_id }
+        };
+      }
+      if (op.changes.bumped_on === undefined) return null;
+      return {
+        event: 'thread_bumped',
+        board: op.board,
+        thread_id: op.thread_id,
+        data: { board: op.board, thread_id: op.thread_id, bumped_on: op.changes.bumped_on }
+      };
+
+    case 'thread:delete':
+      return {
+        event: 'post_deleted',
+        board: op.board,
+        thread_id: op.thread_id,
+        data: { board: op.board, thread_id: op.thread_id }
+      };
+
+    case 'reply:create':
+      if (op.reply.held) return null;
+      return {
+        event: 'reply_created',
+        board: op.board,
+        thread_id: op.thread_id,
+        data: { board: op.board, thread_id: op.thread_id, reply: sanitizeReply(op.reply) }
+      };
+
+    case 'reply:update':
+      if (op.changes.held === false) {
+        const reply = threadStorage.findReply(op.board, op.thread_id, op.reply_id);
+        return {
+          event: 'reply_created',
+          board: op.board,
+          thread_id: op.thread_id,
+          data: { board: op.board, thread_id: op.thread_id, reply: sanitizeReply(reply) }
+        };
+      }
+      if (op.changes.held === true) {
+        return {
+          event: 'post_held',
+          board: op.board,
+          thread_id: op.thread_id,
+          data: { board: op.board, thread_id: op.thread_id, reply_id: op.reply_id }
+        };
+      }
+      if (op.changes.deleted_on === undefined) return null;
+      return {
+        event: 'post_deleted',
+        board: op.board,
+        thread_id: op.thread_id,
+        data: { board: op.board, thread_id: op.thread_id, reply_id: op.reply_id, deleted_on: op.changes.deleted_on }
+      };
+
+    case 'reply:delete':
+      return {
+        event: 'post_deleted',
+        board: op.board,
+        thread_id: op.thread_id,
+        data: { board: op.board, thread_id: op.thread_id, reply_id: op.reply_id }
+      };
+
+    default:
+      return null;
+  }
+};
+
+// Fans board and thread events out to live subscribers and keeps the most
+// recent ones in a ring buffer so that reconnecting clients can catch up.
+// Event ids only ever grow, even when the store is swapped.
+function createEventBroker(storage, { bufferSize = EVENT_BUFFER_SIZE } = {}) {
+  const buffer = [];
+  const subscribers = new Set();
+  let lastId = 0;
+
+  // A filter is { board } for a board stream or { board, thread_id } for a thread
+  const matches = (event, filter) =>
+    event.board === filter.board &&
+    (filter.thread_id === undefined || event.thread_id === filter.thread_id);
+
+  function publish(op) {
+    const event = toEvent(op);
+    if (!event) return;
+
+    event.id = ++lastId;
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    subscribers.forEach(subscriber => {
+      if (matches(event, subscriber.filter)) subscriber.listener(event);
+    });
+  }
+
+  // Buffered events after the given id. complete is false when some of them
+  // have already been dropped from the buffer, or when the id is one this
+  // broker never sent, as after a restart, when ids start over.
+  function since(id, filter) {
+    const oldest = buffer.length ? buffer[0].id : lastId + 1;
+
+    return {
+      complete: id >= oldest - 1 && id <= lastId,
+      events: buffer.filter(event => event.id > id && matches(event, filter))
+    };
+  }
+
+  function subscribe(filter, listener) {
+    const subscriber = { filter, listener };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  storage.on('use', () => {
+    buffer.length = 0;
+  });
+  storage.on('change', publish);
+
+  return { since, subscribe, lastId: () => lastId };
+}
+
+// The broker behind the /api/events streams
+const eventBroker = createEventBroker(threadStorage);
+
+module.exports = { createEventBroker, eventBroker };
@@ -0,0 +1,145 @@
+'use strict';
+
+const crypto = require('crypto');
+const { threadStorage } = require('../storage');
+const { DEFAULT_NAME } = require('./tripcode');
+
+const FEED_TITLE_LENGTH = 80;
+
+// Escapes text for XML and drops the control characters XML 1.0 forbids
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Entry titles are the first line of the post, shortened
+const titleFromText = (text) => {
+  const firstLine = String(text).split('\n')[0].trim();
+  return firstLine.length > FEED_TITLE_LENGTH
+    ? firstLine.slice(0, FEED_TITLE_LENGTH - 1) + '…'
+    : firstLine || '(no text)';
+};
+
+// When a post last changed: posted, edited or deleted
+const lastChanged = (post) =>
+  new Date(Math.max(...[post.created_on, post.edited_on, post.deleted_on].filter(Boolean).map(date => +date)));
+
+// The poster as shown on the page, tripcode included
+const authorOf = (post) => (post.tripcode ? `${post.name || DEFAULT_NAME} ${post.tripcode}` : post.name || DEFAULT_NAME);
+
+// When each board's threads and each thread's replies last changed in this
+// process. Hard deletes leave no post to date the change by, so without this
+// a feed's Last-Modified could go back and a stale copy look current.
+const feedChanges = new Map();
+
+const changeKey = (board, threadId) => (threadId === undefined ? board : `${board}/${threadId}`);
+
+threadStorage.on('change', (op) => {
+  const now = new Date();
+
+  if (op.type.startsWith('thread:')) {
+    feedChanges.set(changeKey(op.board || op.thread.board), now);
+  } else if (op.type.startsWith('reply:')) {
+    feedChanges.set(changeKey(op.board, op.thread_id), now);
+  }
+});
+
+threadStorage.on('use', () => feedChanges.clear());
+
+// When a feed last changed: the newest change among its posts or since
+// removed ones, and the fallback date for feeds without either
+const feedUpdated = (posts, fallback, board, threadId) => new Date(Math.max(
+  +fallback,
+  +(feedChanges.get(changeKey(board, threadId)) || 0),
+  ...posts.map(post => +lastChanged(post))
+));
+
+// A feed is { id, title, link, updated, entries } where each entry is
+// { id, title, link, content, author, published, updated }. Dates are Date
+// objects.
+
+const buildAtomFeed = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `  <id>${escapeXml(feed.id)}</id>`,
+  `  <title>${escapeXml(feed.title)}</title>`,
+  `  <link rel="alternate" href="${escapeXml(feed.link)}"/>`,
+  `  <link rel="self" href="${escapeXml(feed.self)}"/>`,
+  `  <updated>${feed.updated.toISOString()}</updated>`,
+  ...feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(entry.author)}</name></author>`,
+    `    <content type="text">${escapeXml(entry.content)}</content>`,
+    '  </entry>'
+  ].join('\n')),
+  '</feed>',
+  ''
+].join('\n');
+
+const buildRssFeed = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+  '  <channel>',
+  `    <title>${escapeXml(feed.title)}</title>`,
+  `    <link>${escapeXml(feed.link)}</link>`,
+  `    <description>${escapeXml(feed.title)}</description>`,
+  `    <atom:link rel="self" href="${escapeXml(feed.self)}" type="application/rss+xml"/>`,
+  `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+  ...feed.entries.map(entry => [
+    '    <item>',
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.link)}</link>`,
+    `      <dc:creator>${escapeXml(entry.author)}</dc:creator>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(entry.content)}</description>`,
+    '    </item>'
+  ].join('\n')),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+const FORMATS = {
+  atom: { build: buildAtomFeed, contentType: 'application/atom+xml; charset=utf-8' },
+  rss: { build: buildRssFeed, contentType: 'application/rss+xml; charset=utf-8' }
+};
+
+// Sends the feed in the requested format with validators for conditional
+// GET, answering 304 when the client's copy is still current
+const sendFeed = (req, res, format, feed) => {
+  const { build, contentType } = FORMATS[format];
+  const body = build(feed);
+
+  res.set({
+    'Content-Type': contentType,
+    'ETag': `"${crypto.createHash('sha1').update(body).digest('base64')}"`,
+    'Last-Modified': feed.updated.toUTCString()
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.status(200).send(body);
+};
+
+module.exports = {
+  escapeXml,
+  titleFromText,
+  lastChanged,
+  authorOf,
+  feedUpdated,
+  buildAtomFeed,
+  buildRssFeed,
+  sendFeed
+};
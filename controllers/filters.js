@@ -0,0 +1,311 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { reportChanges } = require('./moderation');
+const { isDeleted } = require('./tombstones');
+
+const FILTER_KINDS = ['word', 'regex'];
+const FILTER_ACTIONS = ['reject', 'replace', 'hold'];
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REASON_LENGTH = 200;
+const MAX_REPLACEMENT_LENGTH = 100;
+
+const DEFAULT_REPLACEMENT = '***';
+const DEFAULT_REJECT_REASON = 'Post contains blocked content';
+
+// A dry run lists at most this many of the posts a rule would catch
+const MAX_DRY_RUN_MATCHES = 100;
+
+// Letters, digits and underscore in any script: a word rule only matches
+// where none of these touch it on either side
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word rules match the literal word or phrase, ignoring case; regex rules
+// are taken as written, also ignoring case
+const compileRule = (rule) => rule.kind === 'word'
+  ? new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(rule.pattern)}(?!${WORD_CHAR})`, 'giu')
+  : new RegExp(rule.pattern, 'giu');
+
+// Repetitions up to this many backtrack cheaply enough to allow side by side;
+// any more count as unbounded
+const MAX_BOUNDED_REPEATS = 10;
+
+// The quantifier starting at source[i], if any: whether it can repeat what
+// it follows (a lone ? cannot), without limit or past MAX_BOUNDED_REPEATS,
+// and whether it can skip it
+const readQuantifier = (source, i) => {
+  let quantifier = null;
+
+  if (source[i] === '*' || source[i] === '+') {
+    quantifier = { repeats: true, unbounded: true, optional: source[i] === '*', length: 1 };
+  } else if (source[i] === '?') {
+    quantifier = { repeats: false, unbounded: false, optional: true, length: 1 };
+  } else if (source[i] === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (match) {
+      const max = match[2] === undefined ? Number(match[1]) : match[3] === '' ? Infinity : Number(match[3]);
+      quantifier = { repeats: max > 1, unbounded: max > MAX_BOUNDED_REPEATS, optional: Number(match[1]) === 0, length: match[0].length };
+    }
+  }
+
+  // Lazy quantifiers backtrack just the same
+  if (quantifier && source[i + quantifier.length] === '?') quantifier.length += 1;
+  return quantifier;
+};
+
+// An escape and what follows the backslash: \p{L}, \u{1F600}, \u0041, \x41,
+// \cA, \k<name> or a single character
+const ESCAPE_PATTERN = /^\\(?:[pP]\{[^}]*\}|u\{[0-9A-Fa-f]+\}|u[0-9A-Fa-f]{4}|x[0-9A-Fa-f]{2}|c[A-Za-z]|k<[^>]*>|[\s\S])/;
+
+// Characters atoms are compared on: Latin-1 and a few from other scripts and
+// planes, enough to tell whether two atoms can match the same character
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 256 }, (_, code) => String.fromCharCode(code)),
+  '\u0100', '\u0436', '\u03c9', '\u4e2d', '\u0663', '\u0627', '\u2028', '\u3000', '\ufeff', '\u{1f600}'
+];
+
+// The sample characters a single-character atom such as a, \s, . or [a-z]
+// matches, with the flags rules are compiled with
+const sampleMatches = (atom) => {
+  let regex;
+  try {
+    regex = new RegExp(`^(?:${atom})$`, 'iu');
+  } catch (error) {
+    return new Set(SAMPLE_CHARS);
+  }
+  return new Set(SAMPLE_CHARS.filter(char => regex.test(char)));
+};
+
+const overlaps = (a, b) => Array.from(a).some(char => b.has(char));
+
+const newGroup = (zeroWidth = false) =>
+  ({ repeats: false, unbounded: false, alternates: false, zeroWidth, chars: new Set(), pending: new Set() });
+
+// Looks for the shapes that make a backtracking engine take exponential or
+// high polynomial time on a near miss: a repeated group that itself repeats,
+// as in (a+)+, or that alternates, as in (a|ab)*; unbounded repetitions that
+// can match the same characters with nothing between them that only one of
+// them can, as in a*a*b, a{1,100}a{1,100}b or .*=.*=x; and backreferences. This is deliberately
+// stricter than it needs to be; patterns it refuses can nearly always be
+// written without the overlap. Returns what is wrong, or null.
+const findBacktrackingRisk = (source) => {
+  const groups = [newGroup()];
+  let i = 0;
+
+  while (i < source.length) {
+    let atom = { repeats: false, unbounded: false, alternates: false, zeroWidth: false, chars: null };
+    const start = i;
+
+    if (source[i] === '\\') {
+      if (/[1-9k]/.test(source[i + 1])) return 'backreferences are not allowed';
+      i += ESCAPE_PATTERN.exec(source.slice(i))[0].length;
+      atom.zeroWidth = /^\\[bB]$/.test(source.slice(start, i));
+    } else if (source[i] === '[') {
+      i += 1;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i += 1;
+    } else if (source[i] === '(') {
+      const header = /^\((\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/.exec(source.slice(i));
+      i += header[0].length;
+      groups.push(newGroup(/^\(\?<?[=!]$/.test(header[0])));
+      continue;
+    } else if (source[i] === ')') {
+      if (groups.length === 1) return null;
+      atom = groups.pop();
+      i += 1;
+    } else if (source[i] === '|') {
+      groups[groups.length - 1].alternates = true;
+      groups[groups.length - 1].pending = new Set();
+      i += 1;
+      continue;
+    } else {
+      atom.zeroWidth = source[i] === '^' || source[i] === '$';
+      i += 1;
+    }
+
+    const group = groups[groups.length - 1];
+    if (!atom.chars) atom.chars = atom.zeroWidth ? new Set() : sampleMatches(source.slice(start, i));
+
+    const quantifier = readQuantifier(source, i);
+
+    if (quantifier) {
+      i += quantifier.length;
+
+      if (quantifier.repeats && atom.repeats) return 'nested repetition such as (a+)+';
+      if (quantifier.repeats && atom.alternates) return 'repeated alternation such as (a|b)+';
+      if (quantifier.repeats) group.repeats = true;
+    }
+
+    if (atom.repeats) group.repeats = true;
+
+    // Assertions match no characters, so they neither overlap nor separate
+    if (atom.zeroWidth) continue;
+
+    atom.chars.forEach(char => group.chars.add(char));
+
+    if (atom.unbounded || (quantifier && quantifier.unbounded)) {
+      if (overlaps(group.pending, atom.chars)) return 'overlapping repetition such as a*a* or .*x.*';
+      atom.chars.forEach(char => group.pending.add(char));
+      group.unbounded = true;
+    } else if (!(quantifier && quantifier.optional) && !overlaps(group.pending, atom.chars)) {
+      // Something the repetitions before cannot match ends their run
+      group.pending = new Set();
+    }
+  }
+
+  return null;
+};
+
+const optionalText = (value, max) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+
+// Checks a rule as sent by a moderator. Returns { filter } with the fields to
+// store, or { error, field }. The board, when given, is not checked here.
+const parseFilter = (input = {}) => {
+  const kind = input.kind === undefined || input.kind === '' ? 'word' : input.kind;
+
+  if (!FILTER_KINDS.includes(kind)) {
+    return { error: `kind must be one of ${FILTER_KINDS.join(', ')}`, field: 'kind' };
+  }
+
+  if (!FILTER_ACTIONS.includes(input.action)) {
+    return { error: `action must be one of ${FILTER_ACTIONS.join(', ')}`, field: 'action' };
+  }
+
+  let pattern = typeof input.pattern === 'string' ? input.pattern : '';
+  if (kind === 'word') pattern = pattern.trim();
+
+  if (!pattern) {
+    return { error: 'Missing required field: pattern', field: 'pattern' };
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { error: `pattern must be at most ${MAX_PATTERN_LENGTH} characters`, field: 'pattern' };
+  }
+
+  if (kind === 'regex') {
+    let compiled;
+    try {
+      compiled = new RegExp(pattern, 'u');
+    } catch (error) {
+      return { error: `Invalid regex: ${error.message}`, field: 'pattern' };
+    }
+
+    const risk = findBacktrackingRisk(pattern);
+    if (risk) {
+      return { error: `Regex could backtrack catastrophically: ${risk}`, field: 'pattern' };
+    }
+
+    // A rule that matches nothing at all would match everywhere
+    if (compiled.test('')) {
+      return { error: 'Regex must not match empty text', field: 'pattern' };
+    }
+  }
+
+  let replacement = null;
+  if (input.action === 'replace') {
+    replacement = input.replacement === undefined ? DEFAULT_REPLACEMENT : input.replacement;
+
+    if (typeof replacement !== 'string' || replacement.length > MAX_REPLACEMENT_LENGTH) {
+      return { error: `replacement must be text of at most ${MAX_REPLACEMENT_LENGTH} characters`, field: 'replacement' };
+    }
+  }
+
+  return {
+    filter: {
+      board: typeof input.board === 'string' && input.board ? input.board : null,
+      kind,
+      pattern,
+      action: input.action,
+      reason: optionalText(input.reason, MAX_REASON_LENGTH),
+      replacement
+    }
+  };
+};
+
+// Rules that apply on a board: the global ones and its own, oldest first
+const filtersFor = (board) =>
+  threadStorage.listFilters()
+    .filter(rule => rule.board === null || rule.board === board)
+    .sort((a, b) => a.filter_id - b.filter_id);
+
+const replaceMatches = (rule, text) => text.replace(compileRule(rule), () => rule.replacement);
+
+// Runs a board's rules over a post's text. A matching reject rule refuses the
+// post outright; otherwise replace rules rewrite the text in rule order, and a
+// matching hold rule keeps the post from view until a moderator lets it
+// through. Returns { error } or { text, held } where held is the reason, or
+// null.
+const applyFilters = (board, text) => {
+  const matched = filtersFor(board).filter(rule => compileRule(rule).test(text));
+  const rejected = matched.find(rule => rule.action === 'reject');
+
+  if (rejected) {
+    return { error: rejected.reason || DEFAULT_REJECT_REASON };
+  }
+
+  const filtered = matched
+    .filter(rule => rule.action === 'replace')
+    .reduce((current, rule) => replaceMatches(rule, current), text);
+
+  if (!filtered.trim()) {
+    return { error: 'Text is empty once filtered' };
+  }
+
+  const held = matched.find(rule => rule.action === 'hold');
+
+  return {
+    text: filtered,
+    held: held ? held.reason || `Matched filter ${held.filter_id}` : null
+  };
+};
+
+// Held posts wait in the report queue; dismissing the report releases them
+const isHeld = (post) => Boolean(post.held);
+
+const holdChanges = (post, reason) => ({
+  held: true,
+  ...reportChanges(post, `Held by filter: ${reason}`)
+});
+
+// The posts a rule would catch if it were in force, without changing any.
+// Tombstones are skipped. Returns how many matched and the first of them.
+const dryRunFilter = (rule) => {
+  const regex = compileRule(rule);
+  const matches = [];
+  let total = 0;
+
+  threadStorage.listThreads(rule.board || undefined).forEach(thread => {
+    [thread, ...thread.replies].forEach(post => {
+      regex.lastIndex = 0;
+      if (isDeleted(post) || !regex.test(post.text)) return;
+
+      total += 1;
+      if (matches.length >= MAX_DRY_RUN_MATCHES) return;
+
+      matches.push({
+        board: thread.board,
+        thread_id: thread.thread_id,
+        ...(post !== thread && { reply_id: post.reply_id }),
+        text: post.text,
+        ...(rule.action === 'replace' && { filtered_text: replaceMatches(rule, post.text) })
+      });
+    });
+  });
+
+  return { action: rule.action, total, matches };
+};
+
+module.exports = {
+  FILTER_KINDS,
+  FILTER_ACTIONS,
+  findBacktrackingRisk,
+  parseFilter,
+  applyFilters,
+  isHeld,
+  holdChanges,
+  dryRunFilter
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const crypto = require('crypto');
+const { threadStorage } = require('../storage');
+const { routeOf } = require('./metrics');
+
+// Logs go out one JSON object per line: access lines for every request at
+// info level, and errors. LOG_LEVEL picks how much: info (default), error
+// or silent.
+const LOG_LEVELS = { silent: 0, error: 1, info: 2 };
+
+const logLevel = () =>
+  (Object.hasOwn(LOG_LEVELS, process.env.LOG_LEVEL) ? LOG_LEVELS[process.env.LOG_LEVEL] : LOG_LEVELS.info);
+
+// Request ids from upstream proxies are kept when they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Where lines are written: errors to stderr, the rest to stdout. Replace
+// write() to send them elsewhere.
+const logOutput = {
+  write: (line, level) => (level === 'error' ? process.stderr : process.stdout).write(line)
+};
+
+const writeLog = (level, fields) => {
+  if (LOG_LEVELS[level] > logLevel()) return;
+
+  logOutput.write(`${JSON.stringify({ time: new Date().toISOString(), level, ...fields })}\n`, level);
+};
+
+// Logs a failure, with the id of the request it happened in when there is one
+const logError = (message, error, req) => writeLog('error', {
+  message,
+  request_id: req ? req.id : null,
+  error: error instanceof Error
+    ? { name: error.name, message: error.message, stack: error.stack }
+    : String(error)
+});
+
+// What the store recovered from, such as a journal line torn by a crash
+threadStorage.on('warning', (message, error) => logError(message, error));
+
+// Middleware giving each request an id, taken from X-Request-Id or made up,
+// sending it back in the same header, and logging the request once answered.
+// Who sent it is left out, as nothing else keeps posters' addresses.
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const start = process.hrtime.bigint();
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  res.on('finish', () => {
+    writeLog('info', {
+      message: 'request',
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: routeOf(req),
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - start) / 1e6
+    });
+  });
+
+  next();
+};
+
+module.exports = { logOutput, logError, requestLogger };
@@ -0,0 +1,165 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { secretsMatch } = require('./adminAuth');
+const { sendError } = require('./errors');
+
+// Upper bounds, in seconds, of the latency histograms' buckets
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const BCRYPT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (labels) => {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const header = (name, help, type) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+
+// A set of metrics rendered together in the Prometheus text format. Series
+// are keyed by their labels; gauges are read from a callback at each scrape,
+// so they cannot go stale.
+const createRegistry = () => {
+  const metrics = [];
+
+  // Series by label text, each created on first use
+  const seriesOf = (create) => {
+    const series = new Map();
+    return {
+      get(labels) {
+        const key = labelText(labels);
+        if (!series.has(key)) series.set(key, { labels, ...create() });
+        return series.get(key);
+      },
+      all: () => Array.from(series.values()),
+      clear: () => series.clear()
+    };
+  };
+
+  const counter = (name, help) => {
+    const series = seriesOf(() => ({ value: 0 }));
+
+    metrics.push({
+      render: () => header(name, help, 'counter') +
+        series.all().map(({ labels, value }) => `${name}${labelText(labels)} ${value}\n`).join(''),
+      reset: series.clear
+    });
+
+    return { inc: (labels = {}, by = 1) => { series.get(labels).value += by; } };
+  };
+
+  const histogram = (name, help, buckets) => {
+    const series = seriesOf(() => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+    const renderSeries = ({ labels, counts, sum, count }) =>
+      buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}\n`).join('') +
+      `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}\n` +
+      `${name}_sum${labelText(labels)} ${sum}\n` +
+      `${name}_count${labelText(labels)} ${count}\n`;
+
+    metrics.push({
+      render: () => header(name, help, 'histogram') + series.all().map(renderSeries).join(''),
+      reset: series.clear
+    });
+
+    return {
+      observe(labels, seconds) {
+        const entry = series.get(labels);
+        buckets.forEach((le, i) => { if (seconds <= le) entry.counts[i] += 1; });
+        entry.sum += seconds;
+        entry.count += 1;
+      }
+    };
+  };
+
+  // collect() returns [{ labels, value }] for the current state
+  const gauge = (name, help, collect) => {
+    metrics.push({
+      render: () => header(name, help, 'gauge') +
+        collect().map(({ labels, value }) => `${name}${labelText(labels)} ${value}\n`).join(''),
+      reset: () => {}
+    });
+  };
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render: () => metrics.map(metric => metric.render()).join(''),
+    reset: () => metrics.forEach(metric => metric.reset())
+  };
+};
+
+const registry = createRegistry();
+
+const requestCount = registry.counter('http_requests_total', 'Requests answered, by route and status');
+const requestDuration = registry.histogram('http_request_duration_seconds',
+  'Time taken to answer requests, by route and status', REQUEST_BUCKETS);
+const bcryptDuration = registry.histogram('bcrypt_duration_seconds',
+  'Time spent hashing and comparing delete passwords', BCRYPT_BUCKETS);
+
+const boardGauge = (name, help, count) => registry.gauge(name, help, () =>
+  threadStorage.listBoards().map(board => ({
+    labels: { board: board.name },
+    value: threadStorage.listThreads(board.name).reduce((total, thread) => total + count(thread), 0)
+  })));
+
+boardGauge('board_threads', 'Threads stored on each board, archived and held ones included', () => 1);
+boardGauge('board_replies', 'Replies stored on each board, archived and held ones included', thread => thread.replies.length);
+
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+// Times the promise from fn() into the histogram, whether it settles or fails
+const timeAsync = async (histogram, labels, fn) => {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    histogram.observe(labels, secondsSince(start));
+  }
+};
+
+// The route a request matched, as registered rather than as requested, so
+// ids in paths do not make a series each
+const routeOf = (req) => (req.route ? req.baseUrl + req.route.path : 'unmatched');
+
+// Middleware counting and timing every request once it is answered
+const trackRequests = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+    requestCount.inc(labels);
+    requestDuration.observe(labels, secondsSince(start));
+  });
+
+  next();
+};
+
+// Scrapers present METRICS_TOKEN as a bearer token
+const requireMetricsToken = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+
+  if (!token) {
+    return sendError(res, 503, 'Metrics are not configured');
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+
+  if (!match || !secretsMatch(match[1].trim(), token)) {
+    return sendError(res, 401, 'Metrics token required');
+  }
+
+  next();
+};
+
+module.exports = {
+  createRegistry,
+  registry,
+  bcryptDuration,
+  timeAsync,
+  routeOf,
+  trackRequests,
+  requireMetricsToken
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+
+// Only the most recent reports of a post are kept; report_count keeps the total
+const MAX_STORED_REPORTS = 50;
+const MAX_REASON_LENGTH = 200;
+
+// Queue orders: most reported first, or longest waiting first
+const QUEUE_SORTS = {
+  count: (a, b) => b.report_count - a.report_count || a.first_reported_on - b.first_reported_on,
+  age: (a, b) => a.first_reported_on - b.first_reported_on || b.report_count - a.report_count
+};
+
+// Changes that record one more report against a thread or reply
+const reportChanges = (post, reason) => {
+  const report = {
+    reason: typeof reason === 'string' && reason.trim()
+      ? reason.trim().slice(0, MAX_REASON_LENGTH)
+      : null,
+    reported_on: new Date()
+  };
+
+  return {
+    reported: true,
+    report_count: (post.report_count || 0) + 1,
+    reports: (post.reports || []).concat(report).slice(-MAX_STORED_REPORTS)
+  };
+};
+
+// Changes that clear every report against a post
+const dismissChanges = () => ({ reported: false, report_count: 0, reports: [] });
+
+// Queue entry for a reported post. Moderators see the reports but never the
+// password hash.
+const queueEntry = (type, board, thread, post) => {
+  const reports = post.reports || [];
+
+  return {
+    type,
+    board,
+    thread_id: thread.thread_id,
+    ...(type === 'reply' && { reply_id: post.reply_id }),
+    text: post.text,
+    created_on: post.created_on,
+    report_count: post.report_count || reports.length,
+    reports,
+    first_reported_on: reports.length ? reports[0].reported_on : null,
+    last_reported_on: reports.length ? reports[reports.length - 1].reported_on : null
+  };
+};
+
+// Every reported thread and reply, across all boards or just one
+const getReportQueue = ({ board, sort = 'count' } = {}) => {
+  const queue = [];
+
+  threadStorage.listThreads(board).forEach(thread => {
+    if (thread.reported) {
+      queue.push(queueEntry('thread', thread.board, thread, thread));
+    }
+
+    thread.replies
+      .filter(reply => reply.reported)
+      .forEach(reply => queue.push(queueEntry('reply', thread.board, thread, reply)));
+  });
+
+  return queue.sort(QUEUE_SORTS[sort]);
+};
+
+module.exports = {
+  QUEUE_SORTS,
+  reportChanges,
+  dismissChanges,
+  getReportQueue
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+const http = require('http');
+const { BOARD_NAME_PATTERN } = require('./boards');
+
+// Builds the OpenAPI 3 description of the posting API. Parameters and
+// request bodies are generated from the same validate() schemas the routes
+// check their input against; responses name the component schemas below,
+// which list every field a response carries, so the contract tests notice a
+// field added on one side only.
+
+const OPENAPI_VERSION = '3.0.3';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const DATE = { type: 'string', format: 'date-time' };
+const ID = { type: 'integer', minimum: 1 };
+const LINKS = { type: 'object', additionalProperties: nullable({ type: 'string' }) };
+
+// Fields every post goes out with, then the ones only some have: edited,
+// deleted or held posts, and archived threads
+const POST_FIELDS = {
+  text: { type: 'string' },
+  html: { type: 'string', description: 'The text rendered to safe HTML, quotes as links' },
+  name: { type: 'string' },
+  tripcode: nullable({ type: 'string' }),
+  attachments: arrayOf(ref('Attachment')),
+  created_on: DATE,
+  quoted_by: arrayOf(ref('QuoteSource'))
+};
+
+const OPTIONAL_POST_FIELDS = {
+  edited_on: DATE,
+  deleted_on: DATE,
+  held: { type: 'boolean', description: 'Held back by a content filter until a moderator releases it' }
+};
+
+const REPLY = { reply_id: ID, ...POST_FIELDS };
+
+const THREAD = {
+  thread_id: ID,
+  board: { type: 'string' },
+  ...POST_FIELDS,
+  bumped_on: DATE,
+  sticky: { type: 'boolean' },
+  locked: { type: 'boolean' }
+};
+
+const OPTIONAL_THREAD_FIELDS = { ...OPTIONAL_POST_FIELDS, archived_on: nullable(DATE) };
+
+// An object of the required fields, also allowing the optional ones
+const post = (fields, optional, extra = {}) => ({
+  ...object({ ...fields, ...extra }),
+  properties: { ...fields, ...optional, ...extra }
+});
+
+const V1_LIST_FIELDS = { reply_count: { type: 'integer', minimum: 0 }, replies: arrayOf(ref('Reply')) };
+const V2_LIST_FIELDS = { reply_count: { type: 'integer', minimum: 0 }, replies: arrayOf(ref('ReplyResource')) };
+const NEXT_CURSOR = { next_cursor: nullable({ type: 'string' }) };
+
+// Just created threads come with their empty list of replies
+const NO_REPLIES = { type: 'array', maxItems: 0 };
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Some errors carry more, such as the expiry of a ban',
+    properties: {
+      code: { type: 'string', example: 'invalid_field' },
+      message: { type: 'string' },
+      field: nullable({ type: 'string', description: 'The input field at fault' }),
+      error: { type: 'string', description: 'The message again, for older clients' }
+    },
+    required: ['code', 'message', 'field', 'error']
+  },
+  Message: object({ message: { type: 'string' } }),
+  Attachment: object({
+    file: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string' },
+    size: { type: 'integer', minimum: 1 },
+    url: { type: 'string' }
+  }),
+  QuoteSource: object({ thread_id: ID, reply_id: ID }, ['thread_id']),
+
+  Reply: post(REPLY, OPTIONAL_POST_FIELDS),
+  Thread: post(THREAD, OPTIONAL_THREAD_FIELDS),
+  ThreadPreview: post(THREAD, OPTIONAL_THREAD_FIELDS, V1_LIST_FIELDS),
+  ThreadPage: post(THREAD, OPTIONAL_THREAD_FIELDS, { ...V1_LIST_FIELDS, ...NEXT_CURSOR }),
+  CreatedThread: post(THREAD, OPTIONAL_THREAD_FIELDS, { replies: NO_REPLIES, _id: ID }),
+
+  ReplyResource: post(REPLY, OPTIONAL_POST_FIELDS, { links: LINKS }),
+  ThreadResource: post(THREAD, { ...OPTIONAL_THREAD_FIELDS, replies: NO_REPLIES }, { links: LINKS }),
+  ThreadPreviewResource: post(THREAD, OPTIONAL_THREAD_FIELDS, { ...V2_LIST_FIELDS, links: LINKS }),
+  ThreadDetailResource: post(THREAD, OPTIONAL_THREAD_FIELDS, { ...V2_LIST_FIELDS, ...NEXT_CURSOR, links: LINKS }),
+  ThreadList: object({ threads: arrayOf(ref('ThreadPreviewResource')), ...NEXT_CURSOR, links: LINKS }),
+  ReplyList: object({ replies: arrayOf(ref('ReplyResource')), reply_count: { type: 'integer', minimum: 0 }, ...NEXT_CURSOR, links: LINKS }),
+
+  Challenge: {
+    ...object({
+      token: { type: 'string', description: 'Sent back as pow_token with the post' },
+      algorithm: { type: 'string', enum: ['sha256'] },
+      difficulty: { type: 'integer', minimum: 0, description: 'Leading zero bits the hash must have' },
+      expires_on: DATE
+    }),
+    description: 'Find a pow_solution such that the hash of "<token>:<pow_solution>" starts with ' +
+      'difficulty zero bits. At difficulty 0 posts need no solution.'
+  }
+};
+
+// JSON Schema for each validate() field type
+const RULE_SCHEMAS = {
+  id: () => ID,
+  integer: ({ min = 1, max = Infinity }) => ({
+    type: 'integer',
+    minimum: min,
+    ...(max !== Infinity && { maximum: max, description: `Larger values are taken as ${max}` })
+  }),
+  string: ({ maxLength = Infinity }) => ({ type: 'string', ...(maxLength !== Infinity && { maxLength }) }),
+  boolean: () => ({ type: 'boolean' }),
+  enum: ({ values }) => ({ type: 'string', enum: values })
+};
+
+const ruleSchema = (rule) => {
+  if (!RULE_SCHEMAS[rule.type]) {
+    throw new Error(`No OpenAPI schema for field type ${rule.type}`);
+  }
+
+  return {
+    ...RULE_SCHEMAS[rule.type](rule),
+    ...(rule.default !== undefined && { default: rule.default })
+  };
+};
+
+// Express paths to OpenAPI ones: /api/threads/:board to /api/threads/{board}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const BOARD_PARAMETER = {
+  name: 'board',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', pattern: BOARD_NAME_PATTERN.source }
+};
+
+const parameters = (path, schema) => {
+  const inPath = (path.match(/:(\w+)/g) || []).map(param => {
+    const name = param.slice(1);
+    const rule = (schema.params || {})[name];
+
+    if (rule) {
+      return { name, in: 'path', required: true, schema: ruleSchema(rule) };
+    }
+    return name === 'board' ? BOARD_PARAMETER : { name, in: 'path', required: true, schema: { type: 'string' } };
+  });
+
+  const inQuery = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: ruleSchema(rule)
+  }));
+
+  return [...inPath, ...inQuery];
+};
+
+// Bodies may be JSON or form posts; routes taking files also accept
+// multipart forms with up to a few attachments
+const requestBody = (body, { uploads = false } = {}) => {
+  const properties = {};
+  Object.entries(body).forEach(([name, rule]) => { properties[name] = ruleSchema(rule); });
+
+  const schema = {
+    type: 'object',
+    properties,
+    required: Object.keys(body).filter(name => body[name].required)
+  };
+
+  const content = {
+    'application/json': { schema },
+    'application/x-www-form-urlencoded': { schema }
+  };
+
+  if (uploads) {
+    content['multipart/form-data'] = {
+      schema: {
+        ...schema,
+        properties: {
+          ...properties,
+          attachments: arrayOf({ type: 'string', format: 'binary' })
+        }
+      }
+    };
+  }
+
+  return { required: true, content };
+};
+
+// A response entry: a component schema name, or an array of one in brackets
+// ('[Thread]'), or null for no body
+const response = (status, body, headers) => {
+  const entry = { description: http.STATUS_CODES[status] };
+
+  if (body) {
+    const list = body.startsWith('[');
+    const schema = list ? arrayOf(ref(body.slice(1, -1))) : ref(body);
+    entry.content = { 'application/json': { schema } };
+  }
+
+  if (headers) {
+    entry.headers = {};
+    Object.entries(headers).forEach(([name, description]) => {
+      entry.headers[name] = { description, schema: { type: 'string' } };
+    });
+  }
+
+  return entry;
+};
+
+// The OpenAPI document for a list of operations, each
+// { method, path, tag, summary, schema, uploads, responses, headers } with
+// an Express path, the route's validate() schema and its responses by
+// status. Every operation can also fail validation or name an unknown board.
+const buildOpenApiDocument = ({ title, version, description }, operations) => {
+  const paths = {};
+
+  operations.forEach(({ method, path, tag, summary, schema = {}, uploads, responses, headers = {} }) => {
+    const openApiPath = toOpenApiPath(path);
+    const allResponses = { 400: 'Error', 404: 'Error', 500: 'Error', ...responses };
+    const operation = {
+      tags: [tag],
+      summary,
+      parameters: parameters(path, schema),
+      responses: {}
+    };
+
+    if (schema.body) {
+      operation.requestBody = requestBody(schema.body, { uploads });
+    }
+
+    Object.keys(allResponses).sort().forEach(status => {
+      operation.responses[status] = response(status, allResponses[status], headers[status]);
+    });
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = operation;
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: { title, version, description },
+    paths,
+    components: { schemas: COMPONENT_SCHEMAS }
+  };
+};
+
+module.exports = { toOpenApiPath, buildOpenApiDocument };
@@ -0,0 +1,33 @@
+'use strict';
+
+// Helpers for reading ids, flags and cursors out of requests
+
+// Parses a numeric id from a query or form value; null when it is not one
+const parseId = (value) => {
+  const id = Number(value);
+  return value !== '' && Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Accepts booleans from JSON bodies and "true"/"false" from form posts;
+// null for anything else
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { parseId, parseBoolean, encodeCursor, decodeCursor };
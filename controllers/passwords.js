@@ -0,0 +1,16 @@
+'use strict';
+
+const bcrypt = require('bcrypt');
+const { bcryptDuration, timeAsync } = require('./metrics');
+
+const BCRYPT_ROUNDS = 10;
+
+// Delete passwords are only ever stored as bcrypt hashes. Both operations
+// are timed, as they make up most of the time spent posting.
+const hashPassword = (password) =>
+  timeAsync(bcryptDuration, { operation: 'hash' }, () => bcrypt.hash(password, BCRYPT_ROUNDS));
+
+const comparePassword = (password, hash) =>
+  timeAsync(bcryptDuration, { operation: 'compare' }, () => bcrypt.compare(password, hash));
+
+module.exports = { hashPassword, comparePassword };
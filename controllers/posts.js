@@ -0,0 +1,468 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { sanitizeThread, sanitizeReply } = require('./sanitize');
+const { encodeCursor, decodeCursor } = require('./params');
+const { reportChanges } = require('./moderation');
+const { prepareText } = require('./text');
+const { parseIdentity } = require('./tripcode');
+const { isWithinEditWindow, editChanges } = require('./edits');
+const { isArchived, listLiveThreads, archiveOverflow } = require('./archive');
+const { saveUploads, releaseUploads } = require('./attachments');
+const { parseQuotes } = require('./quotes');
+const { isDeleted, tombstoneChanges, deleteThreadPost } = require('./tombstones');
+const { applyFilters, isHeld, holdChanges } = require('./filters');
+const { hashIp } = require('./bans');
+const { hashPassword, comparePassword } = require('./passwords');
+
+// Thread and reply operations behind every version of the posting API. Each
+// takes the board's settings and input already checked by validate(), and
+// returns what it produced, or a { status, error, code, field } refusal for
+// the route to send with sendRefusal().
+
+// Page sizes for the board view
+const THREAD_PAGE_SIZE = 10;
+const MAX_THREAD_PAGE_SIZE = 50;
+const REPLIES_PREVIEW = 3;
+const MAX_REPLIES_PREVIEW = 10;
+
+// Page sizes for the full-thread view
+const REPLY_PAGE_SIZE = 100;
+const MAX_REPLY_PAGE_SIZE = 500;
+
+// Sort keys for the board view, all in descending order
+const THREAD_SORTS = {
+  bumped: thread => +thread.bumped_on,
+  created: thread => +thread.created_on,
+  replies: thread => thread.replies.length
+};
+
+// Query rules for the two listings, for the routes' validate() schemas
+const THREAD_LIST_QUERY = {
+  sort: { type: 'enum', values: Object.keys(THREAD_SORTS), default: 'bumped' },
+  limit: { type: 'integer', max: MAX_THREAD_PAGE_SIZE, default: THREAD_PAGE_SIZE },
+  replies_preview: { type: 'integer', min: 0, max: MAX_REPLIES_PREVIEW, default: REPLIES_PREVIEW },
+  cursor: { type: 'string' }
+};
+
+const REPLY_LIST_QUERY = {
+  limit: { type: 'integer', max: MAX_REPLY_PAGE_SIZE, default: REPLY_PAGE_SIZE },
+  cursor: { type: 'string' }
+};
+
+const refuse = (status, error, { code, field } = {}) => ({ status, error, code, field });
+
+const INVALID_CURSOR = refuse(400, 'Invalid cursor', { code: 'invalid_field', field: 'cursor' });
+
+// The refusal for acting on a thread in its current state, or null when the
+// action can go ahead. Replies may still be added under a deleted thread,
+// and only posting and editing stop at a lock.
+const checkThread = (thread, { refuseDeleted = true, refuseLocked = false } = {}) => {
+  if (!thread) {
+    return refuse(404, 'Thread not found', { field: 'thread_id' });
+  }
+
+  if (isArchived(thread)) {
+    return refuse(403, 'Thread is archived', { code: 'thread_archived' });
+  }
+
+  if (refuseDeleted && isDeleted(thread)) {
+    return refuse(410, 'Thread is deleted');
+  }
+
+  if (refuseLocked && thread.locked) {
+    return refuse(423, 'Thread is locked', { code: 'thread_locked' });
+  }
+
+  return null;
+};
+
+const checkBoard = (board) =>
+  board.allow_new_threads ? null : refuse(403, 'Board is closed to new threads', { code: 'board_closed' });
+
+const checkReply = (reply) => {
+  if (!reply) {
+    return refuse(404, 'Reply not found', { field: 'reply_id' });
+  }
+
+  if (isDeleted(reply)) {
+    return refuse(410, 'Reply is deleted');
+  }
+
+  return null;
+};
+
+const checkPassword = async (password, post) =>
+  (await comparePassword(password, post.delete_password))
+    ? null
+    : refuse(403, 'Incorrect delete password', { code: 'incorrect_password', field: 'delete_password' });
+
+const checkEditWindow = (post, board) =>
+  isWithinEditWindow(post, board)
+    ? null
+    : refuse(403, 'Edit window has closed', { code: 'edit_window_closed' });
+
+// Cleans the text and holds it to the board's length limit
+const readText = (board, text) => {
+  const prepared = prepareText(text, board.max_text_length);
+  return prepared.error ? refuse(400, prepared.error, { code: 'invalid_field', field: 'text' }) : prepared;
+};
+
+// Word and regex filters may refuse, rewrite or hold the post
+const filterText = (board, text) => {
+  const filtered = applyFilters(board.name, text);
+  return filtered.error ? refuse(400, filtered.error, { code: 'filtered', field: 'text' }) : filtered;
+};
+
+// Everything a new post needs besides its place: text through the board's
+// rules and filters, optional name and tripcode, and attached files checked
+// by their content. Returns the fields to store and whether the post is held,
+// or a refusal. Files written here are held until releaseUploads().
+const readNewPost = (board, { text, name, files }) => {
+  const prepared = readText(board, text);
+  if (prepared.error) return prepared;
+
+  const filtered = filterText(board, prepared.text);
+  if (filtered.error) return filtered;
+
+  const identity = parseIdentity(name);
+
+  if (identity.error) {
+    return refuse(400, identity.error, { code: 'invalid_field', field: 'name' });
+  }
+
+  const uploads = saveUploads(files);
+
+  if (uploads.error) {
+    return refuse(400, uploads.error, { code: 'invalid_field', field: 'attachments' });
+  }
+
+  return {
+    held: filtered.held,
+    fields: {
+      text: filtered.text,
+      name: identity.name,
+      tripcode: identity.tripcode,
+      attachments: uploads.attachments
+    }
+  };
+};
+
+// One page of a board's threads with their latest replies. Sticky threads
+// come first whatever the sort.
+//
+// Pagination is keyset-based: the cursor holds the stickiness, sort key and id
+// of the last thread returned, and the next page starts strictly after it. A
+// thread bumped between two requests moves ahead of the cursor instead of
+// shifting every later thread, so pages never repeat or skip the threads that
+// did not change.
+const listThreads = (board, {
+  sort = 'bumped',
+  limit = THREAD_PAGE_SIZE,
+  cursor: encodedCursor = null,
+  repliesPreview = REPLIES_PREVIEW
+} = {}) => {
+  let cursor = null;
+  if (encodedCursor) {
+    cursor = decodeCursor(encodedCursor);
+
+    if (!cursor || cursor.sort !== sort || typeof cursor.key !== 'number' || !Number.isInteger(cursor.id)) {
+      return INVALID_CURSOR;
+    }
+  }
+
+  const sortKey = THREAD_SORTS[sort];
+  const rank = thread => (thread.sticky ? 1 : 0);
+  const isAfterCursor = (thread) => {
+    const cursorRank = cursor.sticky ? 1 : 0;
+    const key = sortKey(thread);
+    return rank(thread) < cursorRank || (rank(thread) === cursorRank &&
+      (key < cursor.key || (key === cursor.key && thread.thread_id < cursor.id)));
+  };
+
+  const remaining = listLiveThreads(board.name)
+    .filter(thread => !isHeld(thread) && (!cursor || isAfterCursor(thread)))
+    .sort((a, b) => rank(b) - rank(a) || sortKey(b) - sortKey(a) || b.thread_id - a.thread_id);
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    threads: page.map(thread => {
+      const replies = thread.replies.filter(reply => !isHeld(reply));
+
+      return {
+        ...sanitizeThread(thread),
+        reply_count: replies.length,
+        replies: replies
+          .sort((a, b) => b.created_on - a.created_on)
+          .slice(0, repliesPreview)
+          .map(sanitizeReply)
+      };
+    }),
+    nextCursor: remaining.length > limit
+      ? encodeCursor({ sort, sticky: Boolean(last.sticky), key: sortKey(last), id: last.thread_id })
+      : null
+  };
+};
+
+// A whole thread with one page of its replies in posting order; held threads
+// are not shown until released
+const getThread = (board, threadId, { limit = REPLY_PAGE_SIZE, cursor = null } = {}) => {
+  // The cursor holds the id of the last reply already returned
+  let after = 0;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+
+    if (!position || !Number.isInteger(position.after)) {
+      return INVALID_CURSOR;
+    }
+
+    after = position.after;
+  }
+
+  const thread = threadStorage.findThread(board.name, threadId);
+
+  if (!thread || isHeld(thread)) {
+    return refuse(404, 'Thread not found', { field: 'thread_id' });
+  }
+
+  // Ids only ever grow, so they make a stable cursor
+  const replies = thread.replies.filter(reply => !isHeld(reply));
+  const remaining = replies
+    .filter(r => r.reply_id > after)
+    .sort((a, b) => a.reply_id - b.reply_id);
+  const page = remaining.slice(0, limit);
+
+  return {
+    thread: {
+      ...sanitizeThread(thread),
+      reply_count: replies.length,
+      replies: page.map(sanitizeReply)
+    },
+    nextCursor: remaining.length > limit ? encodeCursor({ after: page[page.length - 1].reply_id }) : null
+  };
+};
+
+// One reply, as shown in its thread
+const getReply = (board, threadId, replyId) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+
+  if (!thread || isHeld(thread)) {
+    return refuse(404, 'Thread not found', { field: 'thread_id' });
+  }
+
+  const reply = threadStorage.findReply(board.name, threadId, replyId);
+
+  if (!reply || isHeld(reply)) {
+    return refuse(404, 'Reply not found', { field: 'reply_id' });
+  }
+
+  return { reply: sanitizeReply(reply) };
+};
+
+// Starts a thread. A held thread is stored but not shown yet.
+const createThread = async (board, { text, delete_password, name, files, ip }) => {
+  const closed = checkBoard(board);
+  if (closed) return closed;
+
+  const post = readNewPost(board, { text, name, files });
+  if (post.error) return post;
+
+  try {
+    const deletePassword = await hashPassword(delete_password);
+
+    // The board may have closed while bcrypt ran; from here on nothing waits
+    const current = threadStorage.findBoard(board.name);
+    const closedSince = checkBoard(current);
+    if (closedSince) return closedSince;
+
+    const now = new Date();
+    const thread = threadStorage.createThread({
+      board: board.name,
+      ...post.fields,
+      quotes: parseQuotes(board.name, null, post.fields.text),
+      delete_password: deletePassword,
+      ip_hash: hashIp(ip),
+      created_on: now,
+      bumped_on: now,
+      reported: false,
+      ...(post.held && holdChanges({}, post.held))
+    });
+
+    // Make room under the board's cap by archiving the stalest threads; held
+    // threads make room once released
+    if (!post.held) {
+      archiveOverflow(current);
+    }
+
+    return { thread: sanitizeThread(thread), held: Boolean(post.held) };
+  } finally {
+    releaseUploads(post.fields.attachments);
+  }
+};
+
+// Removes a thread, or leaves a tombstone while it has replies
+const deleteThread = async (board, threadId, { delete_password }) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+  const refusal = checkThread(thread) || await checkPassword(delete_password, thread);
+  if (refusal) return refusal;
+
+  deleteThreadPost(board.name, thread);
+  return {};
+};
+
+// Marks a thread as reported and queues it for the moderators
+const reportThread = (board, threadId, { reason }) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+  const refusal = checkThread(thread);
+  if (refusal) return refusal;
+
+  threadStorage.updateThread(board.name, threadId, reportChanges(thread, reason));
+  return {};
+};
+
+// Replaces a thread's text, keeping the previous revision
+const editThread = async (board, threadId, { text, delete_password }) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+  const refusal = checkThread(thread, { refuseLocked: true }) || checkEditWindow(thread, board);
+  if (refusal) return refusal;
+
+  const prepared = readText(board, text);
+  if (prepared.error) return prepared;
+
+  const wrongPassword = await checkPassword(delete_password, thread);
+  if (wrongPassword) return wrongPassword;
+
+  // Edits go through the same filters as new posts
+  const filtered = filterText(board, prepared.text);
+  if (filtered.error) return filtered;
+
+  const edited = threadStorage.updateThread(board.name, threadId, {
+    ...editChanges(thread, filtered.text),
+    quotes: parseQuotes(board.name, thread.thread_id, filtered.text),
+    ...(filtered.held && holdChanges(thread, filtered.held))
+  });
+
+  return { thread: sanitizeThread(edited) };
+};
+
+// Adds a reply and bumps its thread. A held reply is stored but neither
+// shown nor bumps the thread.
+const createReply = async (board, threadId, { text, delete_password, name, files, ip }) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+  const refusal = checkThread(thread, { refuseDeleted: false, refuseLocked: true });
+  if (refusal) return refusal;
+
+  const post = readNewPost(board, { text, name, files });
+  if (post.error) return post;
+
+  try {
+    const deletePassword = await hashPassword(delete_password);
+
+    // The thread may have been deleted, locked or archived while bcrypt ran;
+    // from here on nothing waits
+    const lateRefusal = checkThread(threadStorage.findThread(board.name, threadId), {
+      refuseDeleted: false,
+      refuseLocked: true
+    });
+    if (lateRefusal) return lateRefusal;
+
+    const reply = threadStorage.createReply(board.name, threadId, {
+      ...post.fields,
+      quotes: parseQuotes(board.name, thread.thread_id, post.fields.text),
+      delete_password: deletePassword,
+      ip_hash: hashIp(ip),
+      created_on: new Date(),
+      reported: false,
+      ...(post.held && holdChanges({}, post.held))
+    });
+
+    if (!post.held) {
+      threadStorage.updateThread(board.name, threadId, { bumped_on: new Date() });
+    }
+
+    return { reply: sanitizeReply(reply), held: Boolean(post.held) };
+  } finally {
+    releaseUploads(post.fields.attachments);
+  }
+};
+
+// Looks up a reply for an action on it, checking its thread first. Returns
+// { thread, reply } or a refusal.
+const findReplyFor = (board, threadId, replyId) => {
+  const thread = threadStorage.findThread(board.name, threadId);
+  const threadRefusal = checkThread(thread, { refuseDeleted: false });
+  if (threadRefusal) return threadRefusal;
+
+  const reply = threadStorage.findReply(board.name, threadId, replyId);
+  return checkReply(reply) || { thread, reply };
+};
+
+// Leaves a tombstone in the reply's place
+const deleteReply = async (board, threadId, replyId, { delete_password }) => {
+  const found = findReplyFor(board, threadId, replyId);
+  if (found.error) return found;
+
+  const wrongPassword = await checkPassword(delete_password, found.reply);
+  if (wrongPassword) return wrongPassword;
+
+  threadStorage.updateReply(board.name, threadId, replyId, tombstoneChanges());
+  return {};
+};
+
+// Marks a reply as reported and queues it for the moderators
+const reportReply = (board, threadId, replyId, { reason }) => {
+  const found = findReplyFor(board, threadId, replyId);
+  if (found.error) return found;
+
+  threadStorage.updateReply(board.name, threadId, replyId, reportChanges(found.reply, reason));
+  return {};
+};
+
+// Replaces a reply's text, keeping the previous revision
+const editReply = async (board, threadId, replyId, { text, delete_password }) => {
+  const found = findReplyFor(board, threadId, replyId);
+  if (found.error) return found;
+
+  const { thread, reply } = found;
+
+  if (thread.locked) {
+    return refuse(423, 'Thread is locked', { code: 'thread_locked' });
+  }
+
+  const closed = checkEditWindow(reply, board);
+  if (closed) return closed;
+
+  const prepared = readText(board, text);
+  if (prepared.error) return prepared;
+
+  const wrongPassword = await checkPassword(delete_password, reply);
+  if (wrongPassword) return wrongPassword;
+
+  const filtered = filterText(board, prepared.text);
+  if (filtered.error) return filtered;
+
+  const edited = threadStorage.updateReply(board.name, threadId, replyId, {
+    ...editChanges(reply, filtered.text),
+    quotes: parseQuotes(board.name, thread.thread_id, filtered.text),
+    ...(filtered.held && holdChanges(reply, filtered.held))
+  });
+
+  return { reply: sanitizeReply(edited) };
+};
+
+module.exports = {
+  THREAD_LIST_QUERY,
+  REPLY_LIST_QUERY,
+  listThreads,
+  getThread,
+  getReply,
+  createThread,
+  deleteThread,
+  reportThread,
+  editThread,
+  createReply,
+  deleteReply,
+  reportReply,
+  editReply
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+
+// References past this many in one post stay plain text
+const MAX_QUOTES = 20;
+
+// ">>123", but not the ">>>" that starts a cross-board reference
+const QUOTE_PATTERN = /(?<!>)>>(\d+)(?!\d)/g;
+
+const postKey = ({ thread_id, reply_id }) =>
+  reply_id ? `reply:${reply_id}` : `thread:${thread_id}`;
+
+// Thread and reply ids are counted separately, so a number can name both a
+// thread and a reply. Posts close to the one being written win: its own
+// thread, a reply in that thread, then any reply and finally any thread on
+// the board. Returns the target, or null when nothing on the board matches.
+const resolveQuote = (board, threadId, id) => {
+  if (id === threadId) return { thread_id: id };
+
+  const thread = threadId === null ? null : threadStorage.findThread(board, threadId);
+  if (thread && thread.replies.some(reply => reply.reply_id === id)) {
+    return { thread_id: threadId, reply_id: id };
+  }
+
+  const owner = threadStorage.listThreads(board)
+    .find(t => t.replies.some(reply => reply.reply_id === id));
+  if (owner) return { thread_id: owner.thread_id, reply_id: id };
+
+  if (threadStorage.findThread(board, id)) return { thread_id: id };
+
+  return null;
+};
+
+// The ">>id" references in a post's text that point at posts on the same
+// board, as the { id, thread_id, reply_id } to store on the post. threadId
+// is the thread the post belongs to, or null for a new thread.
+const parseQuotes = (board, threadId, text) => {
+  const ids = Array.from(String(text).matchAll(QUOTE_PATTERN), match => Number(match[1]))
+    .filter((id, i, all) => Number.isSafeInteger(id) && id > 0 && all.indexOf(id) === i)
+    .slice(0, MAX_QUOTES);
+
+  return ids
+    .map(id => {
+      const target = resolveQuote(board, threadId, id);
+      return target && { id, ...target };
+    })
+    .filter(Boolean);
+};
+
+// Which posts quote which. Kept in step with every storage change, so a post
+// removed by whatever route drops out of the quoted_by lists it was in, and
+// quotes of it stop being links. Posts a filter holds stay out of both until
+// a moderator releases them.
+function createQuoteIndex(storage) {
+  const posts = new Map(); // post key -> { board, thread_id, reply_id, quotes }
+  const quotedBy = new Map(); // target key -> Map of source key -> source
+  const threadPosts = new Map(); // thread_id -> Set of post keys
+  const heldPosts = new Set(); // post keys
+
+  function setHeld(key, held) {
+    if (held) {
+      heldPosts.add(key);
+    } else {
+      heldPosts.delete(key);
+    }
+  }
+
+  function unlinkQuotes(key) {
+    const post = posts.get(key);
+    if (!post) return;
+
+    post.quotes.forEach(quote => {
+      const sources = quotedBy.get(postKey(quote));
+      if (!sources) return;
+      sources.delete(key);
+      if (sources.size === 0) quotedBy.delete(postKey(quote));
+    });
+  }
+
+  function addPost(board, source, quotes = []) {
+    const key = postKey(source);
+    unlinkQuotes(key);
+    posts.set(key, { board, ...source, quotes });
+
+    quotes.forEach(quote => {
+      const target = postKey(quote);
+      if (!quotedBy.has(target)) quotedBy.set(target, new Map());
+      quotedBy.get(target).set(key, source);
+    });
+
+    if (!threadPosts.has(source.thread_id)) threadPosts.set(source.thread_id, new Set());
+    threadPosts.get(source.thread_id).add(key);
+  }
+
+  function removePost(key) {
+    unlinkQuotes(key);
+    posts.delete(key);
+    quotedBy.delete(key);
+    heldPosts.delete(key);
+  }
+
+  function addThread(thread) {
+    addPost(thread.board, { thread_id: thread.thread_id }, thread.quotes);
+    setHeld(postKey(thread), thread.held);
+
+    thread.replies.forEach(reply => {
+      const source = { thread_id: thread.thread_id, reply_id: reply.reply_id };
+      addPost(thread.board, source, reply.quotes);
+      setHeld(postKey(source), reply.held);
+    });
+  }
+
+  function clear() {
+    posts.clear();
+    quotedBy.clear();
+    threadPosts.clear();
+    heldPosts.clear();
+  }
+
+  function rebuild(source) {
+    clear();
+    source.listThreads().forEach(addThread);
+  }
+
+  // Keeps the index in step with one committed storage mutation
+  function applyChange(op) {
+    switch (op.type) {
+      case 'thread:create':
+        addThread(op.thread);
+        break;
+
+      case 'thread:update':
+        if (op.changes.quotes !== undefined) {
+          addPost(op.board, { thread_id: op.thread_id }, op.changes.quotes);
+        }
+        if (op.changes.held !== undefined) {
+          setHeld(postKey(op), op.changes.held);
+        }
+        break;
+
+      case 'thread:delete':
+        (threadPosts.get(op.thread_id) || new Set()).forEach(removePost);
+        threadPosts.delete(op.thread_id);
+        break;
+
+      case 'reply:create': {
+        const source = { thread_id: op.thread_id, reply_id: op.reply.reply_id };
+        addPost(op.board, source, op.reply.quotes);
+        setHeld(postKey(source), op.reply.held);
+        break;
+      }
+
+      case 'reply:update':
+        if (op.changes.quotes !== undefined) {
+          addPost(op.board, { thread_id: op.thread_id, reply_id: op.reply_id }, op.changes.quotes);
+        }
+        if (op.changes.held !== undefined) {
+          setHeld(postKey(op), op.changes.held);
+        }
+        break;
+
+      case 'reply:delete': {
+        const key = postKey(op);
+        removePost(key);
+        if (threadPosts.has(op.thread_id)) threadPosts.get(op.thread_id).delete(key);
+        break;
+      }
+
+      case 'reset':
+        clear();
+        break;
+    }
+  }
+
+  // The posts quoting the given one, oldest first
+  function quotedByOf(post) {
+    const sources = quotedBy.get(postKey(post));
+    if (!sources) return [];
+
+    return Array.from(sources.entries())
+      .filter(([key]) => !heldPosts.has(key))
+      .map(([, source]) => source)
+      .sort((a, b) => (a.reply_id || 0) - (b.reply_id || 0) || a.thread_id - b.thread_id);
+  }
+
+  // Where each quoted id in the post links to, leaving out posts that are
+  // gone since it was written or held
+  function linksOf(post) {
+    const links = {};
+
+    (post.quotes || []).forEach(quote => {
+      const target = posts.get(postKey(quote));
+      if (!target || heldPosts.has(postKey(quote))) return;
+
+      const threadPath = `/b/${encodeURIComponent(target.board)}/${target.thread_id}`;
+      links[quote.id] = target.reply_id ? `${threadPath}#reply-${target.reply_id}` : threadPath;
+    });
+
+    return links;
+  }
+
+  storage.on('use', rebuild);
+  storage.on('change', applyChange);
+
+  return { quotedBy: quotedByOf, links: linksOf };
+}
+
+const quoteIndex = createQuoteIndex(threadStorage);
+
+module.exports = { QUOTE_PATTERN, parseQuotes, quoteIndex };
@@ -0,0 +1,113 @@
+'use strict';
+
+const { sendError } = require('./errors');
+
+// Budgets per client IP, as "<requests>/<seconds>", overridable from the
+// environment. Each budget is a token bucket that holds <requests> tokens and
+// refills completely over <seconds>.
+const DEFAULT_BUDGETS = {
+  thread: '5/60',
+  reply: '20/60',
+  report: '10/60',
+  delete: '10/60',
+  edit: '10/60'
+};
+
+const BUDGET_ENV = {
+  thread: 'RATE_LIMIT_THREAD',
+  reply: 'RATE_LIMIT_REPLY',
+  report: 'RATE_LIMIT_REPORT',
+  delete: 'RATE_LIMIT_DELETE',
+  edit: 'RATE_LIMIT_EDIT'
+};
+
+// Buckets tracked per limiter before the least recently used are evicted
+const MAX_TRACKED_CLIENTS = 10000;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Parses "<requests>/<seconds>"; falls back to the default when malformed
+const parseBudget = (value, fallback) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (match && Number(match[1]) >= 1 && Number(match[2]) >= 1) {
+    return { capacity: Number(match[1]), seconds: Number(match[2]) };
+  }
+  return fallback === undefined ? null : parseBudget(fallback);
+};
+
+// Token bucket limiter keyed by client. A bucket that has refilled completely
+// is no different from a missing one, so the sweeper drops those and memory
+// only grows with the clients that were active recently.
+function createRateLimiter({ capacity, seconds, maxKeys = MAX_TRACKED_CLIENTS }) {
+  const ratePerMs = capacity / (seconds * 1000);
+  const buckets = new Map();
+
+  const refilled = (bucket, now) =>
+    Math.min(capacity, bucket.tokens + (now - bucket.updated) * ratePerMs);
+
+  // Spends a token for the key. When none is left, says how many seconds
+  // until the next one.
+  function take(key, now = Date.now()) {
+    const bucket = buckets.get(key) || { tokens: capacity, updated: now };
+    bucket.tokens = refilled(bucket, now);
+    bucket.updated = now;
+
+    // Re-insert so the Map stays ordered from least to most recently used
+    buckets.delete(key);
+    buckets.set(key, bucket);
+
+    if (buckets.size > maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true };
+    }
+
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / ratePerMs / 1000) };
+  }
+
+  function sweep(now = Date.now()) {
+    buckets.forEach((bucket, key) => {
+      if (refilled(bucket, now) >= capacity) buckets.delete(key);
+    });
+  }
+
+  return {
+    take,
+    sweep,
+    size: () => buckets.size,
+    reset: () => buckets.clear()
+  };
+}
+
+// One limiter per budget
+const limiters = {};
+Object.keys(DEFAULT_BUDGETS).forEach(action => {
+  limiters[action] = createRateLimiter(
+    parseBudget(process.env[BUDGET_ENV[action]], DEFAULT_BUDGETS[action])
+  );
+});
+
+const sweeper = setInterval(() => {
+  Object.values(limiters).forEach(limiter => limiter.sweep());
+}, SWEEP_INTERVAL);
+sweeper.unref();
+
+// Route middleware charging one request to the client's budget for the action
+const rateLimit = (action) => (req, res, next) => {
+  const { allowed, retryAfter } = limiters[action].take(req.ip);
+
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, 'Too many requests, try again later');
+  }
+
+  next();
+};
+
+const resetRateLimits = () => {
+  Object.values(limiters).forEach(limiter => limiter.reset());
+};
+
+module.exports = { parseBudget, createRateLimiter, rateLimit, resetRateLimits };
@@ -0,0 +1,48 @@
+'use strict';
+
+const { renderMarkup } = require('./text');
+const { DEFAULT_NAME } = require('./tripcode');
+const { describeAttachment } = require('./attachments');
+const { quoteIndex } = require('./quotes');
+
+// Strip the fields that must never leave the server: password and poster IP
+// hashes, everything the moderators keep about reports, and edit history.
+// Text goes out twice: raw, and rendered to safe HTML for pages to insert.
+// Posts from before names existed go out as Anonymous, and attachments go
+// out with their URLs. Quotes of other posts become links in the HTML, and
+// every post lists the posts quoting it. Threads always say whether they are
+// sticky or locked.
+
+const identity = (post) => ({
+  name: post.name || DEFAULT_NAME,
+  tripcode: post.tripcode || null
+});
+
+const attachments = (post) => (post.attachments || []).map(describeAttachment);
+
+const sanitizeReply = (reply) => {
+  const { delete_password, ip_hash, reported, report_count, reports, revisions, quotes, ...safeReply } = reply;
+  return {
+    ...safeReply,
+    ...identity(reply),
+    attachments: attachments(reply),
+    quoted_by: quoteIndex.quotedBy(reply),
+    html: renderMarkup(reply.text, quoteIndex.links(reply))
+  };
+};
+
+// Replies are left out; callers pick and sanitize the ones they return
+const sanitizeThread = (thread) => {
+  const { delete_password, ip_hash, reported, report_count, reports, revisions, quotes, replies, ...safeThread } = thread;
+  return {
+    ...safeThread,
+    ...identity(thread),
+    attachments: attachments(thread),
+    sticky: Boolean(thread.sticky),
+    locked: Boolean(thread.locked),
+    quoted_by: quoteIndex.quotedBy(thread),
+    html: renderMarkup(thread.text, quoteIndex.links(thread))
+  };
+};
+
+module.exports = { sanitizeThread, sanitizeReply };
@@ -0,0 +1,274 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+
+// BM25 ranking parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multiplier for documents that contain a quoted phrase verbatim
+const PHRASE_BOOST = 1.5;
+
+// Lowercases, folds accents and splits on anything that is not a letter or digit
+const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+// Splits a query into "quoted phrases", prefix* terms and plain terms.
+// Every clause has to match for a document to be returned.
+const parseQuery = (query) => {
+  const clauses = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    if (match[1] !== undefined) {
+      const terms = tokenize(match[1]);
+      if (terms.length === 1) clauses.push({ type: 'term', term: terms[0] });
+      if (terms.length > 1) clauses.push({ type: 'phrase', terms });
+      continue;
+    }
+
+    const isPrefix = match[2].endsWith('*');
+    const terms = tokenize(match[2]);
+    terms.forEach((term, i) => {
+      const type = isPrefix && i === terms.length - 1 ? 'prefix' : 'term';
+      clauses.push({ type, term });
+    });
+  }
+
+  return clauses;
+};
+
+// Inverted index over thread and reply text. Documents are keyed
+// "thread:<id>" or "reply:<id>"; each term maps to the documents it occurs in
+// and the positions it occurs at, which phrase matching needs.
+function createSearchIndex(storage) {
+  const docs = new Map();
+  const postings = new Map();
+  const threadDocs = new Map(); // thread_id -> keys of the thread and its replies
+  let totalLength = 0;
+  let stale = true;
+
+  function addDoc(key, doc) {
+    removeDoc(key);
+
+    const tokens = tokenize(doc.text);
+    docs.set(key, { ...doc, length: tokens.length });
+    totalLength += tokens.length;
+
+    tokens.forEach((term, position) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const termDocs = postings.get(term);
+      if (!termDocs.has(key)) termDocs.set(key, []);
+      termDocs.get(key).push(position);
+    });
+
+    if (!threadDocs.has(doc.thread_id)) threadDocs.set(doc.thread_id, new Set());
+    threadDocs.get(doc.thread_id).add(key);
+  }
+
+  function removeDoc(key) {
+    const doc = docs.get(key);
+    if (!doc) return;
+
+    tokenize(doc.text).forEach(term => {
+      const termDocs = postings.get(term);
+      if (!termDocs) return;
+      termDocs.delete(key);
+      if (termDocs.size === 0) postings.delete(term);
+    });
+
+    docs.delete(key);
+    totalLength -= doc.length;
+
+    const keys = threadDocs.get(doc.thread_id);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) threadDocs.delete(doc.thread_id);
+    }
+  }
+
+  // Tombstones have no text worth finding, and held posts are not public
+  const addThread = (thread) => {
+    const key = `thread:${thread.thread_id}`;
+    if (thread.deleted_on || thread.held) return removeDoc(key);
+
+    addDoc(key, {
+      type: 'thread',
+      board: thread.board,
+      thread_id: thread.thread_id,
+      text: thread.text,
+      created_on: thread.created_on
+    });
+  };
+
+  const addReply = (board, threadId, reply) => {
+    const key = `reply:${reply.reply_id}`;
+    if (reply.deleted_on || reply.held) return removeDoc(key);
+
+    addDoc(key, {
+      type: 'reply',
+      board,
+      thread_id: threadId,
+      reply_id: reply.reply_id,
+      text: reply.text,
+      created_on: reply.created_on
+    });
+  };
+
+  function clear() {
+    docs.clear();
+    postings.clear();
+    threadDocs.clear();
+    totalLength = 0;
+  }
+
+  function rebuild() {
+    clear();
+    storage.listThreads().forEach(thread => {
+      addThread(thread);
+      thread.replies.forEach(reply => addReply(thread.board, thread.thread_id, reply));
+    });
+    stale = false;
+  }
+
+  // Keeps the index in step with one committed storage mutation
+  function applyChange(op) {
+    if (stale) return;
+
+    switch (op.type) {
+      case 'thread:create':
+        addThread(op.thread);
+        break;
+
+      case 'thread:update':
+        if (op.changes.text !== undefined || op.changes.held !== undefined) {
+          addThread(storage.findThread(op.board, op.thread_id));
+        }
+        break;
+
+      case 'thread:delete': {
+        const keys = threadDocs.get(op.thread_id);
+        if (keys) Array.from(keys).forEach(removeDoc);
+        break;
+      }
+
+      case 'reply:create':
+        addReply(op.board, op.thread_id, op.reply);
+        break;
+
+      case 'reply:update':
+        if (op.changes.text !== undefined || op.changes.held !== undefined) {
+          addReply(op.board, op.thread_id, storage.findReply(op.board, op.thread_id, op.reply_id));
+        }
+        break;
+
+      case 'reply:delete':
+        removeDoc(`reply:${op.reply_id}`);
+        break;
+
+      case 'reset':
+        clear();
+        break;
+    }
+  }
+
+  // Documents matching one clause, with the term frequencies that matched
+  function matchClause(clause) {
+    const matches = new Map(); // key -> [{ term, tf }]
+    const addMatches = (term) => {
+      const termDocs = postings.get(term);
+      if (!termDocs) return;
+      termDocs.forEach((positions, key) => {
+        if (!matches.has(key)) matches.set(key, []);
+        matches.get(key).push({ term, tf: positions.length });
+      });
+    };
+
+    if (clause.type === 'term') {
+      addMatches(clause.term);
+    } else if (clause.type === 'prefix') {
+      // Scans the vocabulary, not the documents
+      postings.forEach((termDocs, term) => {
+        if (term.startsWith(clause.term)) addMatches(term);
+      });
+    } else {
+      clause.terms.forEach(addMatches);
+      matches.forEach((found, key) => {
+        if (!containsPhrase(key, clause.terms)) matches.delete(key);
+      });
+    }
+
+    return matches;
+  }
+
+  // Whether the terms occur in the document at consecutive positions
+  function containsPhrase(key, terms) {
+    const positionSets = terms.map(term => {
+      const termDocs = postings.get(term);
+      return new Set(termDocs && termDocs.get(key));
+    });
+
+    return Array.from(positionSets[0]).some(start =>
+      positionSets.every((positions, offset) => positions.has(start + offset))
+    );
+  }
+
+  // BM25 score of one term in one document
+  function termScore(term, tf, doc) {
+    const df = postings.get(term).size;
+    const idf = Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+    const avgLength = totalLength / docs.size || 1;
+    return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+  }
+
+  // Ranked documents matching every clause of the query
+  function search(query, { board } = {}) {
+    if (stale) rebuild();
+
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return [];
+
+    const scores = new Map();
+    clauses.forEach((clause, i) => {
+      const matches = matchClause(clause);
+
+      // Intersect with the documents that matched every earlier clause
+      Array.from(scores.keys()).forEach(key => {
+        if (!matches.has(key)) scores.delete(key);
+      });
+
+      matches.forEach((found, key) => {
+        if (i > 0 && !scores.has(key)) return;
+
+        const doc = docs.get(key);
+        if (board !== undefined && doc.board !== board) return;
+
+        let score = found.reduce((sum, { term, tf }) => sum + termScore(term, tf, doc), 0);
+        if (clause.type === 'phrase') score *= PHRASE_BOOST;
+        scores.set(key, (scores.get(key) || 0) + score);
+      });
+    });
+
+    return Array.from(scores, ([key, score]) => {
+      const { length, ...doc } = docs.get(key);
+      return { ...doc, score };
+    }).sort((a, b) => b.score - a.score || b.created_on - a.created_on);
+  }
+
+  storage.on('use', () => {
+    stale = true;
+  });
+  storage.on('change', applyChange);
+
+  return { search, rebuild };
+}
+
+// The index behind GET /api/search
+const searchIndex = createSearchIndex(threadStorage);
+
+module.exports = { tokenize, parseQuery, createSearchIndex, searchIndex };
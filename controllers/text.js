@@ -0,0 +1,98 @@
+'use strict';
+
+// Hard cap for any post, whatever the board allows
+const MAX_TEXT_LENGTH = 10000;
+
+// C0 controls except tab and newline, DEL, C1 controls, and the bidi
+// overrides and isolates that can disguise what a post says
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g;
+
+// Punctuation that ends a sentence rather than the URL before it
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/g;
+const URL_TRAILING_PUNCTUATION = /[.,:;!?)\]]+$/;
+
+// An escaped ">>123" that is not part of a ">>>"
+const QUOTE_LINK_PATTERN = /(?<!&gt;)&gt;&gt;(\d+)(?!\d)/g;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Unifies line endings, strips unsafe characters and surrounding whitespace
+const normalizeText = (text) =>
+  String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(UNSAFE_CHARACTERS, '')
+    .trim();
+
+// Normalizes post text and checks it against the length limit. Returns
+// { text } or { error }.
+const prepareText = (text, maxLength = MAX_TEXT_LENGTH) => {
+  if (typeof text !== 'string') {
+    return { error: 'text is required' };
+  }
+
+  const normalized = normalizeText(text);
+  const limit = Math.min(maxLength, MAX_TEXT_LENGTH);
+
+  if (!normalized) {
+    return { error: 'text is required' };
+  }
+
+  if (normalized.length > limit) {
+    return { error: `text must be at most ${limit} characters` };
+  }
+
+  return { text: normalized };
+};
+
+// Links every URL in already-escaped text
+const linkUrls = (escaped) =>
+  escaped.replace(URL_PATTERN, (match) => {
+    const url = match.replace(URL_TRAILING_PUNCTUATION, '');
+    const rest = match.slice(url.length);
+    return `<a href="${url}" rel="nofollow noopener noreferrer">${url}</a>${rest}`;
+  });
+
+// Links the ">>id" references that have a target in quoteLinks (id -> href);
+// the others stay text
+const linkQuotes = (escaped, quoteLinks) =>
+  escaped.replace(QUOTE_LINK_PATTERN, (match, id) =>
+    Object.prototype.hasOwnProperty.call(quoteLinks, id)
+      ? `<a class="quotelink" href="${escapeHtml(quoteLinks[id])}">${match}</a>`
+      : match);
+
+// Spoilers and links for text outside of code spans
+const renderInline = (escaped, quoteLinks) =>
+  linkQuotes(linkUrls(escaped), quoteLinks).replace(
+    /\[spoiler\]([\s\S]*?)\[\/spoiler\]/g,
+    '<span class="spoiler">$1</span>'
+  );
+
+// Renders one line: `code` spans are left verbatim, the rest gets inline markup
+const renderLine = (line, quoteLinks) => {
+  const html = escapeHtml(line)
+    .split(/(`[^`]+`)/)
+    .map(part => /^`[^`]+`$/.test(part)
+      ? `<code>${part.slice(1, -1)}</code>`
+      : renderInline(part, quoteLinks))
+    .join('');
+
+  // Greentext: a line quoting something starts with a single ">"
+  return /^>(?!>)/.test(line) ? `<span class="quote">${html}</span>` : html;
+};
+
+// Renders the safe markup subset to HTML. Everything the poster typed is
+// escaped first, so the only tags in the output are the ones added here.
+// quoteLinks maps the ids of ">>id" references to the URLs they link to.
+const renderMarkup = (text, quoteLinks = {}) =>
+  normalizeText(text || '')
+    .split('\n')
+    .map(line => renderLine(line, quoteLinks))
+    .join('<br>');
+
+module.exports = { MAX_TEXT_LENGTH, escapeHtml, normalizeText, prepareText, renderMarkup };
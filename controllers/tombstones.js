@@ -0,0 +1,55 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+
+// All that is left of a deleted post's text
+const DELETED_TEXT = '[deleted]';
+
+const isDeleted = (post) => Boolean(post.deleted_on);
+
+// Changes that turn a post into a tombstone. Its id and place in the thread
+// stay, so replies and quotes around it still make sense, but its content
+// goes along with everything kept about that content.
+const tombstoneChanges = () => ({
+  text: DELETED_TEXT,
+  deleted_on: new Date(),
+  attachments: [],
+  quotes: [],
+  revisions: []
+});
+
+// Deletes a thread for its poster. While replies that are not deleted
+// themselves hang off it the thread stays as a tombstone; otherwise nothing
+// is left to hold together and it goes for good.
+const deleteThreadPost = (board, thread) => {
+  if (thread.replies.some(reply => !isDeleted(reply))) {
+    return threadStorage.updateThread(board, thread.thread_id, tombstoneChanges());
+  }
+  return threadStorage.deleteThread(board, thread.thread_id);
+};
+
+// Hard-deletes the tombstones on a board, or in one thread of it: deleted
+// replies, then deleted threads that have no replies left. Returns how many
+// posts went.
+const purgeTombstones = (board, threadId) => {
+  const threads = threadId === undefined
+    ? threadStorage.listThreads(board)
+    : [threadStorage.findThread(board, threadId)].filter(Boolean);
+  let purged = 0;
+
+  threads.forEach(thread => {
+    thread.replies.filter(isDeleted).forEach(reply => {
+      threadStorage.deleteReply(board, thread.thread_id, reply.reply_id);
+      purged += 1;
+    });
+
+    if (isDeleted(thread) && thread.replies.length === 0) {
+      threadStorage.deleteThread(board, thread.thread_id);
+      purged += 1;
+    }
+  });
+
+  return purged;
+};
+
+module.exports = { DELETED_TEXT, isDeleted, tombstoneChanges, deleteThreadPost, purgeTombstones };
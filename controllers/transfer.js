@@ -0,0 +1,331 @@
+'use strict';
+
+const crypto = require('crypto');
+const { threadStorage } = require('../storage');
+const { parseBoardSettings, createBoard } = require('./boards');
+const { archiveOverflow } = require('./archive');
+const { FILE_PATTERN } = require('./attachments');
+const { QUOTE_PATTERN } = require('./quotes');
+const { isHeld } = require('./filters');
+const { hashPassword } = require('./passwords');
+const { prepareText } = require('./text');
+const { prepareName } = require('./tripcode');
+
+// Fields only moderators see in an export; the poster's IP hash is never
+// exported at all, and password hashes only on request
+const MODERATOR_FIELDS = ['reported', 'report_count', 'reports', 'revisions', 'held'];
+
+const BOARD_FIELDS = [
+  'title', 'description', 'max_text_length', 'max_threads', 'allow_new_threads', 'edit_window', 'pow_difficulty'
+];
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Dates travel as ISO strings, in fields ending in _on as they are stored
+const reviveDates = (key, value) =>
+  typeof value === 'string' && key.endsWith('_on') ? new Date(value) : value;
+
+const isDate = (value) => value instanceof Date && !Number.isNaN(+value);
+const isDateOrNull = (value) => value === null || isDate(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isId = (value) => Number.isInteger(value) && value > 0;
+const isTextOrNull = (value) => value === null || typeof value === 'string';
+
+const isAttachment = (value) =>
+  value !== null && typeof value === 'object' &&
+  typeof value.file === 'string' && FILE_PATTERN.test(value.file) &&
+  typeof value.name === 'string' && typeof value.type === 'string' &&
+  Number.isInteger(value.size) && value.size > 0;
+
+const isQuote = (value) =>
+  value !== null && typeof value === 'object' && isId(value.id) && isId(value.thread_id) &&
+  (value.reply_id === undefined || isId(value.reply_id));
+
+// Stored fields an imported post may carry, each with its check. Anything
+// else on a record is dropped.
+const REPLY_FIELDS = {
+  text: value => typeof value === 'string' && value.trim() !== '',
+  name: isTextOrNull,
+  tripcode: isTextOrNull,
+  created_on: isDate,
+  edited_on: isDateOrNull,
+  deleted_on: isDateOrNull,
+  delete_password: value => typeof value === 'string' && BCRYPT_HASH.test(value),
+  attachments: value => Array.isArray(value) && value.every(isAttachment),
+  quotes: value => Array.isArray(value) && value.every(isQuote),
+  reported: isBoolean,
+  report_count: value => Number.isInteger(value) && value >= 0,
+  reports: Array.isArray,
+  revisions: Array.isArray,
+  held: isBoolean
+};
+
+const THREAD_FIELDS = {
+  ...REPLY_FIELDS,
+  bumped_on: isDate,
+  archived_on: isDateOrNull,
+  sticky: isBoolean,
+  locked: isBoolean
+};
+
+const REQUIRED_FIELDS = ['text', 'created_on'];
+
+// The stored post as it goes into an export line
+const exportPost = (post, { moderator, passwords }) => {
+  const { ip_hash, delete_password, replies, board, ...fields } = post;
+
+  if (!moderator) MODERATOR_FIELDS.forEach(field => delete fields[field]);
+  if (passwords) fields.delete_password = delete_password;
+
+  return fields;
+};
+
+const toLine = (record) => `${JSON.stringify(record)}\n`;
+
+// The lines of a board's export: the board's settings, then each thread
+// followed by its replies, oldest first. Held posts only go to moderators.
+function* exportBoard(board, { moderator = false, passwords = false } = {}) {
+  const settings = {};
+  BOARD_FIELDS.forEach(field => { settings[field] = board[field]; });
+
+  yield toLine({ type: 'board', name: board.name, ...settings, created_on: board.created_on });
+
+  const visible = (post) => moderator || !isHeld(post);
+  const threads = threadStorage.listThreads(board.name)
+    .filter(visible)
+    .sort((a, b) => a.thread_id - b.thread_id);
+
+  for (const thread of threads) {
+    yield toLine({ type: 'thread', ...exportPost(thread, { moderator, passwords }) });
+
+    const replies = thread.replies
+      .filter(visible)
+      .sort((a, b) => a.reply_id - b.reply_id);
+
+    for (const reply of replies) {
+      yield toLine({
+        type: 'reply',
+        thread_id: thread.thread_id,
+        ...exportPost(reply, { moderator, passwords })
+      });
+    }
+  }
+}
+
+// Checks one post record against the fields it may carry, and its text and
+// name against the rules posts on the board are held to. Returns { fields }
+// or { error }.
+const readPost = (record, allowed, board) => {
+  for (const field of REQUIRED_FIELDS) {
+    if (record[field] === undefined) return { error: `Missing required field: ${field}` };
+  }
+
+  const fields = {};
+  for (const field of Object.keys(allowed)) {
+    if (record[field] === undefined) continue;
+    if (!allowed[field](record[field])) return { error: `Invalid ${field}` };
+    fields[field] = record[field];
+  }
+
+  const text = prepareText(fields.text, board.max_text_length);
+  if (text.error) return text;
+  fields.text = text.text;
+
+  if (typeof fields.name === 'string') {
+    const name = prepareName(fields.name);
+    if (name.error) return name;
+    fields.name = name.name;
+  }
+
+  return { fields };
+};
+
+// Parses every line. Returns the board record, if any, the other records
+// with their line numbers, and an error for each line that is not a record.
+const parseImport = (body) => {
+  const records = [];
+  const errors = [];
+  let boardRecord = null;
+
+  String(body).split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    const fail = (error) => errors.push({ line: index + 1, error });
+
+    let record;
+    try {
+      record = JSON.parse(line, reviveDates);
+    } catch (error) {
+      return fail('Invalid JSON');
+    }
+
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      return fail('Record must be a JSON object');
+    }
+
+    if (record.type === 'board') {
+      if (boardRecord) return fail('Duplicate board record');
+      boardRecord = record;
+      return;
+    }
+
+    records.push({ line: index + 1, record });
+  });
+
+  return { boardRecord, records, errors };
+};
+
+// Checks every post record for the board it goes into. Returns the posts
+// that passed with the ids they keep or get, and adds an error for each
+// record that did not.
+//
+// Ids below the store's counters may already be taken, or have been taken by
+// posts since deleted, so those are always remapped to fresh ones; higher
+// ids are kept. Either way ids stay in the order of the file.
+const readPosts = (records, board, errors) => {
+  const counters = threadStorage.counters();
+  let nextThreadId = counters.nextThreadId;
+  let nextReplyId = counters.nextReplyId;
+
+  const threadIds = new Map(); // id in the file -> id on import
+  const replyIds = new Map();
+  const posts = [];
+
+  records.forEach(({ line, record }) => {
+    const fail = (error) => errors.push({ line, error });
+
+    if (record.type !== 'thread' && record.type !== 'reply') {
+      return fail('type must be one of board, thread, reply');
+    }
+
+    if (!isId(record.thread_id)) {
+      return fail('Missing or invalid thread_id');
+    }
+
+    if (record.type === 'thread') {
+      if (threadIds.has(record.thread_id)) return fail(`Duplicate thread_id ${record.thread_id}`);
+
+      const { fields, error } = readPost(record, THREAD_FIELDS, board);
+      if (error) return fail(error);
+
+      const threadId = record.thread_id >= nextThreadId ? record.thread_id : nextThreadId;
+      nextThreadId = threadId + 1;
+      threadIds.set(record.thread_id, threadId);
+      posts.push({ type: 'thread', thread_id: threadId, fields });
+      return;
+    }
+
+    if (!isId(record.reply_id)) {
+      return fail('Missing or invalid reply_id');
+    }
+
+    if (replyIds.has(record.reply_id)) return fail(`Duplicate reply_id ${record.reply_id}`);
+
+    if (!threadIds.has(record.thread_id)) {
+      return fail(`Reply to unknown thread_id ${record.thread_id}`);
+    }
+
+    const { fields, error } = readPost(record, REPLY_FIELDS, board);
+    if (error) return fail(error);
+
+    const replyId = record.reply_id >= nextReplyId ? record.reply_id : nextReplyId;
+    nextReplyId = replyId + 1;
+    replyIds.set(record.reply_id, replyId);
+    posts.push({ type: 'reply', thread_id: threadIds.get(record.thread_id), reply_id: replyId, fields });
+  });
+
+  return { posts, threadIds, replyIds };
+};
+
+// Points a post's quotes at the imported ids, dropping quotes of posts that
+// were not imported, and rewrites the >>id references in its text to match
+const remapQuotes = (fields, threadIds, replyIds) => {
+  const renamed = new Map();
+
+  const quotes = (fields.quotes || [])
+    .map(quote => {
+      const isReply = quote.reply_id !== undefined;
+      const threadId = threadIds.get(quote.thread_id);
+      const replyId = isReply ? replyIds.get(quote.reply_id) : null;
+      if (threadId === undefined || replyId === undefined) return null;
+
+      const id = isReply ? replyId : threadId;
+      renamed.set(quote.id, id);
+      return { id, thread_id: threadId, ...(isReply && { reply_id: replyId }) };
+    })
+    .filter(Boolean);
+
+  const text = fields.text.replace(QUOTE_PATTERN, (match, id) =>
+    renamed.has(Number(id)) ? `>>${renamed.get(Number(id))}` : match);
+
+  return { ...fields, text, quotes };
+};
+
+// Imports an NDJSON export into a board, creating the board from the export's
+// board record when it does not exist yet. Lines that fail their checks are
+// reported and skipped; the rest go in. Ids are picked and the posts written
+// in one synchronous step. Returns what was imported, the ids that changed
+// and the per-line errors.
+const importBoard = async (name, body) => {
+  // Posts exported without their password hash get one that no password
+  // matches, so only moderators can remove them. It is made first: new ids
+  // are picked from the store's counters, and a post created while this
+  // waited on bcrypt would take one of them.
+  const lockedPassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+  const { boardRecord, records, errors } = parseImport(body);
+  let board = threadStorage.findBoard(name);
+
+  if (!board) {
+    const { settings, error } = parseBoardSettings(boardRecord || {});
+    if (error) errors.push({ line: null, error: `Board record: ${error}` });
+    board = createBoard({ name, ...(error ? {} : settings) });
+  }
+
+  // Posts are held to the limits of the board they land on
+  const { posts, threadIds, replyIds } = readPosts(records, board, errors);
+
+  const imported = { threads: 0, replies: 0 };
+
+  posts.forEach(post => {
+    const fields = {
+      delete_password: lockedPassword,
+      ...remapQuotes(post.fields, threadIds, replyIds)
+    };
+
+    // Storage keeps an id given in the fields and moves its counter past it
+    if (post.type === 'thread') {
+      threadStorage.createThread({
+        board: name,
+        thread_id: post.thread_id,
+        bumped_on: fields.created_on,
+        reported: false,
+        ...fields
+      });
+      imported.threads += 1;
+    } else {
+      threadStorage.createReply(name, post.thread_id, {
+        reply_id: post.reply_id,
+        reported: false,
+        ...fields
+      });
+      imported.replies += 1;
+    }
+  });
+
+  archiveOverflow(threadStorage.findBoard(name));
+
+  const changed = (ids) => {
+    const result = {};
+    ids.forEach((id, original) => { if (id !== original) result[original] = id; });
+    return result;
+  };
+
+  return {
+    board: board.name,
+    imported,
+    remapped: { threads: changed(threadIds), replies: changed(replyIds) },
+    errors: errors.sort((a, b) => (a.line || 0) - (b.line || 0))
+  };
+};
+
+module.exports = { exportBoard, importBoard };
@@ -0,0 +1,74 @@
+'use strict';
+
+const crypto = require('crypto');
+const { normalizeText } = require('./text');
+
+const DEFAULT_NAME = 'Anonymous';
+const MAX_NAME_LENGTH = 32;
+const TRIPCODE_LENGTH = 10;
+
+// Regular tripcodes are peppered with TRIPCODE_REGULAR_PEPPER and secure ones
+// with TRIPCODE_PEPPER. Both stay on the server, so tripcodes cannot be worked
+// out offline; secure ones also keep apart from boards sharing the regular
+// pepper.
+const deriveTripcode = (secret, pepper) =>
+  crypto.createHmac('sha256', pepper)
+    .update(secret)
+    .digest('base64')
+    .replace(/[+/=]/g, '')
+    .slice(0, TRIPCODE_LENGTH);
+
+// Cleans a display name and holds it to the length limit; an empty one is
+// DEFAULT_NAME. Returns { name } or { error }.
+const prepareName = (input) => {
+  const name = normalizeText(input) || DEFAULT_NAME;
+
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  return { name };
+};
+
+// Splits the optional name field, "name", "name#secret" or "name##secret",
+// into the display name and tripcode. The secret itself is never kept.
+// Returns { name, tripcode } or { error }.
+const parseIdentity = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { name: DEFAULT_NAME, tripcode: null };
+  }
+
+  if (typeof input !== 'string') {
+    return { error: 'name must be a string' };
+  }
+
+  const separator = input.indexOf('#');
+  const prepared = prepareName(separator === -1 ? input : input.slice(0, separator));
+  const rest = separator === -1 ? '' : input.slice(separator + 1);
+
+  if (prepared.error) return prepared;
+  const { name } = prepared;
+
+  if (rest.startsWith('#')) {
+    const secret = rest.slice(1);
+    if (!secret) return { name, tripcode: null };
+
+    const pepper = process.env.TRIPCODE_PEPPER;
+    if (!pepper) {
+      return { error: 'Secure tripcodes are not available on this server' };
+    }
+
+    return { name, tripcode: '!!' + deriveTripcode(secret, pepper) };
+  }
+
+  if (!rest) return { name, tripcode: null };
+
+  const pepper = process.env.TRIPCODE_REGULAR_PEPPER;
+  if (!pepper) {
+    return { error: 'Tripcodes are not available on this server' };
+  }
+
+  return { name, tripcode: '!' + deriveTripcode(rest, pepper) };
+};
+
+module.exports = { DEFAULT_NAME, prepareName, parseIdentity };
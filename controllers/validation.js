@@ -0,0 +1,98 @@
+'use strict';
+
+const { sendError } = require('./errors');
+const { parseId, parseBoolean } = require('./params');
+
+// Form fields left empty arrive as '', which counts as not sent
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const isScalar = (value) => typeof value === 'number' || typeof value === 'string';
+
+// Field types. Each takes the raw value, a string whenever it came from a
+// form or a query string, and returns { value } coerced or { error }.
+const FIELD_TYPES = {
+  id(value, field) {
+    const id = isScalar(value) ? parseId(value) : null;
+    return id === null ? { error: `${field} must be a positive integer` } : { value: id };
+  },
+
+  // Values over max are taken as max, as with page sizes
+  integer(value, field, { min = 1, max = Infinity }) {
+    const number = isScalar(value) ? Number(value) : NaN;
+
+    if (!Number.isInteger(number) || number < min) {
+      return { error: `${field} must be a ${min === 0 ? 'non-negative' : 'positive'} integer` };
+    }
+    return { value: Math.min(number, max) };
+  },
+
+  string(value, field, { maxLength = Infinity }) {
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    return { value };
+  },
+
+  boolean(value, field) {
+    const flag = parseBoolean(value);
+    return flag === null ? { error: `${field} must be true or false` } : { value: flag };
+  },
+
+  enum(value, field, { values }) {
+    return values.includes(value)
+      ? { value }
+      : { error: `${field} must be one of ${values.join(', ')}` };
+  }
+};
+
+// Checks one part of a request against its rules. Returns { values } with
+// every field it knows coerced, or { field, code, message } for the first
+// one that fails.
+const checkFields = (input, rules) => {
+  const values = {};
+
+  for (const [field, rule] of Object.entries(rules)) {
+    if (isBlank(input[field])) {
+      if (rule.required) {
+        return { field, code: 'missing_field', message: `Missing required field: ${field}` };
+      }
+      if (rule.default !== undefined) values[field] = rule.default;
+      continue;
+    }
+
+    const { value, error } = FIELD_TYPES[rule.type](input[field], field, rule);
+
+    if (error) {
+      return { field, code: 'invalid_field', message: error };
+    }
+    values[field] = value;
+  }
+
+  return { values };
+};
+
+// Route middleware checking the path, query and body against a schema of
+// { params, query, body }, each mapping field names to rules such as
+// { type: 'id', required: true }. Coerced values are written back, so
+// handlers see numeric ids whether the request was JSON, a form post, a
+// query string or a path. Fields the schema does not name pass through
+// untouched.
+const validate = (schema) => (req, res, next) => {
+  for (const part of ['params', 'query', 'body']) {
+    if (!schema[part]) continue;
+
+    const result = checkFields(req[part] || {}, schema[part]);
+
+    if (result.message) {
+      return sendError(res, 400, result.message, { code: result.code, field: result.field });
+    }
+    req[part] = Object.assign(req[part] || {}, result.values);
+  }
+
+  next();
+};
+
+module.exports = { FIELD_TYPES, validate };
@@ -0,0 +1,223 @@
+'use strict';
+
+// The board page: lists its threads, keeps them current from the event
+// stream and posts through the API, solving the board's proof-of-work
+// challenge first.
+$(function() {
+  var currentBoard = window.location.pathname.slice(3,-1);
+  var url = "/api/threads/"+currentBoard;
+  $('#boardTitle').text('Welcome to '+window.location.pathname)
+
+  function escapeHtml(value) {
+    return $('<div>').text(value).html();
+  }
+
+  // Poster name, followed by the tripcode when there is one
+  function renderIdentity(post) {
+    var identity = '<span class="name">'+escapeHtml(post.name)+'</span>';
+    if (post.tripcode) {
+      identity += ' <span class="tripcode">'+escapeHtml(post.tripcode)+'</span>';
+    }
+    return identity;
+  }
+
+  // Images show as thumbnails, other files as download links
+  function renderAttachments(post) {
+    if (!post.attachments || !post.attachments.length) return '';
+    return '<div class="attachments">'+post.attachments.map(function(file) {
+      if (file.type.indexOf('image/') === 0) {
+        return '<a href="'+file.url+'" target="_blank"><img src="'+file.url+'" alt=""></a>';
+      }
+      return '<a href="'+file.url+'">'+escapeHtml(file.name)+'</a>';
+    }).join('')+'</div>';
+  }
+
+  // Links to the posts that quote this one
+  function renderBacklinks(post) {
+    if (!post.quoted_by || !post.quoted_by.length) return '';
+    return '<p class="backlinks">Quoted by: '+post.quoted_by.map(function(source) {
+      var href = '/b/'+currentBoard+'/'+source.thread_id+(source.reply_id ? '#reply-'+source.reply_id : '');
+      return '<a class="quotelink" href="'+href+'">&gt;&gt;'+(source.reply_id || source.thread_id)+'</a>';
+    }).join(' ')+'</p>';
+  }
+
+  // Turns a rendered post into its tombstone, keeping its place
+  function markDeleted(post) {
+    var body = post.hasClass('thread') ? post.children('.main') : post;
+    body.children('form, .attachments').remove();
+    body.children('.text').text('[deleted]');
+    post.addClass('deleted');
+  }
+
+  // Markers for threads a moderator pinned or locked
+  function renderFlags(thread) {
+    var flags = '';
+    if (thread.sticky) flags += ' <span class="flag">sticky</span>';
+    if (thread.locked) flags += ' <span class="flag">locked</span>';
+    return flags;
+  }
+
+  function renderReply(threadId, rep) {
+    var reply = ['<div class="reply'+(rep.deleted_on ? ' deleted' : '')+'" id="reply-'+rep.reply_id+'">'];
+    reply.push('<p class="id">'+renderIdentity(rep)+' id: '+rep.reply_id+' ('+rep.created_on+')'+(rep.edited_on ? ' edited '+rep.edited_on : '')+'</p>');
+    // Tombstones of deleted replies keep their place but take no actions
+    if (!rep.deleted_on) {
+      reply.push('<form id="reportReply"><input type="hidden" name="thread_id" value="'+threadId+'"><input type="hidden" name="reply_id" value="'+rep.reply_id+'"><input type="submit" value="Report"></form>');
+      reply.push('<form id="deleteReply"><input type="hidden" value="'+threadId+'" name="thread_id" required=""><input type="hidden" value="'+rep.reply_id+'" name="reply_id" required=""><input type="text" placeholder="password" name="delete_password" required=""><input type="submit" value="Delete"></form>');
+    }
+    reply.push('<p class="text">'+rep.html+'</p>');
+    reply.push(renderAttachments(rep));
+    reply.push(renderBacklinks(rep));
+    reply.push('</div>');
+    return reply.join('');
+  }
+
+  function renderThread(ele) {
+    //
+    // THIS ARRAY SET UP IS FOR CODE READABILITIES AND TESTING!
+    // THIS IS NOT WHAT IT WOULD LOOK LIKE TO GO LIVE
+    //
+    var thread = ['<div class="thread'+(ele.sticky ? ' sticky' : '')+(ele.deleted_on ? ' deleted' : '')+'" id="thread-'+ele.thread_id+'">'];
+    thread.push('<div class="main">')
+    thread.push('<p class="id">'+renderIdentity(ele)+' id: '+ele.thread_id+' ('+ele.created_on+')'+(ele.edited_on ? ' edited '+ele.edited_on : '')+renderFlags(ele)+'</p>');
+    if (!ele.deleted_on) {
+      thread.push('<form id="reportThread"><input type="hidden" name="thread_id" value="'+ele.thread_id+'"><input type="submit" value="Report"></form>');
+      thread.push('<form id="deleteThread"><input type="hidden" value="'+ele.thread_id+'" name="thread_id" required=""><input type="text" placeholder="password" name="delete_password" required=""><input type="submit" value="Delete"></form>');
+    }
+    thread.push('<h3 class="text">'+ele.html+'</h3>');
+    thread.push(renderAttachments(ele));
+    thread.push(renderBacklinks(ele));
+    thread.push('</div><div class="replies">');
+    var replyCount = ele.reply_count || 0;
+    var hiddenCount = replyCount - ele.replies.length;
+    if (hiddenCount < 1) { hiddenCount = 0 };
+    thread.push('<h5><span class="replyCount">'+replyCount+'</span> replies total ('+hiddenCount+' hidden)- <a href="'+window.location.pathname+ele.thread_id+'">See the full thread here</a>.</h5>');
+    thread.push('<div class="replyList">');
+    ele.replies.slice().reverse().forEach(function(rep) {
+      thread.push(renderReply(ele.thread_id, rep));
+    });
+    thread.push('</div>');
+    // Locked threads take no replies
+    if (!ele.locked) {
+      thread.push('<div class="newReply">')
+      thread.push('<form action="/api/replies/'+currentBoard+'/" method="post" enctype="multipart/form-data" id="newReply">');
+      thread.push('<input type="hidden" name="thread_id" value="'+ele.thread_id+'">');
+      thread.push('<textarea rows="5" cols="80" type="text" placeholder="Quick reply..." name="text" required=""></textarea><br>');
+      thread.push('<input type="text" placeholder="name#tripcode (optional)" name="name"><br>');
+      thread.push('<input type="file" name="attachments" multiple><br>');
+      thread.push('<input type="text" placeholder="password to delete" name="delete_password" required=""><input style="margin-left: 5px" type="submit" value="Submit">')
+      thread.push('</form></div>')
+    }
+    thread.push('</div></div>')
+    return thread.join('');
+  }
+
+  // Moves a thread to the top of the board, below the sticky threads
+  function placeBelowSticky(thread) {
+    var lastSticky = $('#boardDisplay > .thread.sticky').not(thread).last();
+    if (lastSticky.length) {
+      thread.insertAfter(lastSticky);
+    } else {
+      thread.prependTo('#boardDisplay');
+    }
+  }
+
+  function loadThreads() {
+    $.ajax({
+      type: "GET",
+      url: url,
+      success: function(data)
+      {
+        $('#boardDisplay').html(data.map(renderThread).join(''));
+      }
+    });
+  }
+
+  loadThreads();
+
+  // Live updates: new threads and replies appear, bumped threads move to
+  // the top below the sticky ones and deleted posts disappear without
+  // reloading the page
+  var events = new EventSource('/api/events/'+currentBoard);
+  events.addEventListener('thread_created', function(e) {
+    placeBelowSticky($(renderThread(JSON.parse(e.data))));
+  });
+  events.addEventListener('reply_created', function(e) {
+    var data = JSON.parse(e.data);
+    var thread = $('#thread-'+data.thread_id);
+    thread.find('.replyList').append(renderReply(data.thread_id, data.reply));
+    thread.find('.replyCount').text(Number(thread.find('.replyCount').text()) + 1);
+  });
+  events.addEventListener('thread_bumped', function(e) {
+    var thread = $('#thread-'+JSON.parse(e.data).thread_id);
+    if (!thread.hasClass('sticky')) placeBelowSticky(thread);
+  });
+  events.addEventListener('post_deleted', function(e) {
+    var data = JSON.parse(e.data);
+    var post = $(data.reply_id ? '#reply-'+data.reply_id : '#thread-'+data.thread_id);
+    // Soft deletes leave a tombstone, hard deletes leave nothing
+    if (data.deleted_on) {
+      markDeleted(post);
+    } else {
+      post.remove();
+    }
+  });
+  // Posts a filter holds after an edit are hidden until released
+  events.addEventListener('post_held', function(e) {
+    var data = JSON.parse(e.data);
+    $(data.reply_id ? '#reply-'+data.reply_id : '#thread-'+data.thread_id).remove();
+  });
+  events.addEventListener('resync', loadThreads);
+
+  // Posts carry a solved proof-of-work challenge for the board
+  $('#newThread').submit(function(e){
+    $(this).attr('action', "/api/threads/" + currentBoard);
+    submitWithProofOfWork(this, currentBoard);
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#newReply', function(e) {
+    submitWithProofOfWork(this, currentBoard);
+    e.preventDefault();
+  });
+
+  $('#boardDisplay').on('submit','#reportThread', function(e) {
+    var url = "/api/threads/"+currentBoard;
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#reportReply', function(e) {
+    var url = "/api/replies/"+currentBoard;
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#deleteThread', function(e) {
+    var url = "/api/threads/"+currentBoard;
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#deleteReply', function(e) {
+    var url = "/api/replies/"+currentBoard;
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+});
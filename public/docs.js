@@ -0,0 +1,118 @@
+'use strict';
+
+// Renders /api/openapi.json as a list of operations. Everything is built with
+// DOM calls and textContent, so nothing from the document is parsed as HTML.
+(function () {
+  var container = document.getElementById('operations');
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function describeType(schema) {
+    if (!schema) return '';
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (schema.type === 'array') return describeType(schema.items) + '[]';
+
+    var type = schema.enum ? schema.enum.join(' | ') : (schema.format || schema.type || 'object');
+    if (schema.minimum !== undefined) type += ', min ' + schema.minimum;
+    if (schema.maximum !== undefined) type += ', max ' + schema.maximum;
+    if (schema.maxLength !== undefined) type += ', up to ' + schema.maxLength + ' characters';
+    if (schema.default !== undefined) type += ', default ' + schema.default;
+    if (schema.nullable) type += ', or null';
+    return type;
+  }
+
+  function fieldTable(rows) {
+    var table = element('table', 'docs-fields');
+    rows.forEach(function (row) {
+      var tr = element('tr');
+      row.forEach(function (cell) { tr.appendChild(element('td', null, cell)); });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  function renderOperation(doc, path, method, operation) {
+    var section = element('section', 'docs-operation');
+    var heading = element('h3');
+    heading.appendChild(element('span', 'docs-method', method.toUpperCase()));
+    heading.appendChild(document.createTextNode(' ' + path));
+    section.appendChild(heading);
+    section.appendChild(element('p', null, operation.summary));
+
+    if (operation.parameters.length) {
+      section.appendChild(element('h4', null, 'Parameters'));
+      section.appendChild(fieldTable(operation.parameters.map(function (param) {
+        return [param.name, param.in + (param.required ? ', required' : ''), describeType(param.schema)];
+      })));
+    }
+
+    if (operation.requestBody) {
+      var content = operation.requestBody.content;
+      var body = content['multipart/form-data'] || content['application/json'];
+      section.appendChild(element('h4', null, 'Body (' + Object.keys(content).join(', ') + ')'));
+      section.appendChild(fieldTable(Object.keys(body.schema.properties).map(function (name) {
+        var required = body.schema.required.indexOf(name) !== -1;
+        return [name, required ? 'required' : 'optional', describeType(body.schema.properties[name])];
+      })));
+    }
+
+    section.appendChild(element('h4', null, 'Responses'));
+    section.appendChild(fieldTable(Object.keys(operation.responses).map(function (status) {
+      var response = operation.responses[status];
+      var schema = response.content && response.content['application/json'].schema;
+      return [status, response.description, describeType(schema)];
+    })));
+
+    return section;
+  }
+
+  function renderSchemas(doc) {
+    var section = element('section', 'docs-operation');
+    section.appendChild(element('h2', null, 'Schemas'));
+
+    Object.keys(doc.components.schemas).forEach(function (name) {
+      var schema = doc.components.schemas[name];
+      section.appendChild(element('h3', null, name));
+      if (schema.description) section.appendChild(element('p', null, schema.description));
+      section.appendChild(fieldTable(Object.keys(schema.properties).map(function (field) {
+        var required = schema.required.indexOf(field) !== -1;
+        return [field, required ? 'always' : 'sometimes', describeType(schema.properties[field])];
+      })));
+    });
+
+    return section;
+  }
+
+  function render(doc) {
+    document.getElementById('title').textContent = doc.info.title + ' ' + doc.info.version;
+    document.getElementById('description').textContent = doc.info.description;
+    container.textContent = '';
+
+    var tags = {};
+    Object.keys(doc.paths).forEach(function (path) {
+      Object.keys(doc.paths[path]).forEach(function (method) {
+        var operation = doc.paths[path][method];
+        var tag = operation.tags[0];
+        if (!tags[tag]) {
+          tags[tag] = true;
+          container.appendChild(element('h2', null, tag));
+        }
+        container.appendChild(renderOperation(doc, path, method, operation));
+      });
+    });
+
+    container.appendChild(renderSchemas(doc));
+  }
+
+  fetch('/api/openapi.json')
+    .then(function (res) { return res.json(); })
+    .then(render)
+    .catch(function () {
+      container.textContent = 'Could not load the API description.';
+    });
+})();
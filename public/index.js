@@ -0,0 +1,80 @@
+'use strict';
+
+// The front page: lists the boards and sends its test forms to the API.
+$(function() {
+  $.ajax({
+    type: "GET",
+    url: "/api/boards",
+    success: function(boards)
+    {
+      boards.forEach(function(board) {
+        var link = $('<a>').attr('href', '/b/'+board.name+'/').text(board.title);
+        var item = $('<li>').append(link).append(' - '+board.thread_count+' threads');
+        if (board.description) {
+          item.append($('<p>').text(board.description));
+        }
+        $('#boards').append(item);
+      });
+    }
+  });
+  $('#newThread').submit(function(){
+    var board = $('#board1').val();
+    $(this).attr('action', "/api/threads/" + board);
+  });
+  $('#newReply').submit(function(){
+    var board = $('#board4').val();
+    $(this).attr('action', "/api/replies/" + board);
+  });
+  $('#reportThread').submit(function(e){
+    var url = "/api/threads/"+$('#board2').val();
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data)
+      {
+        alert(data);
+      }
+    });
+    e.preventDefault();
+  });
+  $('#deleteThread').submit(function(e){
+    var url = "/api/threads/"+$('#board3').val();
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data)
+      {
+        alert(data);
+      }
+    });
+    e.preventDefault();
+  });
+  $('#reportReply').submit(function(e){
+    var url = "/api/replies/"+$('#board5').val();
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data)
+      {
+        alert(data);
+      }
+    });
+    e.preventDefault();
+  });
+  $('#deleteReply').submit(function(e){
+    var url = "/api/replies/"+$('#board6').val();
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data)
+      {
+        alert(data);
+      }
+    });
+    e.preventDefault();
+  });
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+// The thread page: shows one thread with its replies a page at a time, keeps
+// it current from the event stream and posts through the API, solving the
+// board's proof-of-work challenge first.
+$(function() {
+  var currentURL = window.location.pathname.slice(3);
+  currentURL = currentURL.split('/');
+
+  var url = "/api/replies/"+currentURL[0];
+  $('#threadTitle').text(window.location.pathname);
+
+  function escapeHtml(value) {
+    return $('<div>').text(value).html();
+  }
+
+  // Poster name, followed by the tripcode when there is one
+  function renderIdentity(post) {
+    var identity = '<span class="name">'+escapeHtml(post.name)+'</span>';
+    if (post.tripcode) {
+      identity += ' <span class="tripcode">'+escapeHtml(post.tripcode)+'</span>';
+    }
+    return identity;
+  }
+
+  // Images show as thumbnails, other files as download links
+  function renderAttachments(post) {
+    if (!post.attachments || !post.attachments.length) return '';
+    return '<div class="attachments">'+post.attachments.map(function(file) {
+      if (file.type.indexOf('image/') === 0) {
+        return '<a href="'+file.url+'" target="_blank"><img src="'+file.url+'" alt=""></a>';
+      }
+      return '<a href="'+file.url+'">'+escapeHtml(file.name)+'</a>';
+    }).join('')+'</div>';
+  }
+
+  // Links to the posts that quote this one
+  function renderBacklinks(post) {
+    if (!post.quoted_by || !post.quoted_by.length) return '';
+    return '<p class="backlinks">Quoted by: '+post.quoted_by.map(function(source) {
+      var href = '/b/'+currentURL[0]+'/'+source.thread_id+(source.reply_id ? '#reply-'+source.reply_id : '');
+      return '<a class="quotelink" href="'+href+'">&gt;&gt;'+(source.reply_id || source.thread_id)+'</a>';
+    }).join(' ')+'</p>';
+  }
+
+  // Turns a rendered post into its tombstone, keeping its place
+  function markDeleted(post) {
+    var body = post.hasClass('thread') ? post.children('.main') : post;
+    body.children('form, .attachments').remove();
+    body.children('.text').text('[deleted]');
+    post.addClass('deleted');
+  }
+
+  // Markers for threads a moderator pinned or locked
+  function renderFlags(thread) {
+    var flags = '';
+    if (thread.sticky) flags += ' <span class="flag">sticky</span>';
+    if (thread.locked) flags += ' <span class="flag">locked</span>';
+    return flags;
+  }
+
+  function renderReply(threadId, rep) {
+    var reply = ['<div class="reply'+(rep.deleted_on ? ' deleted' : '')+'" id="reply-'+rep.reply_id+'">'];
+    reply.push('<p class="id">'+renderIdentity(rep)+' id: '+rep.reply_id+' ('+rep.created_on+')'+(rep.edited_on ? ' edited '+rep.edited_on : '')+'</p>');
+    // Tombstones of deleted replies keep their place but take no actions
+    if (!rep.deleted_on) {
+      reply.push('<form id="reportReply"><input type="hidden" name="thread_id" value="'+threadId+'"><input type="hidden" name="reply_id" value="'+rep.reply_id+'"><input type="submit" value="Report"></form>');
+      reply.push('<form id="deleteReply"><input type="hidden" value="'+threadId+'" name="thread_id" required=""><input type="hidden" value="'+rep.reply_id+'" name="reply_id" required=""><input type="text" placeholder="password" name="delete_password" required=""><input type="submit" value="Delete"></form>');
+    }
+    reply.push('<p class="text">'+rep.html+'</p>');
+    reply.push(renderAttachments(rep));
+    reply.push(renderBacklinks(rep));
+    reply.push('</div>');
+    return reply.join('');
+  }
+
+  // Long threads come back a page at a time; next_cursor fetches the rest
+  function loadMoreReplies(threadId, cursor) {
+    $.ajax({
+      type: "GET",
+      url: url,
+      data: {thread_id: threadId, cursor: cursor},
+      success: function(ele)
+      {
+        $('#replyList').append(ele.replies.map(function(rep) { return renderReply(threadId, rep); }).join(''));
+        $('#moreReplies').toggle(!!ele.next_cursor).data('cursor', ele.next_cursor);
+      }
+    });
+  }
+
+  $.ajax({
+    type: "GET",
+    url: url,
+    data:{thread_id: currentURL[1]},
+    success: function(ele)
+    {
+      var boardThreads= [];
+      //
+      // THIS ARRAY SET UP IS FOR CODE READABILITIES AND TESTING!
+      // THIS IS NOT WHAT IT WOULD LOOK LIKE TO GO LIVE
+      //
+        var thread = ['<div class="thread'+(ele.deleted_on ? ' deleted' : '')+'">'];
+        thread.push('<div class="main">')
+        thread.push('<p class="id">'+renderIdentity(ele)+' id: '+ele.thread_id+' ('+ele.created_on+')'+(ele.edited_on ? ' edited '+ele.edited_on : '')+renderFlags(ele)+(ele.archived_on ? ' <span class="archived">archived '+ele.archived_on+'</span>' : '')+'</p>');
+        // Archived threads and tombstones are read-only
+        if (!ele.archived_on && !ele.deleted_on) {
+          thread.push('<form id="reportThread"><input type="hidden" name="thread_id" value="'+ele.thread_id+'"><input type="submit" value="Report"></form>');
+          thread.push('<form id="deleteThread"><input type="hidden" value="'+ele.thread_id+'" name="thread_id" required=""><input type="text" placeholder="password" name="delete_password" required=""><input type="submit" value="Delete"></form>');
+        }
+        thread.push('<h3 class="text">'+ele.html+'</h3>');
+        thread.push(renderAttachments(ele));
+        thread.push(renderBacklinks(ele));
+        thread.push('</div><div class="replies">');
+        thread.push('<h5>'+ele.reply_count+' replies total</h5>');
+        thread.push('<div id="replyList">');
+        ele.replies.forEach(function(rep) {
+          thread.push(renderReply(ele.thread_id, rep));
+        });
+        thread.push('</div>');
+        thread.push('<a href="#" id="moreReplies">Load more replies</a>');
+        // Locked and archived threads take no replies
+        if (!ele.locked && !ele.archived_on) {
+          thread.push('<div class="newReply">')
+          thread.push('<form action="/api/replies/'+currentURL[0]+'/" method="post" enctype="multipart/form-data" id="newReply">');
+          thread.push('<input type="hidden" name="thread_id" value="'+ele.thread_id+'">');
+          thread.push('<textarea rows="5" cols="80" type="text" placeholder="Quick reply..." name="text" required=""></textarea><br>');
+          thread.push('<input type="text" placeholder="name#tripcode (optional)" name="name"><br>');
+          thread.push('<input type="file" name="attachments" multiple><br>');
+          thread.push('<input type="text" placeholder="password to delete" name="delete_password" required=""><input style="margin-left: 5px" type="submit" value="Submit">')
+          thread.push('</form></div>')
+        }
+        thread.push('</div></div>')
+        boardThreads.push(thread.join(''));
+      $('#boardDisplay').html(boardThreads.join(''));
+      $('#moreReplies').toggle(!!ele.next_cursor).data('cursor', ele.next_cursor);
+    }
+  });
+
+  // Live updates for this thread only
+  var events = new EventSource('/api/events/'+currentURL[0]+'/'+currentURL[1]);
+  events.addEventListener('reply_created', function(e) {
+    var data = JSON.parse(e.data);
+    // Replies past the loaded page arrive through "Load more replies"
+    if ($('#moreReplies').is(':visible')) return;
+    $('#replyList').append(renderReply(data.thread_id, data.reply));
+  });
+  events.addEventListener('post_deleted', function(e) {
+    var data = JSON.parse(e.data);
+    // Soft deletes leave a tombstone, hard deletes leave nothing
+    if (data.deleted_on) {
+      markDeleted(data.reply_id ? $('#reply-'+data.reply_id) : $('#boardDisplay .thread'));
+    } else if (data.reply_id) {
+      $('#reply-'+data.reply_id).remove();
+    } else {
+      $('#boardDisplay').html('<h3>This thread has been deleted.</h3>');
+    }
+  });
+  // Posts a filter holds after an edit are hidden until released
+  events.addEventListener('post_held', function(e) {
+    var data = JSON.parse(e.data);
+    if (data.reply_id) {
+      $('#reply-'+data.reply_id).remove();
+    } else {
+      $('#boardDisplay').html('<h3>This thread is held for review.</h3>');
+    }
+  });
+  events.addEventListener('resync', function() {
+    window.location.reload();
+  });
+
+  $('#boardDisplay').on('click','#moreReplies', function(e) {
+    loadMoreReplies(currentURL[1], $(this).data('cursor'));
+    e.preventDefault();
+  });
+
+  // Replies carry a solved proof-of-work challenge for the board
+  $('#boardDisplay').on('submit','#newReply', function(e) {
+    submitWithProofOfWork(this, currentURL[0]);
+    e.preventDefault();
+  });
+
+  $('#boardDisplay').on('submit','#reportThread', function(e) {
+    var url = "/api/threads/"+currentURL[0];
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#reportReply', function(e) {
+    var url = "/api/replies/"+currentURL[0];
+    $.ajax({
+      type: "PUT",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#deleteThread', function(e) {
+    var url = "/api/threads/"+currentURL[0];
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+  $('#boardDisplay').on('submit','#deleteReply', function(e) {
+    var url = "/api/replies/"+currentURL[0];
+    $.ajax({
+      type: "DELETE",
+      url: url,
+      data: $(this).serialize(),
+      success: function(data) { alert(data) }
+    });
+    e.preventDefault();
+  });
+});
@@ -1,38 +1,36 @@
 'use strict';
 
-const bcrypt = require('bcrypt');
 const bodyParser = require('body-parser');
-
-// In-memory storage for threads
-const threadStorage = {
-  threads: [],
-  nextThreadId: 1,
-  nextReplyId: 1,
-
-  // Existing getRecentThreads method remains the same
-  getRecentThreads(board, limit = 10) {
-    const boardThreads = this.threads
-      .filter(thread => thread.board === board)
-      .sort((a, b) => b.bumped_on - a.bumped_on)
-      .slice(0, limit);
-
-    return boardThreads.map(thread => {
-      const threadCopy = { ...thread };
-
-      threadCopy.replies = thread.replies
-        .sort((a, b) => b.created_on - a.created_on)
-        .slice(0, 3)
-        .map(reply => {
-          const { delete_password, reported, ...safeReply } = reply;
-          return safeReply;
-        });
-
-      delete threadCopy.delete_password;
-      delete threadCopy.reported;
-
-      return threadCopy;
-    });
-  }
+const { threadStorage } = require('../storage');
+const { sendError, sendRefusal } = require('../controllers/errors');
+const { validate } = require('../controllers/validation');
+const { requireBoard } = require('../controllers/boards');
+const { rateLimit } = require('../controllers/rateLimit');
+const { acceptUploads } = require('../controllers/attachments');
+const { rejectBanned } = require('../controllers/bans');
+const { requireProofOfWork } = require('../controllers/challenges');
+const posts = require('../controllers/posts');
+const { logError } = require('../controllers/logging');
+
+// What each route accepts. Ids are coerced from the strings that forms and
+// query strings carry; text is held to the board's rules by the handlers.
+const ID = { type: 'id', required: true };
+const TEXT = { type: 'string', required: true };
+const PASSWORD = { type: 'string', required: true };
+// A solved challenge, which boards needing proof of work check for
+const POW = { pow_token: { type: 'string' }, pow_solution: { type: 'string' } };
+
+const SCHEMAS = {
+  listThreads: { query: posts.THREAD_LIST_QUERY },
+  createThread: { body: { text: TEXT, delete_password: PASSWORD, name: { type: 'string' }, ...POW } },
+  deleteThread: { body: { thread_id: ID, delete_password: PASSWORD } },
+  reportThread: { body: { thread_id: ID, reason: { type: 'string' } } },
+  editThread: { body: { thread_id: ID, text: TEXT, delete_password: PASSWORD } },
+  getThread: { query: { thread_id: ID, ...posts.REPLY_LIST_QUERY } },
+  createReply: { body: { thread_id: ID, text: TEXT, delete_password: PASSWORD, name: { type: 'string' }, ...POW } },
+  deleteReply: { body: { thread_id: ID, reply_id: ID, delete_password: PASSWORD } },
+  reportReply: { body: { thread_id: ID, reply_id: ID, reason: { type: 'string' } } },
+  editReply: { body: { thread_id: ID, reply_id: ID, text: TEXT, delete_password: PASSWORD } }
 };
 
 module.exports = function (app) {
@@ -48,236 +46,198 @@ module.exports = function (app) {
 
   // Thread Routes
   app.route('/api/threads/:board')
-    // GET route remains the same
-    .get(function (req, res) {
+    // Every thread route needs a registered board
+    .all(requireBoard)
+    // GET route to list a board's threads, a page at a time
+    .get(validate(SCHEMAS.listThreads), function (req, res) {
       try {
-        const board = req.params.board;
-        const recentThreads = threadStorage.getRecentThreads(board);
-        res.status(200).json(recentThreads);
+        const { sort, limit, cursor, replies_preview: repliesPreview } = req.query;
+        const result = posts.listThreads(res.locals.board, { sort, limit, cursor, repliesPreview });
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        // The body stays a plain array for existing clients, so the cursor
+        // for the next page travels in a header
+        if (result.nextCursor) {
+          res.set('X-Next-Cursor', result.nextCursor);
+        }
+
+        res.status(200).json(result.threads);
       } catch (error) {
-        console.error('Error retrieving threads:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        logError('Error retrieving threads', error, req);
+        sendError(res, 500, 'Internal server error');
       }
     })
-    // POST route to create a new thread
-    .post(async function (req, res) {
+    // POST route to create a new thread, optionally with attachments
+    .post(rejectBanned, rateLimit('thread'), acceptUploads, validate(SCHEMAS.createThread), requireProofOfWork, async function (req, res) {
       try {
         // Use normalized input
         const input = normalizeInput(req);
-        const { board } = req.params;
-        const { text, delete_password } = input;
+        const result = await posts.createThread(res.locals.board, { ...input, files: req.files, ip: req.ip });
 
-        // Validate input
-        if (!board || !text || !delete_password) {
-          return res.status(400).json({
-            error: 'Missing required fields: board, text, or delete_password'
-          });
+        if (result.error) {
+          return sendRefusal(res, result);
         }
 
-        // Hash the delete password
-        const hashedPassword = await bcrypt.hash(delete_password, 10);
-
-        // Create new thread object
-        const newThread = {
-          thread_id: threadStorage.nextThreadId++,
-          board,
-          text,
-          delete_password: hashedPassword,
-          created_on: new Date(),
-          bumped_on: new Date(),
-          reported: false,
-          replies: []
-        };
-
-        // Store the thread
-        threadStorage.threads.push(newThread);
-
-        // Respond with the created thread (excluding hashed password)
-        const responseThread = { ...newThread, _id: newThread.thread_id };
-        delete responseThread.delete_password;
-        delete responseThread.reported;
-
-        res.status(201).json(responseThread);
+        // A held thread is accepted but not shown yet
+        res.status(result.held ? 202 : 201).json({
+          ...result.thread,
+          replies: [],
+          _id: result.thread.thread_id
+        });
       } catch (error) {
-        console.error('Error creating thread:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        logError('Error creating thread', error, req);
+        sendError(res, 500, 'Internal server error');
       }
     })
     // DELETE route to remove a thread
-    .delete(async function (req, res) {
+    .delete(rateLimit('delete'), validate(SCHEMAS.deleteThread), async function (req, res) {
       try {
         // Use normalized input
         const input = normalizeInput(req);
-        const { thread_id, delete_password } = input;
-        const board = req.params.board;
+        const result = await posts.deleteThread(res.locals.board, input.thread_id, input);
 
-        // Find the thread
-        const thread = threadStorage.threads.find(
-          t => t.thread_id === thread_id && t.board === board
-        );
-
-        if (!thread) {
-          return res.status(404).json({ error: 'Thread not found' });
+        if (result.error) {
+          return sendRefusal(res, result);
         }
 
-        // Verify delete password
-        const isPasswordValid = await bcrypt.compare(delete_password, thread.delete_password);
-
-        if (!isPasswordValid) {
-          return res.status(403).json({ error: 'Incorrect delete password' });
-        }
-
-        // Remove the thread
-        threadStorage.threads = threadStorage.threads.filter(
-          t => t.thread_id !== thread_id || t.board !== board
-        );
-
         res.status(200).json({ message: 'Thread deleted successfully' });
       } catch (error) {
-        console.error('Error deleting thread:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        logError('Error deleting thread', error, req);
+        sendError(res, 500, 'Internal server error');
       }
     })
     // PUT route for reporting a thread
-    .put(function (req, res) {
-      // Use normalized input
-      const input = normalizeInput(req);
-      const { thread_id } = input;
-      const board = req.params.board;
+    .put(rateLimit('report'), validate(SCHEMAS.reportThread), function (req, res) {
+      try {
+        // Use normalized input
+        const input = normalizeInput(req);
+        const result = posts.reportThread(res.locals.board, input.thread_id, input);
 
-      // Find the thread
-      const thread = threadStorage.threads.find(
-        t => t.thread_id === thread_id && t.board === board
-      );
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
 
-      if (!thread) {
-        return res.status(404).json({ error: 'Thread not found' });
+        res.status(200).json({ message: 'Thread reported successfully' });
+      } catch (error) {
+        logError('Error reporting thread', error, req);
+        sendError(res, 500, 'Internal server error');
       }
+    })
+    // PATCH route to edit a thread's text
+    .patch(rejectBanned, rateLimit('edit'), validate(SCHEMAS.editThread), async function (req, res) {
+      try {
+        // Use normalized input
+        const input = normalizeInput(req);
+        const result = await posts.editThread(res.locals.board, input.thread_id, input);
 
-      // Mark thread as reported
-      thread.reported = true;
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
 
-      res.status(200).json({ message: 'Thread reported successfully' });
+        res.status(200).json(result.thread);
+      } catch (error) {
+        logError('Error editing thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
     });
 
   // Reply Routes
   app.route('/api/replies/:board')
-    // POST route to add a reply to a thread
-    .post(async function (req, res) {
+    // Every reply route needs a registered board
+    .all(requireBoard)
+    // GET route to fetch a whole thread, paging through its replies
+    .get(validate(SCHEMAS.getThread), function (req, res) {
       try {
-        // Use normalized input
-        const input = normalizeInput(req);
-        const { thread_id, text, delete_password } = input;
-        const board = req.params.board;
-
-        // Find the thread
-        const thread = threadStorage.threads.find(
-          t => t.thread_id === thread_id && t.board === board
-        );
+        const { thread_id: threadId, limit, cursor } = req.query;
+        const result = posts.getThread(res.locals.board, threadId, { limit, cursor });
 
-        if (!thread) {
-          return res.status(404).json({ error: 'Thread not found' });
+        if (result.error) {
+          return sendRefusal(res, result);
         }
 
-        // Hash the delete password
-        const hashedPassword = await bcrypt.hash(delete_password, 10);
-
-        // Create reply object
-        const newReply = {
-          reply_id: threadStorage.nextReplyId++,
-          text,
-          delete_password: hashedPassword,
-          created_on: new Date(),
-          reported: false
-        };
-
-        // Add reply to thread
-        thread.replies.push(newReply);
-
-        // Update thread's bumped_on time
-        thread.bumped_on = new Date();
-
-        // Respond with the created reply (excluding sensitive info)
-        const responseReply = { ...newReply };
-        delete responseReply.delete_password;
-        delete responseReply.reported;
-
-        res.status(201).json(responseReply);
+        res.status(200).json({ ...result.thread, next_cursor: result.nextCursor });
       } catch (error) {
-        console.error('Error creating reply:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        logError('Error retrieving thread', error, req);
+        sendError(res, 500, 'Internal server error');
       }
     })
-    // DELETE route to remove a reply
-    .delete(async function (req, res) {
+    // POST route to add a reply to a thread, optionally with attachments
+    .post(rejectBanned, rateLimit('reply'), acceptUploads, validate(SCHEMAS.createReply), requireProofOfWork, async function (req, res) {
       try {
         // Use normalized input
         const input = normalizeInput(req);
-        const { thread_id, reply_id, delete_password } = input;
-        const board = req.params.board;
-
-        // Find the thread
-        const thread = threadStorage.threads.find(
-          t => t.thread_id === thread_id && t.board === board
-        );
-
-        if (!thread) {
-          return res.status(404).json({ error: 'Thread not found' });
-        }
-
-        // Find the reply
-        const replyIndex = thread.replies.findIndex(r => r.reply_id === reply_id);
+        const result = await posts.createReply(res.locals.board, input.thread_id, {
+          ...input,
+          files: req.files,
+          ip: req.ip
+        });
 
-        if (replyIndex === -1) {
-          return res.status(404).json({ error: 'Reply not found' });
+        if (result.error) {
+          return sendRefusal(res, result);
         }
 
-        const reply = thread.replies[replyIndex];
-
-        // Verify delete password
-        const isPasswordValid = await bcrypt.compare(delete_password, reply.delete_password);
+        // A held reply is accepted but not shown yet
+        res.status(result.held ? 202 : 201).json(result.reply);
+      } catch (error) {
+        logError('Error creating reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    // DELETE route to remove a reply
+    .delete(rateLimit('delete'), validate(SCHEMAS.deleteReply), async function (req, res) {
+      try {
+        // Use normalized input
+        const input = normalizeInput(req);
+        const result = await posts.deleteReply(res.locals.board, input.thread_id, input.reply_id, input);
 
-        if (!isPasswordValid) {
-          return res.status(403).json({ error: 'Incorrect delete password' });
+        if (result.error) {
+          return sendRefusal(res, result);
         }
 
-        // Remove the reply
-        thread.replies.splice(replyIndex, 1);
-
         res.status(200).json({ message: 'Reply deleted successfully' });
       } catch (error) {
-        console.error('Error deleting reply:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        logError('Error deleting reply', error, req);
+        sendError(res, 500, 'Internal server error');
       }
     })
     // PUT route for reporting a reply
-    .put(function (req, res) {
-      // Use normalized input
-      const input = normalizeInput(req);
-      const { thread_id, reply_id } = input;
-      const board = req.params.board;
+    .put(rateLimit('report'), validate(SCHEMAS.reportReply), function (req, res) {
+      try {
+        // Use normalized input
+        const input = normalizeInput(req);
+        const result = posts.reportReply(res.locals.board, input.thread_id, input.reply_id, input);
 
-      // Find the thread
-      const thread = threadStorage.threads.find(
-        t => t.thread_id === thread_id && t.board === board
-      );
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
 
-      if (!thread) {
-        return res.status(404).json({ error: 'Thread not found' });
+        res.status(200).json({ message: 'Reply reported successfully' });
+      } catch (error) {
+        logError('Error reporting reply', error, req);
+        sendError(res, 500, 'Internal server error');
       }
+    })
+    // PATCH route to edit a reply's text
+    .patch(rejectBanned, rateLimit('edit'), validate(SCHEMAS.editReply), async function (req, res) {
+      try {
+        // Use normalized input
+        const input = normalizeInput(req);
+        const result = await posts.editReply(res.locals.board, input.thread_id, input.reply_id, input);
 
-      // Find the reply
-      const reply = thread.replies.find(r => r.reply_id === reply_id);
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
 
-      if (!reply) {
-        return res.status(404).json({ error: 'Reply not found' });
+        res.status(200).json(result.reply);
+      } catch (error) {
+        logError('Error editing reply', error, req);
+        sendError(res, 500, 'Internal server error');
       }
-
-      // Mark reply as reported
-      reply.reported = true;
-
-      res.status(200).json({ message: 'Reply reported successfully' });
     });
 };
 
-module.exports.threadStorage = threadStorage;
\ No newline at end of file
+module.exports.threadStorage = threadStorage;
+module.exports.SCHEMAS = SCHEMAS;
@@ -0,0 +1,87 @@
+'use strict';
+
+const { requireBoard } = require('../controllers/boards');
+const { encodeCursor, decodeCursor } = require('../controllers/params');
+const { validate } = require('../controllers/validation');
+const { sanitizeThread, sanitizeReply } = require('../controllers/sanitize');
+const { listArchivedThreads } = require('../controllers/archive');
+const { isHeld } = require('../controllers/filters');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+const ARCHIVE_PAGE_SIZE = 20;
+const MAX_ARCHIVE_PAGE_SIZE = 100;
+
+const SCHEMAS = {
+  getArchive: {
+    query: {
+      thread_id: { type: 'id' },
+      limit: { type: 'integer', max: MAX_ARCHIVE_PAGE_SIZE, default: ARCHIVE_PAGE_SIZE },
+      cursor: { type: 'string' }
+    }
+  }
+};
+
+module.exports = function (app) {
+  // Read-only archive of a board: one whole thread when thread_id is given,
+  // otherwise a page of archived threads, most recently archived first
+  app.get('/api/archive/:board', requireBoard, validate(SCHEMAS.getArchive), function (req, res) {
+    try {
+      const board = req.params.board;
+      const { thread_id: threadId, limit } = req.query;
+      const archived = listArchivedThreads(board).filter(thread => !isHeld(thread));
+
+      // An empty thread_id counts as not sent
+      if (threadId) {
+        const thread = archived.find(t => t.thread_id === threadId);
+
+        if (!thread) {
+          return sendError(res, 404, 'Thread not found in archive', { field: 'thread_id' });
+        }
+
+        const replies = thread.replies.filter(reply => !isHeld(reply));
+
+        return res.status(200).json({
+          ...sanitizeThread(thread),
+          reply_count: replies.length,
+          replies: replies
+            .sort((a, b) => a.reply_id - b.reply_id)
+            .map(sanitizeReply)
+        });
+      }
+
+      // Keyset cursor on archival time and id, as on the board view
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+
+        if (!cursor || typeof cursor.key !== 'number' || !Number.isInteger(cursor.id)) {
+          return sendError(res, 400, 'Invalid cursor', { code: 'invalid_field', field: 'cursor' });
+        }
+      }
+
+      const isAfterCursor = (thread) => {
+        const key = +thread.archived_on;
+        return key < cursor.key || (key === cursor.key && thread.thread_id < cursor.id);
+      };
+
+      const remaining = archived
+        .filter(thread => !cursor || isAfterCursor(thread))
+        .sort((a, b) => b.archived_on - a.archived_on || b.thread_id - a.thread_id);
+      const page = remaining.slice(0, limit);
+      const last = page[page.length - 1];
+
+      if (remaining.length > limit) {
+        res.set('X-Next-Cursor', encodeCursor({ key: +last.archived_on, id: last.thread_id }));
+      }
+
+      res.status(200).json(page.map(thread => ({
+        ...sanitizeThread(thread),
+        reply_count: thread.replies.filter(reply => !isHeld(reply)).length
+      })));
+    } catch (error) {
+      logError('Error retrieving archive', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
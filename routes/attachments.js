@@ -0,0 +1,34 @@
+'use strict';
+
+const { findAttachment } = require('../controllers/attachments');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+module.exports = function (app) {
+  // Files attached to posts. Names are content hashes, so a name always
+  // means the same bytes and responses can be cached for good.
+  app.get('/api/attachments/:file', function (req, res) {
+    try {
+      const attachment = findAttachment(req.params.file);
+
+      if (!attachment) {
+        return sendError(res, 404, 'Attachment not found');
+      }
+
+      // Uploaded content must never run as part of the site
+      res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+      res.set('Content-Disposition', attachment.inline ? 'inline' : 'attachment');
+      res.type(attachment.type === 'text/plain' ? 'text/plain; charset=utf-8' : attachment.type);
+
+      res.sendFile(attachment.path, { maxAge: '1y', immutable: true }, function (error) {
+        if (error && !res.headersSent) {
+          const missing = error.status === 404;
+          sendError(res, missing ? 404 : 500, missing ? 'Attachment not found' : 'Internal server error');
+        }
+      });
+    } catch (error) {
+      logError('Error serving attachment', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
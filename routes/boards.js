@@ -0,0 +1,152 @@
+'use strict';
+
+const { pipeline, Readable } = require('stream');
+const bodyParser = require('body-parser');
+const { threadStorage } = require('../storage');
+const { isAdmin, requireAdmin } = require('../controllers/adminAuth');
+const { validate } = require('../controllers/validation');
+const {
+  BOARD_NAME_PATTERN,
+  parseBoardSettings,
+  createBoard,
+  describeBoard,
+  requireBoard
+} = require('../controllers/boards');
+const { archiveOverflow } = require('../controllers/archive');
+const { exportBoard, importBoard } = require('../controllers/transfer');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+// Largest NDJSON body an import accepts
+const IMPORT_MAX_SIZE = '20mb';
+
+// What each route accepts. Board settings are checked by parseBoardSettings,
+// which imports share.
+const SCHEMAS = {
+  createBoard: { body: { name: { type: 'string', required: true } } },
+  exportBoard: { query: { passwords: { type: 'boolean', default: false } } }
+};
+
+const INVALID_NAME = 'name must be 1 to 32 letters, digits, dashes or underscores';
+
+// Password hashes are only exported to moderators
+const requireAdminForPasswords = (req, res, next) =>
+  req.query.passwords ? requireAdmin(req, res, next) : next();
+
+module.exports = function (app) {
+  app.route('/api/boards')
+    // GET route to list every registered board
+    .get(function (req, res) {
+      try {
+        const boards = threadStorage.listBoards()
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(describeBoard);
+
+        res.status(200).json(boards);
+      } catch (error) {
+        logError('Error listing boards', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    // POST route for moderators to register a new board
+    .post(requireAdmin, validate(SCHEMAS.createBoard), function (req, res) {
+      try {
+        const input = req.body;
+        const { name } = input;
+
+        if (!BOARD_NAME_PATTERN.test(name)) {
+          return sendError(res, 400, INVALID_NAME, { code: 'invalid_field', field: 'name' });
+        }
+
+        const { settings, error, field } = parseBoardSettings(input);
+
+        if (error) {
+          return sendError(res, 400, error, { code: 'invalid_field', field });
+        }
+
+        const board = createBoard({ name, ...settings });
+
+        if (!board) {
+          return sendError(res, 409, 'Board already exists');
+        }
+
+        res.status(201).json(describeBoard(board));
+      } catch (error) {
+        logError('Error creating board', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.route('/api/boards/:board')
+    .all(requireBoard)
+    // GET route to describe one board
+    .get(function (req, res) {
+      res.status(200).json(describeBoard(res.locals.board));
+    })
+    // PATCH route for moderators to change a board's settings
+    .patch(requireAdmin, function (req, res) {
+      try {
+        const { settings, error, field } = parseBoardSettings(req.body || {});
+
+        if (error) {
+          return sendError(res, 400, error, { code: 'invalid_field', field });
+        }
+
+        const board = threadStorage.updateBoard(req.params.board, settings);
+
+        // A lowered cap archives the overflow right away
+        archiveOverflow(board);
+
+        res.status(200).json(describeBoard(board));
+      } catch (error) {
+        logError('Error updating board', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  // Every thread and reply of a board as NDJSON, streamed one record per
+  // line. Moderators also get held posts and what is kept about reports, and
+  // with passwords=true the password hashes posters delete their posts with.
+  app.get('/api/boards/:board/export', requireBoard, validate(SCHEMAS.exportBoard), requireAdminForPasswords, function (req, res) {
+    try {
+      const lines = exportBoard(res.locals.board, { moderator: isAdmin(req), passwords: req.query.passwords });
+
+      res.status(200);
+      res.type('application/x-ndjson');
+      res.set('Content-Disposition', `attachment; filename="${req.params.board}.ndjson"`);
+
+      pipeline(Readable.from(lines), res, function (error) {
+        if (error) logError('Error exporting board', error, req);
+      });
+    } catch (error) {
+      logError('Error exporting board', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // POST route for moderators to load an export into a board, creating it
+  // when it does not exist. Bad lines are reported and skipped.
+  app.post(
+    '/api/boards/:board/import',
+    requireAdmin,
+    bodyParser.text({ type: ['application/x-ndjson', 'text/plain'], limit: IMPORT_MAX_SIZE }),
+    async function (req, res) {
+      try {
+        const { board } = req.params;
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+          return sendError(res, 400, 'Send the records as application/x-ndjson');
+        }
+
+        if (!threadStorage.findBoard(board) && !BOARD_NAME_PATTERN.test(board)) {
+          return sendError(res, 400, INVALID_NAME, { code: 'invalid_field', field: 'board' });
+        }
+
+        res.status(200).json(await importBoard(board, req.body));
+      } catch (error) {
+        logError('Error importing board', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    }
+  );
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const { requireBoard } = require('../controllers/boards');
+const { issueChallenge } = require('../controllers/challenges');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+module.exports = function (app) {
+  // A proof-of-work challenge to solve before posting on the board, at the
+  // difficulty the board needs right now
+  app.post('/api/challenges/:board', requireBoard, function (req, res) {
+    try {
+      res.status(201).json(issueChallenge(res.locals.board));
+    } catch (error) {
+      logError('Error issuing challenge', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const { version } = require('../package.json');
+const { buildOpenApiDocument } = require('../controllers/openapi');
+const { SCHEMAS: V1 } = require('./api');
+const { SCHEMAS: V2 } = require('./v2');
+
+// Every thread, reply and challenge route, with the validate() schema it
+// runs and what it answers. Request shapes come from the schemas; keep the
+// responses here in step with the handlers, which the contract tests check.
+
+// What can go wrong for anyone posting: bans, closed boards, wrong passwords
+// or passed edit windows, and the rate limits
+const REFUSED = { 403: 'Error', 429: 'Error' };
+const GONE = { 410: 'Error' };
+const LOCKED = { 423: 'Error' };
+const TOO_LARGE = { 413: 'Error' };
+
+const LOCATION = { Location: 'Where the new post can be fetched' };
+
+const V1_OPERATIONS = [
+  {
+    method: 'get',
+    path: '/api/threads/:board',
+    summary: 'List a board\'s threads with their latest replies, a page at a time',
+    schema: V1.listThreads,
+    responses: { 200: '[ThreadPreview]' },
+    headers: { 200: { 'X-Next-Cursor': 'Cursor for the next page, when there is one; pass it back as cursor' } }
+  },
+  {
+    method: 'post',
+    path: '/api/threads/:board',
+    summary: 'Start a thread; 202 when a filter holds it for review',
+    schema: V1.createThread,
+    uploads: true,
+    responses: { 201: 'CreatedThread', 202: 'CreatedThread', ...REFUSED, ...TOO_LARGE }
+  },
+  {
+    method: 'delete',
+    path: '/api/threads/:board',
+    summary: 'Delete a thread with its delete password',
+    schema: V1.deleteThread,
+    responses: { 200: 'Message', ...REFUSED, ...GONE }
+  },
+  {
+    method: 'put',
+    path: '/api/threads/:board',
+    summary: 'Report a thread to the moderators',
+    schema: V1.reportThread,
+    responses: { 200: 'Message', ...REFUSED, ...GONE }
+  },
+  {
+    method: 'patch',
+    path: '/api/threads/:board',
+    summary: 'Edit a thread\'s text within the board\'s edit window',
+    schema: V1.editThread,
+    responses: { 200: 'Thread', ...REFUSED, ...GONE, ...LOCKED }
+  },
+  {
+    method: 'get',
+    path: '/api/replies/:board',
+    summary: 'Fetch a thread with its replies, a page at a time',
+    schema: V1.getThread,
+    responses: { 200: 'ThreadPage' }
+  },
+  {
+    method: 'post',
+    path: '/api/replies/:board',
+    summary: 'Reply to a thread; 202 when a filter holds the reply for review',
+    schema: V1.createReply,
+    uploads: true,
+    responses: { 201: 'Reply', 202: 'Reply', ...REFUSED, ...TOO_LARGE, ...LOCKED }
+  },
+  {
+    method: 'delete',
+    path: '/api/replies/:board',
+    summary: 'Delete a reply with its delete password',
+    schema: V1.deleteReply,
+    responses: { 200: 'Message', ...REFUSED, ...GONE }
+  },
+  {
+    method: 'put',
+    path: '/api/replies/:board',
+    summary: 'Report a reply to the moderators',
+    schema: V1.reportReply,
+    responses: { 200: 'Message', ...REFUSED, ...GONE }
+  },
+  {
+    method: 'patch',
+    path: '/api/replies/:board',
+    summary: 'Edit a reply\'s text within the board\'s edit window',
+    schema: V1.editReply,
+    responses: { 200: 'Reply', ...REFUSED, ...GONE, ...LOCKED }
+  }
+].map(operation => ({ tag: 'v1', ...operation }));
+
+const THREADS = '/api/v2/boards/:board/threads';
+const THREAD = `${THREADS}/:thread_id`;
+const REPLIES = `${THREAD}/replies`;
+const REPLY = `${REPLIES}/:reply_id`;
+
+const V2_OPERATIONS = [
+  {
+    method: 'get',
+    path: THREADS,
+    summary: 'List a board\'s threads with their latest replies, a page at a time',
+    schema: V2.listThreads,
+    responses: { 200: 'ThreadList' }
+  },
+  {
+    method: 'post',
+    path: THREADS,
+    summary: 'Start a thread; 202 when a filter holds it for review',
+    schema: V2.createThread,
+    uploads: true,
+    responses: { 201: 'ThreadResource', 202: 'ThreadResource', ...REFUSED, ...TOO_LARGE },
+    headers: { 201: LOCATION }
+  },
+  {
+    method: 'get',
+    path: THREAD,
+    summary: 'Fetch a thread with the first page of its replies',
+    schema: V2.getThread,
+    responses: { 200: 'ThreadDetailResource' }
+  },
+  {
+    method: 'patch',
+    path: THREAD,
+    summary: 'Edit a thread\'s text within the board\'s edit window',
+    schema: V2.editThread,
+    responses: { 200: 'ThreadResource', ...REFUSED, ...GONE, ...LOCKED }
+  },
+  {
+    method: 'delete',
+    path: THREAD,
+    summary: 'Delete a thread with its delete password',
+    schema: V2.deleteThread,
+    responses: { 204: null, ...REFUSED, ...GONE }
+  },
+  {
+    method: 'post',
+    path: `${THREAD}/reports`,
+    summary: 'Report a thread to the moderators',
+    schema: V2.reportThread,
+    responses: { 202: 'Message', ...REFUSED, ...GONE }
+  },
+  {
+    method: 'get',
+    path: REPLIES,
+    summary: 'List a thread\'s replies in posting order, a page at a time',
+    schema: V2.listReplies,
+    responses: { 200: 'ReplyList' }
+  },
+  {
+    method: 'post',
+    path: REPLIES,
+    summary: 'Reply to a thread; 202 when a filter holds the reply for review',
+    schema: V2.createReply,
+    uploads: true,
+    responses: { 201: 'ReplyResource', 202: 'ReplyResource', ...REFUSED, ...TOO_LARGE, ...LOCKED },
+    headers: { 201: LOCATION }
+  },
+  {
+    method: 'get',
+    path: REPLY,
+    summary: 'Fetch one reply',
+    schema: V2.getReply,
+    responses: { 200: 'ReplyResource' }
+  },
+  {
+    method: 'patch',
+    path: REPLY,
+    summary: 'Edit a reply\'s text within the board\'s edit window',
+    schema: V2.editReply,
+    responses: { 200: 'ReplyResource', ...REFUSED, ...GONE, ...LOCKED }
+  },
+  {
+    method: 'delete',
+    path: REPLY,
+    summary: 'Delete a reply with its delete password',
+    schema: V2.deleteReply,
+    responses: { 204: null, ...REFUSED, ...GONE }
+  },
+  {
+    method: 'post',
+    path: `${REPLY}/reports`,
+    summary: 'Report a reply to the moderators',
+    schema: V2.reportReply,
+    responses: { 202: 'Message', ...REFUSED, ...GONE }
+  }
+].map(operation => ({ tag: 'v2', ...operation }));
+
+// Boards needing proof of work refuse posts without a solved challenge
+const CHALLENGE_OPERATIONS = [
+  {
+    method: 'post',
+    path: '/api/challenges/:board',
+    summary: 'Get a proof-of-work challenge to solve before posting on the board',
+    responses: { 201: 'Challenge' }
+  }
+].map(operation => ({ tag: 'challenges', ...operation }));
+
+const openApiDocument = buildOpenApiDocument({
+  title: 'Anonymous Message Board API',
+  version,
+  description: 'Threads and replies on the message board\'s boards. Errors come in one envelope: ' +
+    'a code, a message and the input field at fault.'
+}, [...V1_OPERATIONS, ...V2_OPERATIONS, ...CHALLENGE_OPERATIONS]);
+
+module.exports = function (app) {
+  app.get('/api/openapi.json', function (req, res) {
+    res.status(200).json(openApiDocument);
+  });
+
+  // Renders the document in the browser with the page's own script, which
+  // the Content-Security-Policy allows
+  app.get('/api/docs', function (req, res) {
+    res.sendFile(process.cwd() + '/views/docs.html');
+  });
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { requireBoard } = require('../controllers/boards');
+const { FIELD_TYPES, validate } = require('../controllers/validation');
+const { eventBroker } = require('../controllers/events');
+const { sendError } = require('../controllers/errors');
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Milliseconds browsers wait before reconnecting
+const RECONNECT_DELAY = 3000;
+
+const SCHEMAS = {
+  threadEvents: { params: { thread_id: { type: 'id', required: true } } }
+};
+
+const writeEvent = (res, { id, event, data }) => {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streams the events matching the filter until the client disconnects,
+// first replaying whatever it missed since its Last-Event-ID
+const streamEvents = (req, res, filter) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // Anything but an id in Last-Event-ID is taken as none
+  const { value: lastEventId } = FIELD_TYPES.id(req.get('Last-Event-ID'), 'Last-Event-ID');
+
+  if (lastEventId !== undefined) {
+    const { complete, events } = eventBroker.since(lastEventId, filter);
+
+    // Some events fell out of the buffer; the client has to reload
+    if (!complete) {
+      res.write('event: resync\ndata: {}\n\n');
+    }
+
+    events.forEach(event => writeEvent(res, event));
+  }
+
+  const unsubscribe = eventBroker.subscribe(filter, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = function (app) {
+  // Live events for every thread of a board
+  app.get('/api/events/:board', requireBoard, function (req, res) {
+    streamEvents(req, res, { board: req.params.board });
+  });
+
+  // Live events for a single thread
+  app.get('/api/events/:board/:thread_id', requireBoard, validate(SCHEMAS.threadEvents), function (req, res) {
+    const { board, thread_id: threadId } = req.params;
+
+    if (!threadStorage.findThread(board, threadId)) {
+      return sendError(res, 404, 'Thread not found', { field: 'thread_id' });
+    }
+
+    streamEvents(req, res, { board, thread_id: threadId });
+  });
+};
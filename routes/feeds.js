@@ -0,0 +1,100 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { requireBoard } = require('../controllers/boards');
+const { listLiveThreads } = require('../controllers/archive');
+const { isDeleted } = require('../controllers/tombstones');
+const { isHeld } = require('../controllers/filters');
+const { validate } = require('../controllers/validation');
+const { titleFromText, lastChanged, authorOf, feedUpdated, sendFeed } = require('../controllers/feeds');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+// Entries per feed
+const FEED_SIZE = 20;
+
+const SCHEMAS = {
+  threadFeed: { params: { threadid: { type: 'id', required: true } } }
+};
+
+// Link to a path on this server, made absolute with PUBLIC_URL when it is set
+// and left relative otherwise. The Host header is never used: a client could
+// forge it into the feed and its ETag.
+const feedUrl = (path) => `${(process.env.PUBLIC_URL || '').replace(/\/+$/, '')}${path}`;
+
+module.exports = function (app) {
+  // Newest threads of a board
+  app.get('/b/:board/feed.:format(atom|rss)', requireBoard, function (req, res) {
+    try {
+      const { board, format } = req.params;
+      const boardSettings = res.locals.board;
+      const boardPath = `/b/${encodeURIComponent(board)}/`;
+
+      // Deleted and held threads leave the feed, but their changes still date it
+      const liveThreads = listLiveThreads(board);
+      const threads = liveThreads
+        .filter(thread => !isDeleted(thread) && !isHeld(thread))
+        .sort((a, b) => b.created_on - a.created_on || b.thread_id - a.thread_id)
+        .slice(0, FEED_SIZE);
+
+      sendFeed(req, res, format, {
+        id: feedUrl(boardPath),
+        title: boardSettings.title,
+        link: feedUrl(boardPath),
+        self: feedUrl(req.originalUrl),
+        updated: feedUpdated(liveThreads, boardSettings.created_on, board),
+        entries: threads.map(thread => ({
+          id: feedUrl(`${boardPath}${thread.thread_id}`),
+          title: titleFromText(thread.text),
+          link: feedUrl(`${boardPath}${thread.thread_id}`),
+          content: thread.text,
+          author: authorOf(thread),
+          published: thread.created_on,
+          updated: lastChanged(thread)
+        }))
+      });
+    } catch (error) {
+      logError('Error building board feed', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Newest replies of a thread
+  app.get('/b/:board/:threadid/feed.:format(atom|rss)', requireBoard, validate(SCHEMAS.threadFeed), function (req, res) {
+    try {
+      const { board, format, threadid: threadId } = req.params;
+      const thread = threadStorage.findThread(board, threadId);
+
+      if (!thread || isHeld(thread)) {
+        return sendError(res, 404, 'Thread not found', { field: 'threadid' });
+      }
+
+      const threadPath = `/b/${encodeURIComponent(board)}/${thread.thread_id}`;
+      const replies = thread.replies
+        .filter(reply => !isDeleted(reply) && !isHeld(reply))
+        .sort((a, b) => b.created_on - a.created_on || b.reply_id - a.reply_id)
+        .slice(0, FEED_SIZE);
+
+      sendFeed(req, res, format, {
+        id: feedUrl(threadPath),
+        title: titleFromText(thread.text),
+        link: feedUrl(threadPath),
+        self: feedUrl(req.originalUrl),
+        updated: feedUpdated([thread, ...thread.replies], thread.created_on, board, thread.thread_id),
+        entries: replies.map(reply => ({
+          // The same anchors as the thread page
+          id: feedUrl(`${threadPath}#reply-${reply.reply_id}`),
+          title: titleFromText(reply.text),
+          link: feedUrl(`${threadPath}#reply-${reply.reply_id}`),
+          content: reply.text,
+          author: authorOf(reply),
+          published: reply.created_on,
+          updated: lastChanged(reply)
+        }))
+      });
+    } catch (error) {
+      logError('Error building thread feed', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { requireAdmin } = require('../controllers/adminAuth');
+const { FILTER_KINDS, FILTER_ACTIONS, parseFilter, dryRunFilter } = require('../controllers/filters');
+const { validate } = require('../controllers/validation');
+const { sendError, sendRefusal } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+// What each route accepts. The pattern and the texts that go with it are
+// checked against the rule's kind and action by parseFilter.
+const RULE = {
+  board: { type: 'string' },
+  kind: { type: 'enum', values: FILTER_KINDS, default: 'word' },
+  action: { type: 'enum', values: FILTER_ACTIONS, required: true },
+  pattern: { type: 'string', required: true },
+  reason: { type: 'string' },
+  replacement: { type: 'string' }
+};
+const FILTER_PARAMS = { filter_id: { type: 'id', required: true } };
+
+const SCHEMAS = {
+  listFilters: { query: { board: { type: 'string' } } },
+  createFilter: { body: RULE },
+  dryRunRule: { body: RULE },
+  dryRunFilter: { params: FILTER_PARAMS },
+  deleteFilter: { params: FILTER_PARAMS }
+};
+
+// Checks a rule sent in the body, board included. Returns { filter } or the
+// { status, error, code, field } refusal.
+const readFilter = (input) => {
+  const { filter, error, field } = parseFilter(input);
+
+  if (error) {
+    return { status: 400, error, code: 'invalid_field', field };
+  }
+
+  if (filter.board !== null && !threadStorage.findBoard(filter.board)) {
+    return { status: 404, error: 'Board not found', field: 'board' };
+  }
+
+  return { filter };
+};
+
+// Looks up the rule named in the path. Returns { filter } or the
+// { status, error, field } refusal.
+const findFilter = (req) => {
+  const filter = threadStorage.findFilter(req.params.filter_id);
+
+  if (!filter) {
+    return { status: 404, error: 'Filter not found', field: 'filter_id' };
+  }
+
+  return { filter };
+};
+
+module.exports = function (app) {
+  // Every rule, or with ?board= the ones in force on that board
+  app.get('/api/admin/filters', requireAdmin, validate(SCHEMAS.listFilters), function (req, res) {
+    try {
+      const board = req.query.board || null;
+      const filters = threadStorage.listFilters()
+        .filter(rule => board === null || rule.board === null || rule.board === board)
+        .sort((a, b) => a.filter_id - b.filter_id);
+
+      res.status(200).json(filters);
+    } catch (error) {
+      logError('Error retrieving filters', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Add a rule, global or for one board
+  app.post('/api/admin/filters', requireAdmin, validate(SCHEMAS.createFilter), function (req, res) {
+    try {
+      const result = readFilter(req.body);
+
+      if (result.error) {
+        return sendRefusal(res, result);
+      }
+
+      const created = threadStorage.createFilter({ ...result.filter, created_on: new Date() });
+
+      res.status(201).json(created);
+    } catch (error) {
+      logError('Error creating filter', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Try a rule that is not saved yet against the posts already on the boards
+  app.post('/api/admin/filters/dry-run', requireAdmin, validate(SCHEMAS.dryRunRule), function (req, res) {
+    try {
+      const result = readFilter(req.body);
+
+      if (result.error) {
+        return sendRefusal(res, result);
+      }
+
+      res.status(200).json(dryRunFilter(result.filter));
+    } catch (error) {
+      logError('Error dry-running filter', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Try a saved rule against the posts already on the boards
+  app.post('/api/admin/filters/:filter_id/dry-run', requireAdmin, validate(SCHEMAS.dryRunFilter), function (req, res) {
+    try {
+      const result = findFilter(req);
+
+      if (result.error) {
+        return sendRefusal(res, result);
+      }
+
+      res.status(200).json(dryRunFilter(result.filter));
+    } catch (error) {
+      logError('Error dry-running filter', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  app.delete('/api/admin/filters/:filter_id', requireAdmin, validate(SCHEMAS.deleteFilter), function (req, res) {
+    try {
+      const result = findFilter(req);
+
+      if (result.error) {
+        return sendRefusal(res, result);
+      }
+
+      threadStorage.deleteFilter(result.filter.filter_id);
+
+      res.status(200).json({ message: 'Filter deleted' });
+    } catch (error) {
+      logError('Error deleting filter', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
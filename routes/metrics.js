@@ -0,0 +1,19 @@
+'use strict';
+
+const { registry, requireMetricsToken } = require('../controllers/metrics');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+module.exports = function (app) {
+  // Prometheus scrape endpoint, in the text exposition format
+  app.get('/metrics', requireMetricsToken, function (req, res) {
+    try {
+      res.status(200)
+        .type('text/plain; version=0.0.4')
+        .send(registry.render());
+    } catch (error) {
+      logError('Error rendering metrics', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+const { threadStorage } = require('../storage');
+const { requireAdmin } = require('../controllers/adminAuth');
+const { QUEUE_SORTS, dismissChanges, getReportQueue } = require('../controllers/moderation');
+const { sanitizeThread } = require('../controllers/sanitize');
+const { requireBoard } = require('../controllers/boards');
+const { purgeTombstones } = require('../controllers/tombstones');
+const { isHeld } = require('../controllers/filters');
+const { archiveOverflow } = require('../controllers/archive');
+const { BAN_SCOPES, isExpired, describeBan, parseBan, banPoster } = require('../controllers/bans');
+const { validate } = require('../controllers/validation');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+// Thread flags a moderator can set directly
+const THREAD_FLAGS = ['sticky', 'locked'];
+
+// What a moderator can do about a reported thread or reply. Each action
+// resolves the report it was taken on.
+const ACTIONS = {
+  // Keep the post and clear its reports, releasing it if a filter held it
+  dismiss(board, thread, reply) {
+    const post = reply || thread;
+    const changes = { ...dismissChanges(), ...(isHeld(post) && { held: false }) };
+
+    if (reply) {
+      threadStorage.updateReply(board, thread.thread_id, reply.reply_id, changes);
+    } else {
+      threadStorage.updateThread(board, thread.thread_id, changes);
+      // A released thread now counts toward the board's cap
+      if (changes.held === false) {
+        archiveOverflow(threadStorage.findBoard(board));
+      }
+    }
+    return { message: 'Report dismissed' };
+  },
+
+  // Delete the reported post
+  remove(board, thread, reply) {
+    if (reply) {
+      threadStorage.deleteReply(board, thread.thread_id, reply.reply_id);
+      return { message: 'Reply removed' };
+    }
+    threadStorage.deleteThread(board, thread.thread_id);
+    return { message: 'Thread removed' };
+  },
+
+  // Stop new replies to the thread the post belongs to
+  lock(board, thread, reply) {
+    ACTIONS.dismiss(board, thread, reply);
+    threadStorage.updateThread(board, thread.thread_id, { locked: true });
+    return { message: 'Thread locked' };
+  }
+};
+
+// What each route accepts. The post a moderator acts on is named by
+// thread_id, and by reply_id as well when it is a reply.
+const THREAD_ID = { type: 'id', required: true };
+const POST = { thread_id: THREAD_ID, reply_id: { type: 'id' } };
+
+const SCHEMAS = {
+  listReports: {
+    query: { board: { type: 'string' }, sort: { type: 'enum', values: Object.keys(QUEUE_SORTS), default: 'count' } }
+  },
+  resolveReport: { params: { action: { type: 'enum', values: Object.keys(ACTIONS), required: true } }, body: POST },
+  setThreadFlags: { body: { thread_id: THREAD_ID, sticky: { type: 'boolean' }, locked: { type: 'boolean' } } },
+  purgeTombstones: { body: { thread_id: { type: 'id' } } },
+  createBan: {
+    body: {
+      ...POST,
+      duration: { type: 'id', required: true },
+      reason: { type: 'string', required: true },
+      scope: { type: 'enum', values: BAN_SCOPES, default: 'global' }
+    }
+  },
+  listBans: { query: { board: { type: 'string' } } },
+  liftBan: { params: { ban_id: { type: 'id', required: true } } },
+  getRevisions: { query: POST }
+};
+
+// Looks up the thread named by thread_id and, when reply_id is given, the
+// reply in it, from input that has been through validate(). Returns
+// { thread, reply } or the { status, error, field } to send.
+const findPost = (board, input) => {
+  // Find the thread
+  const thread = threadStorage.findThread(board, input.thread_id);
+
+  if (!thread) {
+    return { status: 404, error: 'Thread not found', field: 'thread_id' };
+  }
+
+  if (input.reply_id === undefined || input.reply_id === '') {
+    return { thread, reply: null };
+  }
+
+  // Find the reply
+  const reply = threadStorage.findReply(board, thread.thread_id, input.reply_id);
+
+  if (!reply) {
+    return { status: 404, error: 'Reply not found', field: 'reply_id' };
+  }
+
+  return { thread, reply };
+};
+
+module.exports = function (app) {
+  // Moderation queue of reported threads and replies across boards
+  app.get('/api/admin/reports', requireAdmin, validate(SCHEMAS.listReports), function (req, res) {
+    try {
+      const board = req.query.board || undefined;
+      res.status(200).json(getReportQueue({ board, sort: req.query.sort }));
+    } catch (error) {
+      logError('Error retrieving reports', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Resolve the report on a thread, or on a reply when reply_id is given
+  app.post('/api/admin/reports/:board/:action', requireAdmin, validate(SCHEMAS.resolveReport), function (req, res) {
+    try {
+      const { board, action } = req.params;
+      const { thread, reply, status, error, field } = findPost(board, req.body);
+
+      if (error) {
+        return sendError(res, status, error, { field });
+      }
+
+      res.status(200).json(ACTIONS[action](board, thread, reply));
+    } catch (error) {
+      logError('Error moderating report', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Pin a thread above the others on its board, or lock it against replies
+  // and edits; either flag can be set or cleared
+  app.patch('/api/admin/threads/:board', requireAdmin, validate(SCHEMAS.setThreadFlags), function (req, res) {
+    try {
+      const { board } = req.params;
+      const input = req.body;
+      const changes = {};
+
+      THREAD_FLAGS
+        .filter(flag => typeof input[flag] === 'boolean')
+        .forEach(flag => { changes[flag] = input[flag]; });
+
+      if (Object.keys(changes).length === 0) {
+        return sendError(res, 400, `Set at least one of ${THREAD_FLAGS.join(', ')}`, { code: 'missing_field' });
+      }
+
+      const { thread, status, error, field } = findPost(board, { thread_id: input.thread_id });
+
+      if (error) {
+        return sendError(res, status, error, { field });
+      }
+
+      const updatedThread = threadStorage.updateThread(board, thread.thread_id, changes);
+
+      res.status(200).json(sanitizeThread(updatedThread));
+    } catch (error) {
+      logError('Error updating thread flags', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Hard-delete the tombstones deleted posts leave behind, on the whole board
+  // or in the thread given by thread_id
+  app.delete('/api/admin/tombstones/:board', requireAdmin, requireBoard, validate(SCHEMAS.purgeTombstones), function (req, res) {
+    try {
+      // Left empty, thread_id purges the whole board
+      const threadId = req.body.thread_id || undefined;
+
+      res.status(200).json({ purged: purgeTombstones(req.params.board, threadId) });
+    } catch (error) {
+      logError('Error purging tombstones', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Ban the poster of a thread, or of a reply when reply_id is given, for
+  // duration seconds, from every board or with scope "board" just this one
+  app.post('/api/admin/bans/:board', requireAdmin, requireBoard, validate(SCHEMAS.createBan), function (req, res) {
+    try {
+      const { board } = req.params;
+      const input = req.body;
+      const ban = parseBan(input);
+
+      if (ban.error) {
+        return sendError(res, 400, ban.error, { code: 'invalid_field', field: ban.field });
+      }
+
+      const { thread, reply, status, error, field } = findPost(board, input);
+
+      if (error) {
+        return sendError(res, status, error, { field });
+      }
+
+      // Posts from before hashes were kept cannot be traced to a poster
+      if (!(reply || thread).ip_hash) {
+        return sendError(res, 409, 'Post has no recorded poster');
+      }
+
+      res.status(201).json(describeBan(banPoster(board, thread, reply, ban)));
+    } catch (error) {
+      logError('Error creating ban', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Bans still running, soonest to expire first, across boards or on one
+  // (global bans apply to every board)
+  app.get('/api/admin/bans', requireAdmin, validate(SCHEMAS.listBans), function (req, res) {
+    try {
+      const board = req.query.board || null;
+      const bans = threadStorage.listBans()
+        .filter(ban => !isExpired(ban) && (board === null || ban.board === null || ban.board === board))
+        .sort((a, b) => a.expires_on - b.expires_on || a.ban_id - b.ban_id);
+
+      res.status(200).json(bans.map(describeBan));
+    } catch (error) {
+      logError('Error retrieving bans', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Lift a ban before it runs out
+  app.delete('/api/admin/bans/:ban_id', requireAdmin, validate(SCHEMAS.liftBan), function (req, res) {
+    try {
+      const ban = threadStorage.findBan(req.params.ban_id);
+
+      if (!ban) {
+        return sendError(res, 404, 'Ban not found', { field: 'ban_id' });
+      }
+
+      threadStorage.deleteBan(ban.ban_id);
+
+      res.status(200).json({ message: 'Ban lifted' });
+    } catch (error) {
+      logError('Error lifting ban', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Edit history of a thread, or of a reply when reply_id is given
+  app.get('/api/admin/revisions/:board', requireAdmin, validate(SCHEMAS.getRevisions), function (req, res) {
+    try {
+      const { thread, reply, status, error, field } = findPost(req.params.board, req.query);
+
+      if (error) {
+        return sendError(res, status, error, { field });
+      }
+
+      const post = reply || thread;
+
+      res.status(200).json({
+        board: thread.board,
+        thread_id: thread.thread_id,
+        ...(reply && { reply_id: reply.reply_id }),
+        text: post.text,
+        created_on: post.created_on,
+        edited_on: post.edited_on || null,
+        revisions: post.revisions || []
+      });
+    } catch (error) {
+      logError('Error retrieving revisions', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+const { parseQuery, searchIndex } = require('../controllers/search');
+const { validate } = require('../controllers/validation');
+const { sendError } = require('../controllers/errors');
+const { logError } = require('../controllers/logging');
+
+const RESULT_PAGE_SIZE = 20;
+const MAX_RESULT_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+
+const SCHEMAS = {
+  search: {
+    query: {
+      q: { type: 'string', required: true, maxLength: MAX_QUERY_LENGTH },
+      board: { type: 'string' },
+      limit: { type: 'integer', max: MAX_RESULT_PAGE_SIZE, default: RESULT_PAGE_SIZE }
+    }
+  }
+};
+
+module.exports = function (app) {
+  // Full-text search over thread and reply text, optionally within one board
+  app.get('/api/search', validate(SCHEMAS.search), function (req, res) {
+    try {
+      const q = req.query.q.trim();
+      const { limit } = req.query;
+
+      // Whitespace or punctuation alone leaves nothing to look up
+      if (parseQuery(q).length === 0) {
+        return sendError(res, 400, 'Missing search query', { code: 'missing_field', field: 'q' });
+      }
+
+      const board = req.query.board || undefined;
+      const results = searchIndex.search(q, { board });
+
+      res.status(200).json({
+        query: q,
+        total: results.length,
+        results: results.slice(0, limit)
+      });
+    } catch (error) {
+      logError('Error searching', error, req);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+};
@@ -0,0 +1,331 @@
+'use strict';
+
+const { sendError, sendRefusal } = require('../controllers/errors');
+const { validate } = require('../controllers/validation');
+const { requireBoard } = require('../controllers/boards');
+const { rateLimit } = require('../controllers/rateLimit');
+const { acceptUploads } = require('../controllers/attachments');
+const { rejectBanned } = require('../controllers/bans');
+const { requireProofOfWork } = require('../controllers/challenges');
+const posts = require('../controllers/posts');
+const { logError } = require('../controllers/logging');
+
+// The posting API with its resources in the path: threads under boards,
+// replies under threads, and reports posted to either. It runs the same
+// operations as /api/threads and /api/replies, so the two stay in step.
+
+const ID = { type: 'id', required: true };
+const TEXT = { type: 'string', required: true };
+const PASSWORD = { type: 'string', required: true };
+
+const THREAD_PARAMS = { thread_id: ID };
+const REPLY_PARAMS = { thread_id: ID, reply_id: ID };
+const NEW_POST = {
+  text: TEXT,
+  delete_password: PASSWORD,
+  name: { type: 'string' },
+  pow_token: { type: 'string' },
+  pow_solution: { type: 'string' }
+};
+const EDIT = { text: TEXT, delete_password: PASSWORD };
+const REPORT = { reason: { type: 'string' } };
+
+const SCHEMAS = {
+  listThreads: { query: posts.THREAD_LIST_QUERY },
+  createThread: { body: NEW_POST },
+  getThread: { params: THREAD_PARAMS, query: posts.REPLY_LIST_QUERY },
+  editThread: { params: THREAD_PARAMS, body: EDIT },
+  deleteThread: { params: THREAD_PARAMS, body: { delete_password: PASSWORD } },
+  reportThread: { params: THREAD_PARAMS, body: REPORT },
+  listReplies: { params: THREAD_PARAMS, query: posts.REPLY_LIST_QUERY },
+  createReply: { params: THREAD_PARAMS, body: NEW_POST },
+  getReply: { params: REPLY_PARAMS },
+  editReply: { params: REPLY_PARAMS, body: EDIT },
+  deleteReply: { params: REPLY_PARAMS, body: { delete_password: PASSWORD } },
+  reportReply: { params: REPLY_PARAMS, body: REPORT }
+};
+
+const threadsPath = (board) => `/api/v2/boards/${encodeURIComponent(board)}/threads`;
+const threadPath = (board, threadId) => `${threadsPath(board)}/${threadId}`;
+const repliesPath = (board, threadId) => `${threadPath(board, threadId)}/replies`;
+const replyPath = (board, threadId, replyId) => `${repliesPath(board, threadId)}/${replyId}`;
+
+const withQuery = (path, query) => `${path}?${new URLSearchParams(query)}`;
+
+// The page of replies after the cursor; null once there are no more
+const nextRepliesLink = (board, threadId, limit, nextCursor) =>
+  nextCursor ? withQuery(repliesPath(board, threadId), { limit, cursor: nextCursor }) : null;
+
+// Posts go out with links to themselves and the resources around them
+const replyResource = (board, threadId, reply) => {
+  const self = replyPath(board, threadId, reply.reply_id);
+
+  return {
+    ...reply,
+    links: {
+      self,
+      thread: threadPath(board, threadId),
+      reports: `${self}/reports`
+    }
+  };
+};
+
+const threadResource = (board, thread) => {
+  const self = threadPath(board, thread.thread_id);
+
+  return {
+    ...thread,
+    ...(thread.replies && {
+      replies: thread.replies.map(reply => replyResource(board, thread.thread_id, reply))
+    }),
+    links: {
+      self,
+      board: threadsPath(board),
+      replies: repliesPath(board, thread.thread_id),
+      reports: `${self}/reports`,
+      page: `/b/${encodeURIComponent(board)}/${thread.thread_id}`
+    }
+  };
+};
+
+// Created posts are answered with their location, unless a filter held them
+// back: a held post cannot be fetched until a moderator releases it
+const sendCreated = (res, resource, held) => {
+  if (held) {
+    return res.status(202).json(resource);
+  }
+
+  res.location(resource.links.self).status(201).json(resource);
+};
+
+// Reports go to the moderators' queue rather than becoming resources of
+// their own
+const sendReported = (res) => res.status(202).json({ message: 'Report received' });
+
+module.exports = function (app) {
+  app.route('/api/v2/boards/:board/threads')
+    .all(requireBoard)
+    .get(validate(SCHEMAS.listThreads), function (req, res) {
+      try {
+        const { board } = req.params;
+        const { sort, limit, cursor, replies_preview: repliesPreview } = req.query;
+        const result = posts.listThreads(res.locals.board, { sort, limit, cursor, repliesPreview });
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        const query = { sort, limit, replies_preview: repliesPreview };
+
+        res.status(200).json({
+          threads: result.threads.map(thread => threadResource(board, thread)),
+          next_cursor: result.nextCursor,
+          links: {
+            self: withQuery(threadsPath(board), { ...query, ...(cursor && { cursor }) }),
+            next: result.nextCursor ? withQuery(threadsPath(board), { ...query, cursor: result.nextCursor }) : null
+          }
+        });
+      } catch (error) {
+        logError('Error retrieving threads', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .post(rejectBanned, rateLimit('thread'), acceptUploads, validate(SCHEMAS.createThread), requireProofOfWork, async function (req, res) {
+      try {
+        const result = await posts.createThread(res.locals.board, { ...req.body, files: req.files, ip: req.ip });
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        sendCreated(res, threadResource(req.params.board, { ...result.thread, replies: [] }), result.held);
+      } catch (error) {
+        logError('Error creating thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.route('/api/v2/boards/:board/threads/:thread_id')
+    .all(requireBoard)
+    // The thread with the first page of its replies
+    .get(validate(SCHEMAS.getThread), function (req, res) {
+      try {
+        const { board, thread_id: threadId } = req.params;
+        const result = posts.getThread(res.locals.board, threadId, req.query);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        const thread = threadResource(board, result.thread);
+
+        res.status(200).json({
+          ...thread,
+          next_cursor: result.nextCursor,
+          links: { ...thread.links, next: nextRepliesLink(board, threadId, req.query.limit, result.nextCursor) }
+        });
+      } catch (error) {
+        logError('Error retrieving thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .patch(rejectBanned, rateLimit('edit'), validate(SCHEMAS.editThread), async function (req, res) {
+      try {
+        const result = await posts.editThread(res.locals.board, req.params.thread_id, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(200).json(threadResource(req.params.board, result.thread));
+      } catch (error) {
+        logError('Error editing thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .delete(rateLimit('delete'), validate(SCHEMAS.deleteThread), async function (req, res) {
+      try {
+        const result = await posts.deleteThread(res.locals.board, req.params.thread_id, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(204).end();
+      } catch (error) {
+        logError('Error deleting thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.post('/api/v2/boards/:board/threads/:thread_id/reports',
+    requireBoard, rateLimit('report'), validate(SCHEMAS.reportThread), function (req, res) {
+      try {
+        const result = posts.reportThread(res.locals.board, req.params.thread_id, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        sendReported(res);
+      } catch (error) {
+        logError('Error reporting thread', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.route('/api/v2/boards/:board/threads/:thread_id/replies')
+    .all(requireBoard)
+    // The thread's replies in posting order, a page at a time
+    .get(validate(SCHEMAS.listReplies), function (req, res) {
+      try {
+        const { board, thread_id: threadId } = req.params;
+        const { limit, cursor } = req.query;
+        const result = posts.getThread(res.locals.board, threadId, { limit, cursor });
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(200).json({
+          replies: result.thread.replies.map(reply => replyResource(board, threadId, reply)),
+          reply_count: result.thread.reply_count,
+          next_cursor: result.nextCursor,
+          links: {
+            self: withQuery(repliesPath(board, threadId), { limit, ...(cursor && { cursor }) }),
+            thread: threadPath(board, threadId),
+            next: nextRepliesLink(board, threadId, limit, result.nextCursor)
+          }
+        });
+      } catch (error) {
+        logError('Error retrieving replies', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .post(rejectBanned, rateLimit('reply'), acceptUploads, validate(SCHEMAS.createReply), requireProofOfWork, async function (req, res) {
+      try {
+        const { board, thread_id: threadId } = req.params;
+        const result = await posts.createReply(res.locals.board, threadId, {
+          ...req.body,
+          files: req.files,
+          ip: req.ip
+        });
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        sendCreated(res, replyResource(board, threadId, result.reply), result.held);
+      } catch (error) {
+        logError('Error creating reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.route('/api/v2/boards/:board/threads/:thread_id/replies/:reply_id')
+    .all(requireBoard)
+    .get(validate(SCHEMAS.getReply), function (req, res) {
+      try {
+        const { board, thread_id: threadId, reply_id: replyId } = req.params;
+        const result = posts.getReply(res.locals.board, threadId, replyId);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(200).json(replyResource(board, threadId, result.reply));
+      } catch (error) {
+        logError('Error retrieving reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .patch(rejectBanned, rateLimit('edit'), validate(SCHEMAS.editReply), async function (req, res) {
+      try {
+        const { board, thread_id: threadId, reply_id: replyId } = req.params;
+        const result = await posts.editReply(res.locals.board, threadId, replyId, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(200).json(replyResource(board, threadId, result.reply));
+      } catch (error) {
+        logError('Error editing reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    })
+    .delete(rateLimit('delete'), validate(SCHEMAS.deleteReply), async function (req, res) {
+      try {
+        const { thread_id: threadId, reply_id: replyId } = req.params;
+        const result = await posts.deleteReply(res.locals.board, threadId, replyId, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        res.status(204).end();
+      } catch (error) {
+        logError('Error deleting reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+
+  app.post('/api/v2/boards/:board/threads/:thread_id/replies/:reply_id/reports',
+    requireBoard, rateLimit('report'), validate(SCHEMAS.reportReply), function (req, res) {
+      try {
+        const { thread_id: threadId, reply_id: replyId } = req.params;
+        const result = posts.reportReply(res.locals.board, threadId, replyId, req.body);
+
+        if (result.error) {
+          return sendRefusal(res, result);
+        }
+
+        sendReported(res);
+      } catch (error) {
+        logError('Error reporting reply', error, req);
+        sendError(res, 500, 'Internal server error');
+      }
+    });
+};
+
+module.exports.SCHEMAS = SCHEMAS;
@@ -4,19 +4,43 @@ const express = require('express');
 const helmet = require('helmet');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const { requestLogger, logError } = require('./controllers/logging');
+const { trackRequests } = require('./controllers/metrics');
+const { sendError } = require('./controllers/errors');
 
 const apiRoutes = require('./routes/api.js');
+const apiV2Routes = require('./routes/v2.js');
+const boardRoutes = require('./routes/boards.js');
+const moderationRoutes = require('./routes/moderation.js');
+const searchRoutes = require('./routes/search.js');
+const eventRoutes = require('./routes/events.js');
+const feedRoutes = require('./routes/feeds.js');
+const archiveRoutes = require('./routes/archive.js');
+const attachmentRoutes = require('./routes/attachments.js');
+const filterRoutes = require('./routes/filters.js');
+const docsRoutes = require('./routes/docs.js');
+const metricsRoutes = require('./routes/metrics.js');
+const challengeRoutes = require('./routes/challenges.js');
 const fccTestingRoutes = require('./routes/fcctesting.js');
 const runner = require('./test-runner');
 
 const app = express();
 
+// Rate limits key on req.ip, so behind a reverse proxy set TRUST_PROXY to the
+// number of proxy hops
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || false);
+
+//Request ids, access logs and request metrics for everything that follows
+app.use(requestLogger);
+app.use(trackRequests);
+
 app.use(helmet({
   contentSecurityPolicy: {    
     directives: {
       defaultSrc: ["'self'"],
       styleSrc: ["'self'"],
-      scriptSrc: ["'self'"]
+      //The views load jQuery from its CDN, pinned by integrity hash
+      scriptSrc: ["'self'", 'https://code.jquery.com']
     },
     loose: true  
   },
@@ -26,11 +50,17 @@ app.use(helmet({
 }))
 
 app.use('/public', express.static(process.cwd() + '/public'));
-app.use(cors({ origin: '*' })); //For FCC testing purposes only
+//For FCC testing purposes only. Listing bodies stay plain arrays, so the
+//cursor for their next page travels in a header cross-origin clients must
+//be allowed to read.
+app.use(cors({ origin: '*', exposedHeaders: ['X-Next-Cursor'] }));
 
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+//Board and thread feeds, ahead of the thread page route that would match them
+feedRoutes(app);
+
 //Sample front-end
 app.route('/b/:board/')
   .get(function (req, res) {
@@ -52,6 +82,17 @@ fccTestingRoutes(app);
 
 //Routing for API 
 apiRoutes(app);
+apiV2Routes(app);
+challengeRoutes(app);
+boardRoutes(app);
+moderationRoutes(app);
+searchRoutes(app);
+eventRoutes(app);
+archiveRoutes(app);
+attachmentRoutes(app);
+filterRoutes(app);
+docsRoutes(app);
+metricsRoutes(app);
 
 //404 Not Found Middleware
 app.use(function (req, res, next) {
@@ -60,6 +101,21 @@ app.use(function (req, res, next) {
     .send('Not Found');
 });
 
+//Errors no route handled, such as unparseable bodies, in the API's envelope
+app.use(function (error, req, res, next) {
+  const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+
+  if (status === 500) {
+    logError('Unhandled error', error, req);
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  sendError(res, status, status === 500 ? 'Internal server error' : error.message);
+});
+
 //Start our server and tests!
 const listener = app.listen(process.env.PORT || 3000, function () {
   console.log('Your app is listening on port ' + listener.address().port);
@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.ndjson';
+
+// JSON turns the *_on timestamps into strings; turn them back into dates
+const reviveDates = (key, value) =>
+  typeof value === 'string' && key.endsWith('_on') ? new Date(value) : value;
+
+// File-backed storage adapter. State is kept in memory and every mutation is
+// appended to a journal before the call returns. Compaction folds the journal
+// into a snapshot, either once enough entries pile up or on a timer.
+//
+// Journal entries carry a sequence number and the snapshot records the last
+// one it contains, so a crash between writing the snapshot and truncating the
+// journal never applies an entry twice.
+//
+// onWarning(message, error) hears about what loading recovered from.
+function createFileStorage({ dir, compactThreshold = 1000, compactInterval = 0, onWarning = () => {} }) {
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  const journalPath = path.join(dir, JOURNAL_FILE);
+
+  let seq = 0;
+  let journalLength = 0;
+
+  const memory = createMemoryStorage({
+    onChange(op) {
+      seq++;
+      fs.appendFileSync(journalPath, JSON.stringify({ seq, ...op }) + '\n');
+      journalLength++;
+
+      if (compactThreshold > 0 && journalLength >= compactThreshold) {
+        compact();
+      }
+    }
+  });
+
+  // Writes the current state to a new snapshot and empties the journal
+  function compact() {
+    const tmpPath = snapshotPath + '.tmp';
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify({ seq, ...memory.snapshot() }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, snapshotPath);
+    fs.writeFileSync(journalPath, '');
+    journalLength = 0;
+  }
+
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (fs.existsSync(snapshotPath)) {
+      const state = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'), reviveDates);
+      memory.restore(state);
+      seq = state.seq || 0;
+    }
+
+    if (fs.existsSync(journalPath)) {
+      const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line, reviveDates);
+        } catch (error) {
+          // A torn write from a crash can only be the last line
+          onWarning('Ignoring unreadable journal entry', error);
+          break;
+        }
+
+        if (entry.seq <= seq) continue;
+        memory.apply(entry);
+        seq = entry.seq;
+      }
+    }
+
+    // Start from a clean snapshot so new entries never follow a torn line
+    compact();
+  }
+
+  load();
+
+  let timer = null;
+  if (compactInterval > 0) {
+    timer = setInterval(() => {
+      if (journalLength > 0) compact();
+    }, compactInterval);
+    timer.unref();
+  }
+
+  return {
+    ...memory,
+
+    compact,
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createFileStorage };
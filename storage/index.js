@@ -0,0 +1,72 @@
+'use strict';
+
+const EventEmitter = require('events');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage } = require('./file');
+
+// Picks the storage adapter from the environment:
+//   STORAGE_BACKEND            memory (default) or file
+//   STORAGE_DIR                directory for the file backend (default ./data)
+//   STORAGE_COMPACT_THRESHOLD  journal entries before compaction (default 1000)
+//   STORAGE_COMPACT_INTERVAL   milliseconds between timed compactions (0 = off)
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStorage();
+
+    case 'file':
+      return createFileStorage({
+        dir: env.STORAGE_DIR || path.join(process.cwd(), 'data'),
+        compactThreshold: parseInt(env.STORAGE_COMPACT_THRESHOLD, 10) || 1000,
+        compactInterval: parseInt(env.STORAGE_COMPACT_INTERVAL, 10) || 0,
+        onWarning: (message, error) => threadStorage.emit('warning', message, error)
+      });
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+// Methods forwarded to the active adapter. Adapters also implement
+// subscribe(), which the facade below uses itself.
+const STORAGE_METHODS = [
+  'createBoard', 'findBoard', 'listBoards', 'updateBoard',
+  'createThread', 'findThread', 'listThreads', 'updateThread', 'deleteThread',
+  'createReply', 'findReply', 'updateReply', 'deleteReply',
+  'createFilter', 'findFilter', 'listFilters', 'deleteFilter',
+  'createBan', 'findBan', 'listBans', 'deleteBan',
+  'counters', 'reset', 'close'
+];
+
+let activeStorage = null;
+let unsubscribe = null;
+
+// The storage every route talks to. It forwards each call to the active
+// adapter, which is created from the environment on first use and can be
+// swapped with use() (the tests run against every backend that way).
+//
+// Derived data such as the search index follows the store through events:
+// 'change' carries every committed mutation and 'use' fires when the adapter
+// is swapped, after which the old contents are gone. 'warning' carries a
+// message and error for what an adapter recovered from, for the logs.
+const threadStorage = new EventEmitter();
+
+threadStorage.use = (storage) => {
+  if (unsubscribe) unsubscribe();
+  activeStorage = storage;
+  unsubscribe = storage.subscribe(op => threadStorage.emit('change', op));
+  threadStorage.emit('use', storage);
+  return storage;
+};
+
+STORAGE_METHODS.forEach(method => {
+  threadStorage[method] = (...args) => {
+    if (!activeStorage) threadStorage.use(createStorage());
+    return activeStorage[method](...args);
+  };
+});
+
+module.exports = { createStorage, threadStorage };
@@ -0,0 +1,266 @@
+'use strict';
+
+// In-memory storage adapter. This is the reference implementation of the
+// storage interface: every other adapter exposes the same methods.
+//
+// Records handed back by the find/list methods are live objects, so callers
+// must change them through the update methods and never in place, otherwise
+// adapters that persist their changes will silently miss them.
+function createMemoryStorage({ onChange = () => {} } = {}) {
+  const listeners = new Set();
+  let boards = [];
+  let threads = [];
+  let filters = [];
+  let bans = [];
+  let nextThreadId = 1;
+  let nextReplyId = 1;
+  let nextFilterId = 1;
+  let nextBanId = 1;
+
+  const findBoard = (name) => boards.find(b => b.name === name);
+
+  const findFilter = (filterId) => filters.find(f => f.filter_id === filterId);
+
+  const findBan = (banId) => bans.find(b => b.ban_id === banId);
+
+  const findThread = (board, threadId) =>
+    threads.find(t => t.thread_id === threadId && t.board === board);
+
+  const findReply = (board, threadId, replyId) => {
+    const thread = findThread(board, threadId);
+    return thread ? thread.replies.find(r => r.reply_id === replyId) : undefined;
+  };
+
+  // Applies a single mutation. Mutations are plain data so that the file
+  // adapter can journal them and replay them after a restart.
+  function apply(op) {
+    switch (op.type) {
+      case 'board:create':
+        boards.push(op.board);
+        return op.board;
+
+      case 'board:update': {
+        const board = findBoard(op.name);
+        return board ? Object.assign(board, op.changes) : null;
+      }
+
+      case 'thread:create':
+        threads.push(op.thread);
+        nextThreadId = Math.max(nextThreadId, op.thread.thread_id + 1);
+        return op.thread;
+
+      case 'thread:update': {
+        const thread = findThread(op.board, op.thread_id);
+        return thread ? Object.assign(thread, op.changes) : null;
+      }
+
+      case 'thread:delete': {
+        const count = threads.length;
+        threads = threads.filter(
+          t => t.thread_id !== op.thread_id || t.board !== op.board
+        );
+        return threads.length !== count;
+      }
+
+      case 'reply:create': {
+        const thread = findThread(op.board, op.thread_id);
+        if (!thread) return null;
+        thread.replies.push(op.reply);
+        nextReplyId = Math.max(nextReplyId, op.reply.reply_id + 1);
+        return op.reply;
+      }
+
+      case 'reply:update': {
+        const reply = findReply(op.board, op.thread_id, op.reply_id);
+        return reply ? Object.assign(reply, op.changes) : null;
+      }
+
+      case 'reply:delete': {
+        const thread = findThread(op.board, op.thread_id);
+        if (!thread) return false;
+        const replyIndex = thread.replies.findIndex(r => r.reply_id === op.reply_id);
+        if (replyIndex === -1) return false;
+        thread.replies.splice(replyIndex, 1);
+        return true;
+      }
+
+      case 'filter:create':
+        filters.push(op.filter);
+        nextFilterId = Math.max(nextFilterId, op.filter.filter_id + 1);
+        return op.filter;
+
+      case 'filter:delete': {
+        const count = filters.length;
+        filters = filters.filter(f => f.filter_id !== op.filter_id);
+        return filters.length !== count;
+      }
+
+      case 'ban:create':
+        bans.push(op.ban);
+        nextBanId = Math.max(nextBanId, op.ban.ban_id + 1);
+        return op.ban;
+
+      case 'ban:delete': {
+        const count = bans.length;
+        bans = bans.filter(b => b.ban_id !== op.ban_id);
+        return bans.length !== count;
+      }
+
+      case 'reset':
+        boards = [];
+        threads = [];
+        filters = [];
+        bans = [];
+        nextThreadId = 1;
+        nextReplyId = 1;
+        nextFilterId = 1;
+        nextBanId = 1;
+        return true;
+
+      default:
+        throw new Error(`Unknown storage operation: ${op.type}`);
+    }
+  }
+
+  // Applies a mutation and, if it took effect, reports it to the change hook
+  // and then to every subscriber
+  const commit = (op) => {
+    const result = apply(op);
+    if (result) {
+      onChange(op);
+      listeners.forEach(listener => listener(op));
+    }
+    return result;
+  };
+
+  return {
+    // Boards
+    createBoard(fields) {
+      if (findBoard(fields.name)) return null;
+      return commit({ type: 'board:create', board: { ...fields } });
+    },
+
+    findBoard,
+
+    listBoards() {
+      return boards.slice();
+    },
+
+    updateBoard(name, changes) {
+      return commit({ type: 'board:update', name, changes });
+    },
+
+    // Threads
+    createThread(fields) {
+      return commit({
+        type: 'thread:create',
+        thread: { thread_id: nextThreadId, ...fields, replies: [] }
+      });
+    },
+
+    findThread,
+
+    listThreads(board) {
+      return board === undefined
+        ? threads.slice()
+        : threads.filter(t => t.board === board);
+    },
+
+    updateThread(board, threadId, changes) {
+      return commit({ type: 'thread:update', board, thread_id: threadId, changes });
+    },
+
+    deleteThread(board, threadId) {
+      return commit({ type: 'thread:delete', board, thread_id: threadId });
+    },
+
+    // Replies
+    createReply(board, threadId, fields) {
+      if (!findThread(board, threadId)) return null;
+      return commit({
+        type: 'reply:create',
+        board,
+        thread_id: threadId,
+        reply: { reply_id: nextReplyId, ...fields }
+      });
+    },
+
+    findReply,
+
+    updateReply(board, threadId, replyId, changes) {
+      return commit({ type: 'reply:update', board, thread_id: threadId, reply_id: replyId, changes });
+    },
+
+    deleteReply(board, threadId, replyId) {
+      return commit({ type: 'reply:delete', board, thread_id: threadId, reply_id: replyId });
+    },
+
+    // Content filters
+    createFilter(fields) {
+      return commit({ type: 'filter:create', filter: { filter_id: nextFilterId, ...fields } });
+    },
+
+    findFilter,
+
+    listFilters() {
+      return filters.slice();
+    },
+
+    deleteFilter(filterId) {
+      return commit({ type: 'filter:delete', filter_id: filterId });
+    },
+
+    // Poster bans
+    createBan(fields) {
+      return commit({ type: 'ban:create', ban: { ban_id: nextBanId, ...fields } });
+    },
+
+    findBan,
+
+    listBans() {
+      return bans.slice();
+    },
+
+    deleteBan(banId) {
+      return commit({ type: 'ban:delete', ban_id: banId });
+    },
+
+    // Id counters
+    counters() {
+      return { nextThreadId, nextReplyId, nextFilterId, nextBanId };
+    },
+
+    // Whole-store operations
+    reset() {
+      return commit({ type: 'reset' });
+    },
+
+    snapshot() {
+      return { nextThreadId, nextReplyId, nextFilterId, nextBanId, boards, threads, filters, bans };
+    },
+
+    restore(state) {
+      boards = state.boards || [];
+      threads = state.threads || [];
+      filters = state.filters || [];
+      bans = state.bans || [];
+      nextThreadId = state.nextThreadId || 1;
+      nextReplyId = state.nextReplyId || 1;
+      nextFilterId = state.nextFilterId || 1;
+      nextBanId = state.nextBanId || 1;
+    },
+
+    apply,
+
+    // Calls the listener with every mutation committed from now on.
+    // Returns a function that unsubscribes it.
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -1,280 +1,3689 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const chaiHttp = require('chai-http');
 const chai = require('chai');
 const assert = chai.assert;
 const server = require('../server');
-const { threadStorage } = require('../routes/api');
+const { createStorage, threadStorage } = require('../storage');
+const { createBoard } = require('../controllers/boards');
+const { createRateLimiter, resetRateLimits } = require('../controllers/rateLimit');
+const { createEventBroker, eventBroker } = require('../controllers/events');
+const { renderMarkup } = require('../controllers/text');
+const { sweepArchive } = require('../controllers/archive');
+const { attachmentIndex } = require('../controllers/attachments');
+const { sweepBans } = require('../controllers/bans');
+const { toOpenApiPath } = require('../controllers/openapi');
+const { logOutput } = require('../controllers/logging');
+const { importBoard } = require('../controllers/transfer');
+const { createReply: createReplyPost } = require('../controllers/posts');
 
 chai.use(chaiHttp);
 
-suite('Functional Tests', function () {
-    // Clear thread storage before each test
-    beforeEach(function () {
-        threadStorage.threads = [];
-        threadStorage.nextThreadId = 1;
-        threadStorage.nextReplyId = 1;
-    });
+// Access lines for every request would bury the report; set LOG_LEVEL=info
+// to see them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
 
-    suite('POST /api/threads/{board} Tests', function () {
-        test('Create a new thread successfully', function (done) {
-            const board = 'testBoard';
-            const threadData = {
-                board: board,
-                text: 'This is a test thread',
-                delete_password: 'securePassword123'
-            };
+// Regular tripcodes need a pepper; servers set their own
+process.env.TRIPCODE_REGULAR_PEPPER = process.env.TRIPCODE_REGULAR_PEPPER || 'messageboard-tripcode-v1';
 
-            chai.request(server)
-                .post(`/api/threads/${board}`)
-                .send(threadData)
-                .end(function (err, res) {
-                    assert.isNull(err, 'No error should be returned');
+// Every functional test runs once per storage backend
+const storageBackends = ['memory', 'file'];
+
+// Boards the tests post to; posting needs a registered board
+const testBoards = ['testBoard', 'boardA', 'boardB'];
+
+// The envelope every API error is sent in
+function apiError(code, message, field = null) {
+    return { code, message, field, error: message };
+}
+
+// Checks a value against a schema from the OpenAPI document, for the
+// keywords the document uses. Returns the mismatches; none when it conforms.
+function schemaErrors(doc, schema, value, at = 'body') {
+    if (schema.$ref) {
+        return schemaErrors(doc, doc.components.schemas[schema.$ref.split('/').pop()], value, at);
+    }
+    if (value === null) {
+        return schema.nullable ? [] : [`${at} is null`];
+    }
+
+    const types = {
+        integer: Number.isInteger,
+        string: v => typeof v === 'string',
+        boolean: v => typeof v === 'boolean',
+        array: Array.isArray,
+        object: v => typeof v === 'object' && !Array.isArray(v)
+    };
+    if (schema.type && !types[schema.type](value)) return [`${at} is not ${schema.type}`];
+    if (schema.enum && !schema.enum.includes(value)) return [`${at} is not one of ${schema.enum}`];
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return [`${at} is not a date-time`];
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${at} is below ${schema.minimum}`];
+
+    if (schema.type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return [`${at} has too many items`];
+        return value.flatMap((item, i) => schemaErrors(doc, schema.items, item, `${at}[${i}]`));
+    }
+
+    if (schema.type !== 'object') return [];
+
+    const properties = schema.properties || {};
+    return [
+        ...(schema.required || []).filter(name => !(name in value)).map(name => `${at}.${name} is missing`),
+        ...Object.keys(value).flatMap(name => {
+            if (properties[name]) return schemaErrors(doc, properties[name], value[name], `${at}.${name}`);
+            if (schema.additionalProperties === false) return [`${at}.${name} is not documented`];
+            if (typeof schema.additionalProperties === 'object') {
+                return schemaErrors(doc, schema.additionalProperties, value[name], `${at}.${name}`);
+            }
+            return [];
+        })
+    ];
+}
+
+// Checks a response against what the document says the operation answers
+// with that status
+function assertContract(doc, method, path, res) {
+    const operation = (doc.paths[path] || {})[method];
+    assert.isOk(operation, `${method} ${path} is documented`);
+
+    const documented = operation.responses[res.status];
+    assert.isOk(documented, `${method} ${path} documents status ${res.status}`);
 
-                    // Check response status
-                    assert.equal(res.status, 201, 'Response should be 201 Created');
+    if (!documented.content) {
+        assert.isEmpty(res.text || '', `${method} ${path} ${res.status} has no body`);
+        return;
+    }
 
-                    // Check response body
-                    assert.isObject(res.body, 'Response should be an object');
+    assert.deepEqual(schemaErrors(doc, documented.content['application/json'].schema, res.body), []);
+}
 
-                    // Verify specific properties
-                    assert.property(res.body, 'thread_id', 'Response should have thread_id');
-                    assert.isNumber(res.body.thread_id, 'thread_id should be a number');
+// Creates a thread and passes its id to the callback
+function createThread(board, text, callback) {
+    chai.request(server)
+        .post(`/api/threads/${board}`)
+        .send({ text, delete_password: 'threadPassword' })
+        .end(function (err, res) {
+            callback(res.body.thread_id);
+        });
+}
+
+// Posts the replies one after another, then passes their ids to the callback
+function createReplies(board, threadId, texts, callback, replyIds = []) {
+    if (replyIds.length === texts.length) return callback(replyIds);
+
+    chai.request(server)
+        .post(`/api/replies/${board}`)
+        .send({ thread_id: threadId, text: texts[replyIds.length], delete_password: 'replyPassword' })
+        .end(function (err, res) {
+            createReplies(board, threadId, texts, callback, replyIds.concat(res.body.reply_id));
+        });
+}
 
-                    assert.equal(res.body.board, board, 'Board should match the requested board');
-                    assert.equal(res.body.text, threadData.text, 'Text should match the submitted text');
+// Whether the solution meets a proof-of-work challenge's difficulty
+function solvesChallenge({ token, difficulty }, solution) {
+    const digest = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+    const bits = digest.readUInt32BE(0).toString(2).padStart(32, '0').indexOf('1');
+    return bits === -1 || bits >= difficulty;
+}
 
-                    // Verify date properties
-                    assert.property(res.body, 'created_on', 'Should have created_on timestamp');
-                    assert.property(res.body, 'bumped_on', 'Should have bumped_on timestamp');
+// Finds a solution to a proof-of-work challenge by trying counters in turn
+function solveChallenge(challenge) {
+    let counter = 0;
+    while (!solvesChallenge(challenge, counter)) counter++;
+    return String(counter);
+}
 
-                    // Ensure sensitive data is not returned
-                    assert.notProperty(res.body, 'delete_password', 'Delete password should not be in response');
+// Opens a Server-Sent Events stream, calls onOpen once the response starts
+// and onEvent with every named event. Destroy the returned request to close it.
+function openEventStream(port, path, headers, onOpen, onEvent) {
+    return http.get({ port, path, headers }, function (res) {
+        let buffered = '';
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            buffered += chunk;
 
-                    done();
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const fields = {};
+                buffered.slice(0, end).split('\n').forEach(line => {
+                    const colon = line.indexOf(':');
+                    if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
                 });
+                buffered = buffered.slice(end + 2);
+
+                if (fields.event) {
+                    onEvent({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
         });
+        onOpen(res);
     });
+}
 
-    suite('GET /api/threads/{board} Tests', function () {
-        test('Retrieve recent threads with replies', function (done) {
-            const board = 'testBoard';
+suite('Functional Tests', function () {
+    storageBackends.forEach(function (backend) {
+        suite(`${backend} storage`, function () {
+            let storageDir;
+
+            // Start each test from an empty store of the backend under test
+            setup(function () {
+                storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messageboard-'));
+                threadStorage.use(createStorage({ STORAGE_BACKEND: backend, STORAGE_DIR: storageDir }));
+                testBoards.forEach(name => createBoard({ name }));
+                resetRateLimits();
+            });
+
+            teardown(function () {
+                threadStorage.close();
+                fs.rmSync(storageDir, { recursive: true, force: true });
+            });
+
+            suite('POST /api/threads/{board} Tests', function () {
+                test('Create a new thread successfully', function (done) {
+                    const board = 'testBoard';
+                    const threadData = {
+                        board: board,
+                        text: 'This is a test thread',
+                        delete_password: 'securePassword123'
+                    };
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send(threadData)
+                        .end(function (err, res) {
+                            assert.isNull(err, 'No error should be returned');
+
+                            // Check response status
+                            assert.equal(res.status, 201, 'Response should be 201 Created');
+
+                            // Check response body
+                            assert.isObject(res.body, 'Response should be an object');
+
+                            // Verify specific properties
+                            assert.property(res.body, 'thread_id', 'Response should have thread_id');
+                            assert.isNumber(res.body.thread_id, 'thread_id should be a number');
+
+                            assert.equal(res.body.board, board, 'Board should match the requested board');
+                            assert.equal(res.body.text, threadData.text, 'Text should match the submitted text');
+
+                            // Verify date properties
+                            assert.property(res.body, 'created_on', 'Should have created_on timestamp');
+                            assert.property(res.body, 'bumped_on', 'Should have bumped_on timestamp');
+
+                            // Ensure sensitive data is not returned
+                            assert.notProperty(res.body, 'delete_password', 'Delete password should not be in response');
 
-            // Create multiple threads with replies
-            const threadData = [
-                { board: 'testBoard', text: 'First thread', delete_password: 'pass1' },
-                { board: 'testBoard', text: 'Second thread', delete_password: 'pass2' },
-                { board: 'testBoard', text: 'Third thread', delete_password: 'pass3' }
-            ];
-
-            // Helper function to create threads and replies
-            function createThreadsWithReplies(callback) {
-                chai.request(server)
-                    .post(`/api/threads/${board}`)
-                    .send(threadData[0])
-                    .end(function (err, res) {
-                        const threadId = res.body.thread_id;
-
-                        // Add replies to first thread
+                            done();
+                        });
+                });
+            });
+
+            suite('GET /api/threads/{board} Tests', function () {
+                test('Retrieve recent threads with replies', function (done) {
+                    const board = 'testBoard';
+
+                    // Create multiple threads with replies
+                    const threadData = [
+                        { board: 'testBoard', text: 'First thread', delete_password: 'pass1' },
+                        { board: 'testBoard', text: 'Second thread', delete_password: 'pass2' },
+                        { board: 'testBoard', text: 'Third thread', delete_password: 'pass3' }
+                    ];
+
+                    // Helper function to create threads and replies
+                    function createThreadsWithReplies(callback) {
                         chai.request(server)
-                            .post(`/api/replies/${board}`)
-                            .send({
-                                thread_id: threadId,
-                                text: 'First reply to first thread',
-                                delete_password: 'replypass1'
-                            })
-                            .end(function () {
+                            .post(`/api/threads/${board}`)
+                            .send(threadData[0])
+                            .end(function (err, res) {
+                                const threadId = res.body.thread_id;
+
+                                // Add replies to first thread
                                 chai.request(server)
                                     .post(`/api/replies/${board}`)
                                     .send({
                                         thread_id: threadId,
-                                        text: 'Second reply to first thread',
-                                        delete_password: 'replypass2'
+                                        text: 'First reply to first thread',
+                                        delete_password: 'replypass1'
                                     })
                                     .end(function () {
-                                        // Create second thread
                                         chai.request(server)
-                                            .post(`/api/threads/${board}`)
-                                            .send(threadData[1])
-                                            .end(function (err, res) {
-                                                // Create third thread
+                                            .post(`/api/replies/${board}`)
+                                            .send({
+                                                thread_id: threadId,
+                                                text: 'Second reply to first thread',
+                                                delete_password: 'replypass2'
+                                            })
+                                            .end(function () {
+                                                // Create second thread
                                                 chai.request(server)
                                                     .post(`/api/threads/${board}`)
-                                                    .send(threadData[2])
-                                                    .end(function () {
-                                                        callback();
+                                                    .send(threadData[1])
+                                                    .end(function (err, res) {
+                                                        // Create third thread
+                                                        chai.request(server)
+                                                            .post(`/api/threads/${board}`)
+                                                            .send(threadData[2])
+                                                            .end(function () {
+                                                                callback();
+                                                            });
                                                     });
                                             });
                                     });
                             });
-                    });
-            }
+                    }
+
+                    // Create threads and then test retrieval
+                    createThreadsWithReplies(function () {
+                        chai.request(server)
+                            .get(`/api/threads/${board}`)
+                            .end(function (err, res) {
+                                assert.isNull(err, 'No error should be returned');
+
+                                // Check response status
+                                assert.equal(res.status, 200, 'Response should be 200 OK');
+
+                                // Check response body
+                                assert.isArray(res.body, 'Response should be an array');
+
+                                // Verify threads are sorted by most recent
+                                assert.isAtMost(res.body.length, 10, 'Should return at most 10 threads');
 
-            // Create threads and then test retrieval
-            createThreadsWithReplies(function () {
-                chai.request(server)
-                    .get(`/api/threads/${board}`)
-                    .end(function (err, res) {
-                        assert.isNull(err, 'No error should be returned');
+                                // Verify thread properties
+                                res.body.forEach(thread => {
+                                    assert.property(thread, 'thread_id', 'Thread should have an ID');
+                                    assert.property(thread, 'board', 'Thread should have a board');
+                                    assert.property(thread, 'text', 'Thread should have text');
+                                    assert.property(thread, 'created_on', 'Thread should have creation time');
+                                    assert.property(thread, 'bumped_on', 'Thread should have last bumped time');
 
-                        // Check response status
-                        assert.equal(res.status, 200, 'Response should be 200 OK');
+                                    // Verify replies
+                                    assert.property(thread, 'replies', 'Thread should have replies');
+                                    assert.isArray(thread.replies, 'Replies should be an array');
+                                    assert.isAtMost(thread.replies.length, 3, 'Should return at most 3 replies');
 
-                        // Check response body
-                        assert.isArray(res.body, 'Response should be an array');
+                                    // Verify no sensitive information is returned
+                                    assert.notProperty(thread, 'delete_password', 'Should not return delete password');
+                                    assert.notProperty(thread, 'reported', 'Should not return reported status');
 
-                        // Verify threads are sorted by most recent
-                        assert.isAtMost(res.body.length, 10, 'Should return at most 10 threads');
+                                    // Verify reply properties
+                                    thread.replies.forEach(reply => {
+                                        assert.property(reply, 'reply_id', 'Reply should have an ID');
+                                        assert.property(reply, 'text', 'Reply should have text');
+                                        assert.property(reply, 'created_on', 'Reply should have creation time');
 
-                        // Verify thread properties
-                        res.body.forEach(thread => {
-                            assert.property(thread, 'thread_id', 'Thread should have an ID');
-                            assert.property(thread, 'board', 'Thread should have a board');
-                            assert.property(thread, 'text', 'Thread should have text');
-                            assert.property(thread, 'created_on', 'Thread should have creation time');
-                            assert.property(thread, 'bumped_on', 'Thread should have last bumped time');
+                                        // Verify no sensitive information is returned for replies
+                                        assert.notProperty(reply, 'delete_password', 'Should not return reply delete password');
+                                        assert.notProperty(reply, 'reported', 'Should not return reply reported status');
+                                    });
+                                });
+
+                                done();
+                            });
+                    });
+                });
+            });
 
-                            // Verify replies
-                            assert.property(thread, 'replies', 'Thread should have replies');
-                            assert.isArray(thread.replies, 'Replies should be an array');
-                            assert.isAtMost(thread.replies.length, 3, 'Should return at most 3 replies');
+            suite('GET /api/threads/{board} pagination Tests', function () {
+                test('Page through threads with limit and cursor', function (done) {
+                    const board = 'testBoard';
 
-                            // Verify no sensitive information is returned
-                            assert.notProperty(thread, 'delete_password', 'Should not return delete password');
-                            assert.notProperty(thread, 'reported', 'Should not return reported status');
+                    createThread(board, 'First thread', function () {
+                        createThread(board, 'Second thread', function () {
+                            createThread(board, 'Third thread', function () {
+                                chai.request(server)
+                                    .get(`/api/threads/${board}`)
+                                    .query({ limit: 2 })
+                                    .set('Origin', 'https://client.example')
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.deepEqual(res.body.map(t => t.text), ['Third thread', 'Second thread']);
+                                        const cursor = res.header['x-next-cursor'];
+                                        assert.isString(cursor, 'Should return a cursor for the next page');
+                                        // Cross-origin clients can read it too
+                                        assert.include(res.header['access-control-expose-headers'], 'X-Next-Cursor');
 
-                            // Verify reply properties
-                            thread.replies.forEach(reply => {
-                                assert.property(reply, 'reply_id', 'Reply should have an ID');
-                                assert.property(reply, 'text', 'Reply should have text');
-                                assert.property(reply, 'created_on', 'Reply should have creation time');
+                                        chai.request(server)
+                                            .get(`/api/threads/${board}`)
+                                            .query({ limit: 2, cursor })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+                                                assert.deepEqual(res.body.map(t => t.text), ['First thread']);
+                                                assert.notProperty(res.header, 'x-next-cursor');
 
-                                // Verify no sensitive information is returned for replies
-                                assert.notProperty(reply, 'delete_password', 'Should not return reply delete password');
-                                assert.notProperty(reply, 'reported', 'Should not return reply reported status');
+                                                done();
+                                            });
+                                    });
                             });
                         });
+                    });
+                });
 
-                        done();
+                test('Sort by reply count and limit the reply preview', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Busy thread', function (busyId) {
+                        createThread(board, 'Quiet thread', function () {
+                            createReplies(board, busyId, ['One', 'Two'], function () {
+                                chai.request(server)
+                                    .get(`/api/threads/${board}`)
+                                    .query({ sort: 'replies', replies_preview: 1 })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.deepEqual(res.body.map(t => t.text), ['Busy thread', 'Quiet thread']);
+                                        assert.deepEqual(res.body[0].replies.map(r => r.text), ['Two']);
+
+                                        done();
+                                    });
+                            });
+                        });
                     });
+                });
+
+                test('Reject invalid sort, limit or cursor', function (done) {
+                    const board = 'testBoard';
+
+                    chai.request(server)
+                        .get(`/api/threads/${board}`)
+                        .query({ sort: 'random' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'sort must be one of bumped, created, replies', 'sort'));
+
+                            chai.request(server)
+                                .get(`/api/threads/${board}`)
+                                .query({ limit: 'ten' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_field', 'limit must be a positive integer', 'limit'));
+
+                                    chai.request(server)
+                                        .get(`/api/threads/${board}`)
+                                        .query({ cursor: 'garbage' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 400);
+                                            assert.deepEqual(res.body, apiError('invalid_field', 'Invalid cursor', 'cursor'));
+
+                                            done();
+                                        });
+                                });
+                        });
+                });
             });
-        });
-    });
 
-    suite('DELETE /api/threads/{board} Tests', function () {
-        test('Delete a thread with correct password', function (done) {
-            const board = 'testBoard';
-            const threadData = {
-                board: board,
-                text: 'Thread to be deleted',
-                delete_password: 'correctPassword'
-            };
+            suite('DELETE /api/threads/{board} Tests', function () {
+                test('Delete a thread with correct password', function (done) {
+                    const board = 'testBoard';
+                    const threadData = {
+                        board: board,
+                        text: 'Thread to be deleted',
+                        delete_password: 'correctPassword'
+                    };
 
-            // Create a thread first
-            chai.request(server)
-                .post(`/api/threads/${board}`)
-                .send(threadData)
-                .end(function (err, res) {
-                    const threadId = res.body.thread_id;
+                    // Create a thread first
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send(threadData)
+                        .end(function (err, res) {
+                            const threadId = res.body.thread_id;
+
+                            // Then try to delete it
+                            chai.request(server)
+                                .delete(`/api/threads/${board}`)
+                                .send({
+                                    thread_id: threadId,
+                                    delete_password: 'correctPassword'
+                                })
+                                .end(function (err, res) {
+                                    assert.isNull(err, 'No error should be returned');
+                                    assert.equal(res.status, 200, 'Should successfully delete thread');
+                                    assert.deepEqual(res.body, { message: 'Thread deleted successfully' });
+
+                                    // Verify thread is actually deleted
+                                    chai.request(server)
+                                        .get(`/api/threads/${board}`)
+                                        .end(function (err, res) {
+                                            assert.isArray(res.body, 'Response should be an array');
+                                            const deletedThread = res.body.find(t => t.thread_id === threadId);
+                                            assert.isUndefined(deletedThread, 'Deleted thread should not exist');
+
+                                            done();
+                                        });
+                                });
+                        });
+                });
+
+                test('Delete thread with incorrect password fails', function (done) {
+                    const board = 'testBoard';
+                    const threadData = {
+                        board: board,
+                        text: 'Thread to be deleted',
+                        delete_password: 'correctPassword'
+                    };
 
-                    // Then try to delete it
+                    // Create a thread first
                     chai.request(server)
-                        .delete(`/api/threads/${board}`)
-                        .send({
-                            thread_id: threadId,
-                            delete_password: 'correctPassword'
-                        })
+                        .post(`/api/threads/${board}`)
+                        .send(threadData)
                         .end(function (err, res) {
-                            assert.isNull(err, 'No error should be returned');
-                            assert.equal(res.status, 200, 'Should successfully delete thread');
-                            assert.deepEqual(res.body, { message: 'Thread deleted successfully' });
+                            const threadId = res.body.thread_id;
 
-                            // Verify thread is actually deleted
+                            // Try to delete with incorrect password
                             chai.request(server)
-                                .get(`/api/threads/${board}`)
+                                .delete(`/api/threads/${board}`)
+                                .send({
+                                    thread_id: threadId,
+                                    delete_password: 'wrongPassword'
+                                })
                                 .end(function (err, res) {
-                                    assert.isArray(res.body, 'Response should be an array');
-                                    const deletedThread = res.body.find(t => t.thread_id === threadId);
-                                    assert.isUndefined(deletedThread, 'Deleted thread should not exist');
+                                    assert.equal(res.status, 403, 'Should return forbidden status');
+                                    assert.deepEqual(res.body, apiError('incorrect_password', 'Incorrect delete password', 'delete_password'));
 
                                     done();
                                 });
                         });
                 });
-        });
+            });
 
-        test('Delete thread with incorrect password fails', function (done) {
-            const board = 'testBoard';
-            const threadData = {
-                board: board,
-                text: 'Thread to be deleted',
-                delete_password: 'correctPassword'
-            };
+            suite('POST /api/replies/{board} Tests', function () {
+                test('Add a reply to an existing thread', function (done) {
+                    const board = 'testBoard';
+                    const threadData = {
+                        board: board,
+                        text: 'Original thread',
+                        delete_password: 'threadPassword'
+                    };
 
-            // Create a thread first
-            chai.request(server)
-                .post(`/api/threads/${board}`)
-                .send(threadData)
-                .end(function (err, res) {
-                    const threadId = res.body.thread_id;
+                    // Create a thread first
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send(threadData)
+                        .end(function (err, res) {
+                            const threadId = res.body.thread_id;
+
+                            // Add a reply to the thread
+                            const replyData = {
+                                thread_id: threadId,
+                                text: 'This is a test reply',
+                                delete_password: 'replyPassword'
+                            };
+
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .send(replyData)
+                                .end(function (err, res) {
+                                    assert.isNull(err, 'No error should be returned');
+                                    assert.equal(res.status, 201, 'Should successfully create reply');
+
+                                    // Verify reply properties
+                                    assert.property(res.body, 'reply_id', 'Reply should have an ID');
+                                    assert.equal(res.body.text, replyData.text, 'Reply text should match');
+                                    assert.property(res.body, 'created_on', 'Reply should have creation timestamp');
+
+                                    // Verify no sensitive information is returned
+                                    assert.notProperty(res.body, 'delete_password', 'Should not return delete password');
+                                    assert.notProperty(res.body, 'reported', 'Should not return reported status');
+
+                                    done();
+                                });
+                        });
+                });
+            });
+
+            suite('GET /api/replies/{board} Tests', function () {
+                test('Retrieve a whole thread with all of its replies', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Full thread', function (threadId) {
+                        createReplies(board, threadId, ['First', 'Second', 'Third', 'Fourth'], function () {
+                            chai.request(server)
+                                .get(`/api/replies/${board}`)
+                                .query({ thread_id: threadId })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.equal(res.body.thread_id, threadId);
+                                    assert.equal(res.body.text, 'Full thread');
+                                    assert.equal(res.body.reply_count, 4);
+                                    assert.deepEqual(res.body.replies.map(r => r.text), ['First', 'Second', 'Third', 'Fourth']);
+                                    assert.isNull(res.body.next_cursor);
+
+                                    // Verify no sensitive information is returned
+                                    assert.notProperty(res.body, 'delete_password');
+                                    assert.notProperty(res.body, 'reported');
+                                    res.body.replies.forEach(reply => {
+                                        assert.notProperty(reply, 'delete_password');
+                                        assert.notProperty(reply, 'reported');
+                                    });
+
+                                    done();
+                                });
+                        });
+                    });
+                });
+
+                test('Page through replies with a cursor', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Long thread', function (threadId) {
+                        createReplies(board, threadId, ['First', 'Second', 'Third'], function () {
+                            chai.request(server)
+                                .get(`/api/replies/${board}`)
+                                .query({ thread_id: threadId, limit: 2 })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.equal(res.body.reply_count, 3);
+                                    assert.deepEqual(res.body.replies.map(r => r.text), ['First', 'Second']);
+                                    assert.isString(res.body.next_cursor);
+
+                                    chai.request(server)
+                                        .get(`/api/replies/${board}`)
+                                        .query({ thread_id: threadId, limit: 2, cursor: res.body.next_cursor })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.deepEqual(res.body.replies.map(r => r.text), ['Third']);
+                                            assert.isNull(res.body.next_cursor);
+
+                                            done();
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Reject an invalid cursor or limit', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        chai.request(server)
+                            .get(`/api/replies/${board}`)
+                            .query({ thread_id: threadId, cursor: 'not-a-cursor' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.deepEqual(res.body, apiError('invalid_field', 'Invalid cursor', 'cursor'));
+
+                                chai.request(server)
+                                    .get(`/api/replies/${board}`)
+                                    .query({ thread_id: threadId, limit: 0 })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 400);
+                                        assert.deepEqual(res.body, apiError('invalid_field', 'limit must be a positive integer', 'limit'));
+
+                                        done();
+                                    });
+                            });
+                    });
+                });
 
-                    // Try to delete with incorrect password
+                test('Unknown thread returns 404', function (done) {
                     chai.request(server)
-                        .delete(`/api/threads/${board}`)
-                        .send({
-                            thread_id: threadId,
-                            delete_password: 'wrongPassword'
-                        })
+                        .get('/api/replies/testBoard')
+                        .query({ thread_id: 999 })
                         .end(function (err, res) {
-                            assert.equal(res.status, 403, 'Should return forbidden status');
-                            assert.deepEqual(res.body, { error: 'Incorrect delete password' });
+                            assert.equal(res.status, 404);
+                            assert.deepEqual(res.body, apiError('not_found', 'Thread not found', 'thread_id'));
 
                             done();
                         });
                 });
-        });
-    });
+            });
 
-    suite('POST /api/replies/{board} Tests', function () {
-        test('Add a reply to an existing thread', function (done) {
-            const board = 'testBoard';
-            const threadData = {
-                board: board,
-                text: 'Original thread',
-                delete_password: 'threadPassword'
-            };
+            suite('Moderation queue Tests', function () {
+                const adminSecret = 'moderator-secret';
 
-            // Create a thread first
-            chai.request(server)
-                .post(`/api/threads/${board}`)
-                .send(threadData)
-                .end(function (err, res) {
-                    const threadId = res.body.thread_id;
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
 
-                    // Add a reply to the thread
-                    const replyData = {
-                        thread_id: threadId,
-                        text: 'This is a test reply',
-                        delete_password: 'replyPassword'
-                    };
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
 
+                test('Queue requires the admin secret', function (done) {
                     chai.request(server)
-                        .post(`/api/replies/${board}`)
-                        .send(replyData)
+                        .get('/api/admin/reports')
+                        .set('Authorization', 'Bearer wrong-secret')
                         .end(function (err, res) {
-                            assert.isNull(err, 'No error should be returned');
-                            assert.equal(res.status, 201, 'Should successfully create reply');
+                            assert.equal(res.status, 401);
+                            assert.deepEqual(res.body, apiError('unauthorized', 'Admin secret required'));
+
+                            done();
+                        });
+                });
 
-                            // Verify reply properties
-                            assert.property(res.body, 'reply_id', 'Reply should have an ID');
-                            assert.equal(res.body.text, replyData.text, 'Reply text should match');
-                            assert.property(res.body, 'created_on', 'Reply should have creation timestamp');
+                test('Reports are counted and listed across boards by report count', function (done) {
+                    createThread('boardA', 'Reported once', function (onceId) {
+                        createThread('boardB', 'Reported twice', function (twiceId) {
+                            chai.request(server)
+                                .put('/api/threads/boardA')
+                                .send({ thread_id: onceId, reason: 'spam' })
+                                .end(function () {
+                                    chai.request(server)
+                                        .put('/api/threads/boardB')
+                                        .send({ thread_id: twiceId, reason: 'off topic' })
+                                        .end(function () {
+                                            chai.request(server)
+                                                .put('/api/threads/boardB')
+                                                .send({ thread_id: twiceId })
+                                                .end(function () {
+                                                    chai.request(server)
+                                                        .get('/api/admin/reports')
+                                                        .set('Authorization', `Bearer ${adminSecret}`)
+                                                        .query({ sort: 'count' })
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 200);
+                                                            assert.deepEqual(res.body.map(r => r.text), ['Reported twice', 'Reported once']);
+                                                            assert.equal(res.body[0].board, 'boardB');
+                                                            assert.equal(res.body[0].report_count, 2);
+                                                            assert.deepEqual(res.body[0].reports.map(r => r.reason), ['off topic', null]);
+                                                            assert.notProperty(res.body[0], 'delete_password');
 
-                            // Verify no sensitive information is returned
-                            assert.notProperty(res.body, 'delete_password', 'Should not return delete password');
-                            assert.notProperty(res.body, 'reported', 'Should not return reported status');
+                                                            // Reports stay hidden from the public API
+                                                            chai.request(server)
+                                                                .get('/api/threads/boardB')
+                                                                .end(function (err, res) {
+                                                                    assert.notProperty(res.body[0], 'reports');
+                                                                    assert.notProperty(res.body[0], 'report_count');
 
-                            done();
+                                                                    done();
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
                         });
+                    });
+                });
+
+                test('Dismissing a report removes it from the queue', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Fine thread', function (threadId) {
+                        chai.request(server)
+                            .put(`/api/threads/${board}`)
+                            .send({ thread_id: threadId })
+                            .end(function () {
+                                chai.request(server)
+                                    .post(`/api/admin/reports/${board}/dismiss`)
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .send({ thread_id: threadId })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.deepEqual(res.body, { message: 'Report dismissed' });
+
+                                        chai.request(server)
+                                            .get('/api/admin/reports')
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .end(function (err, res) {
+                                                assert.deepEqual(res.body, []);
+
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Removing a reported reply and locking its thread', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        createReplies(board, threadId, ['Bad reply', 'Worse reply'], function (replyIds) {
+                            chai.request(server)
+                                .post(`/api/admin/reports/${board}/remove`)
+                                .set('X-Admin-Secret', adminSecret)
+                                .send({ thread_id: threadId, reply_id: replyIds[0] })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.deepEqual(res.body, { message: 'Reply removed' });
+                                    assert.isUndefined(threadStorage.findReply(board, threadId, replyIds[0]));
+
+                                    chai.request(server)
+                                        .post(`/api/admin/reports/${board}/lock`)
+                                        .set('X-Admin-Secret', adminSecret)
+                                        .send({ thread_id: threadId, reply_id: replyIds[1] })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.deepEqual(res.body, { message: 'Thread locked' });
+
+                                            chai.request(server)
+                                                .post(`/api/replies/${board}`)
+                                                .send({ thread_id: threadId, text: 'Too late', delete_password: 'pass' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 423);
+                                                    assert.deepEqual(res.body, apiError('thread_locked', 'Thread is locked'));
+
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Moderation routes name the field at fault', function (done) {
+                    chai.request(server)
+                        .get('/api/admin/reports')
+                        .set('X-Admin-Secret', adminSecret)
+                        .query({ sort: 'loudest' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'sort must be one of count, age', 'sort'));
+
+                            chai.request(server)
+                                .post('/api/admin/reports/testBoard/shred')
+                                .set('X-Admin-Secret', adminSecret)
+                                .send({ thread_id: 1 })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_field', 'action must be one of dismiss, remove, lock', 'action'));
+
+                                    chai.request(server)
+                                        .post('/api/admin/reports/testBoard/dismiss')
+                                        .set('X-Admin-Secret', adminSecret)
+                                        .send({ thread_id: 999999 })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 404);
+                                            assert.deepEqual(res.body, apiError('not_found', 'Thread not found', 'thread_id'));
+                                            done();
+                                        });
+                                });
+                        });
+                });
+            });
+
+            suite('GET /api/search Tests', function () {
+                // Runs the searches in order and passes their response bodies to the callback
+                function searchAll(queries, callback, bodies = []) {
+                    if (bodies.length === queries.length) return callback(bodies);
+
+                    chai.request(server)
+                        .get('/api/search')
+                        .query(queries[bodies.length])
+                        .end(function (err, res) {
+                            assert.equal(res.status, 200);
+                            searchAll(queries, callback, bodies.concat(res.body));
+                        });
+                }
+
+                test('Search terms, phrases and prefixes within and across boards', function (done) {
+                    createThread('boardA', 'Deploying the new server tonight', function (threadId) {
+                        createReplies('boardA', threadId, ['Server logs attached'], function () {
+                            createThread('boardB', 'Server room is too warm', function () {
+                                searchAll([
+                                    { q: 'server' },
+                                    { q: 'server', board: 'boardA' },
+                                    { q: '"new server"' },
+                                    { q: 'deplo*' },
+                                    { q: 'server warm' }
+                                ], function ([all, boardA, phrase, prefix, both]) {
+                                    assert.equal(all.total, 3);
+                                    assert.sameMembers(all.results.map(r => r.type), ['thread', 'thread', 'reply']);
+                                    all.results.forEach(result => {
+                                        assert.notProperty(result, 'delete_password');
+                                        assert.isNumber(result.score);
+                                    });
+
+                                    assert.equal(boardA.total, 2);
+                                    boardA.results.forEach(result => assert.equal(result.board, 'boardA'));
+
+                                    assert.deepEqual(phrase.results.map(r => r.thread_id), [threadId]);
+                                    assert.deepEqual(prefix.results.map(r => r.text), ['Deploying the new server tonight']);
+                                    assert.deepEqual(both.results.map(r => r.text), ['Server room is too warm']);
+
+                                    done();
+                                });
+                            });
+                        });
+                    });
                 });
+
+                test('Deleted posts drop out of the results', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Searchable thread', function (threadId) {
+                        chai.request(server)
+                            .post(`/api/replies/${board}`)
+                            .send({ thread_id: threadId, text: 'Searchable reply', delete_password: 'replyPassword' })
+                            .end(function (err, res) {
+                                const replyId = res.body.reply_id;
+
+                                chai.request(server)
+                                    .delete(`/api/replies/${board}`)
+                                    .send({ thread_id: threadId, reply_id: replyId, delete_password: 'replyPassword' })
+                                    .end(function () {
+                                        searchAll([{ q: 'searchable' }], function ([afterReply]) {
+                                            assert.deepEqual(afterReply.results.map(r => r.type), ['thread']);
+
+                                            chai.request(server)
+                                                .delete(`/api/threads/${board}`)
+                                                .send({ thread_id: threadId, delete_password: 'threadPassword' })
+                                                .end(function () {
+                                                    searchAll([{ q: 'searchable' }], function ([afterThread]) {
+                                                        assert.equal(afterThread.total, 0);
+
+                                                        done();
+                                                    });
+                                                });
+                                        });
+                                    });
+                            });
+                    });
+                });
+
+                test('Missing query is rejected', function (done) {
+                    chai.request(server)
+                        .get('/api/search')
+                        .query({ q: '  ' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('missing_field', 'Missing search query', 'q'));
+
+                            done();
+                        });
+                });
+
+                test('Overlong query is rejected', function (done) {
+                    chai.request(server)
+                        .get('/api/search')
+                        .query({ q: 'word '.repeat(41) })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'q must be at most 200 characters', 'q'));
+                            done();
+                        });
+                });
+            });
+
+            suite('Board registry Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                test('List registered boards with thread counts', function (done) {
+                    createThread('boardA', 'Counted thread', function () {
+                        chai.request(server)
+                            .get('/api/boards')
+                            .end(function (err, res) {
+                                assert.equal(res.status, 200);
+                                assert.includeMembers(res.body.map(b => b.name), ['general', 'boardA', 'boardB', 'testBoard']);
+
+                                const boardA = res.body.find(b => b.name === 'boardA');
+                                assert.equal(boardA.thread_count, 1);
+                                assert.equal(boardA.title, 'boardA');
+                                assert.isTrue(boardA.allow_new_threads);
+                                assert.isNumber(boardA.max_text_length);
+                                assert.isNumber(boardA.max_threads);
+
+                                done();
+                            });
+                    });
+                });
+
+                test('Create and describe a board', function (done) {
+                    chai.request(server)
+                        .post('/api/boards')
+                        .send({ name: 'news', title: 'News', max_text_length: 10 })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 401, 'Creating boards requires the admin secret');
+
+                            chai.request(server)
+                                .post('/api/boards')
+                                .set('X-Admin-Secret', adminSecret)
+                                .send({ name: 'news', title: 'News', description: 'Announcements', max_text_length: 10 })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+
+                                    chai.request(server)
+                                        .get('/api/boards/news')
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.equal(res.body.title, 'News');
+                                            assert.equal(res.body.description, 'Announcements');
+                                            assert.equal(res.body.max_text_length, 10);
+                                            assert.equal(res.body.thread_count, 0);
+
+                                            chai.request(server)
+                                                .post('/api/threads/news')
+                                                .send({ text: 'Far longer than ten characters', delete_password: 'pass' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 400);
+                                                    assert.deepEqual(res.body, apiError('invalid_field', 'text must be at most 10 characters', 'text'));
+
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                });
+
+                test('Unknown and closed boards reject posts', function (done) {
+                    chai.request(server)
+                        .post('/api/threads/tsetBoard')
+                        .send({ text: 'Typo', delete_password: 'pass' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 404);
+                            assert.deepEqual(res.body, apiError('not_found', 'Board not found', 'board'));
+
+                            chai.request(server)
+                                .patch('/api/boards/testBoard')
+                                .set('X-Admin-Secret', adminSecret)
+                                .send({ allow_new_threads: false })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.isFalse(res.body.allow_new_threads);
+
+                                    chai.request(server)
+                                        .post('/api/threads/testBoard')
+                                        .send({ text: 'Closed', delete_password: 'pass' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 403);
+                                            assert.deepEqual(res.body, apiError('board_closed', 'Board is closed to new threads'));
+
+                                            done();
+                                        });
+                                });
+                        });
+                });
+            });
+
+            suite('Rate limiting Tests', function () {
+                test('Thread creation is limited per client', function (done) {
+                    const board = 'testBoard';
+                    let created = 0;
+
+                    // The default thread budget is 5 per minute
+                    (function postNext() {
+                        chai.request(server)
+                            .post(`/api/threads/${board}`)
+                            .send({ text: `Thread ${created}`, delete_password: 'pass' })
+                            .end(function (err, res) {
+                                if (created < 5) {
+                                    assert.equal(res.status, 201);
+                                    created++;
+                                    return postNext();
+                                }
+
+                                assert.equal(res.status, 429);
+                                assert.deepEqual(res.body, apiError('rate_limited', 'Too many requests, try again later'));
+                                assert.isAbove(Number(res.header['retry-after']), 0);
+
+                                // Other budgets are separate
+                                chai.request(server)
+                                    .put(`/api/threads/${board}`)
+                                    .send({ thread_id: 1 })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+
+                                        done();
+                                    });
+                            });
+                    })();
+                });
+
+                test('Idle buckets refill and are swept', function () {
+                    const limiter = createRateLimiter({ capacity: 2, seconds: 10 });
+
+                    assert.isTrue(limiter.take('1.2.3.4', 0).allowed);
+                    assert.isTrue(limiter.take('1.2.3.4', 0).allowed);
+                    assert.deepEqual(limiter.take('1.2.3.4', 0), { allowed: false, retryAfter: 5 });
+                    assert.isTrue(limiter.take('1.2.3.4', 5000).allowed, 'One token refills after 5 seconds');
+
+                    limiter.sweep(9000);
+                    assert.equal(limiter.size(), 1, 'Partly empty buckets are kept');
+                    limiter.sweep(15000);
+                    assert.equal(limiter.size(), 0, 'Full buckets are dropped');
+                });
+            });
+
+            suite('Live event stream Tests', function () {
+                let listener;
+                let stream;
+
+                setup(function (done) {
+                    listener = server.listen(0, done);
+                });
+
+                teardown(function (done) {
+                    if (stream) stream.destroy();
+                    stream = null;
+                    listener.close(done);
+                });
+
+                test('Board stream delivers creations, bumps and deletions', function (done) {
+                    const board = 'testBoard';
+                    const events = [];
+
+                    stream = openEventStream(listener.address().port, `/api/events/${board}`, {}, function (res) {
+                        assert.equal(res.statusCode, 200);
+                        assert.match(res.headers['content-type'], /text\/event-stream/);
+
+                        createThread(board, 'Live thread', function (threadId) {
+                            createReplies(board, threadId, ['Live reply'], function ([replyId]) {
+                                chai.request(server)
+                                    .delete(`/api/replies/${board}`)
+                                    .send({ thread_id: threadId, reply_id: replyId, delete_password: 'replyPassword' })
+                                    .end(function () {});
+                            });
+                        });
+                    }, function (event) {
+                        events.push(event);
+                        if (events.length < 4) return;
+
+                        assert.deepEqual(events.map(e => e.event), ['thread_created', 'reply_created', 'thread_bumped', 'post_deleted']);
+                        assert.equal(events[0].data.text, 'Live thread');
+                        assert.notProperty(events[0].data, 'delete_password');
+                        assert.equal(events[1].data.reply.text, 'Live reply');
+                        assert.notProperty(events[1].data.reply, 'delete_password');
+                        assert.equal(events[3].data.reply_id, events[1].data.reply.reply_id);
+                        assert.isBelow(events[0].id, events[3].id, 'Event ids should grow');
+
+                        done();
+                    });
+                });
+
+                test('Thread stream resumes from Last-Event-ID', function (done) {
+                    const board = 'testBoard';
+                    const startId = eventBroker.lastId();
+
+                    createThread(board, 'Other thread', function () {
+                        createThread(board, 'Followed thread', function (threadId) {
+                            createReplies(board, threadId, ['Missed reply'], function () {
+                                const events = [];
+                                const path = `/api/events/${board}/${threadId}`;
+
+                                stream = openEventStream(listener.address().port, path, { 'Last-Event-ID': String(startId) }, function () {}, function (event) {
+                                    events.push(event);
+                                    if (events.length < 3) return;
+
+                                    assert.deepEqual(events.map(e => e.event), ['thread_created', 'reply_created', 'thread_bumped']);
+                                    events.forEach(e => assert.equal(e.data.thread_id, threadId));
+
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+
+                test('Resuming past the buffer asks the client to resync', function () {
+                    const storage = new EventEmitter();
+                    const broker = createEventBroker(storage, { bufferSize: 2 });
+
+                    [1, 2, 3].forEach(id => storage.emit('change', { type: 'thread:delete', board: 'b', thread_id: id }));
+
+                    assert.deepEqual(broker.since(1, { board: 'b' }).events.map(e => e.id), [2, 3]);
+                    assert.isTrue(broker.since(1, { board: 'b' }).complete);
+                    assert.isFalse(broker.since(0, { board: 'b' }).complete);
+
+                    // Ids from before a restart are ahead of the new broker's
+                    assert.isFalse(broker.since(50, { board: 'b' }).complete);
+                    assert.isFalse(createEventBroker(new EventEmitter()).since(3, { board: 'b' }).complete);
+                });
+
+                test('Edits that a filter holds take the post off the stream', function () {
+                    const storage = new EventEmitter();
+                    const broker = createEventBroker(storage);
+
+                    storage.emit('change', { type: 'thread:update', board: 'b', thread_id: 1, changes: { text: 'x', held: true } });
+                    storage.emit('change', { type: 'reply:update', board: 'b', thread_id: 1, reply_id: 2, changes: { text: 'x', held: true } });
+
+                    const { events } = broker.since(0, { board: 'b' });
+                    assert.deepEqual(events.map(e => e.event), ['post_held', 'post_held']);
+                    assert.deepEqual(events[1].data, { board: 'b', thread_id: 1, reply_id: 2 });
+                });
+            });
+
+            suite('Feed Tests', function () {
+                teardown(function () {
+                    delete process.env.PUBLIC_URL;
+                });
+
+                test('Board Atom feed escapes text and supports conditional GET', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Tom & Jerry <script>alert(1)</script>', function (threadId) {
+                        chai.request(server)
+                            .get(`/b/${board}/feed.atom`)
+                            .buffer()
+                            .end(function (err, res) {
+                                assert.equal(res.status, 200);
+                                assert.match(res.header['content-type'], /application\/atom\+xml/);
+                                assert.include(res.text, '<feed xmlns="http://www.w3.org/2005/Atom">');
+                                assert.include(res.text, 'Tom &amp; Jerry &lt;script&gt;alert(1)&lt;/script&gt;');
+                                assert.notInclude(res.text, '<script>');
+                                assert.include(res.text, `/b/${board}/${threadId}</id>`);
+
+                                chai.request(server)
+                                    .get(`/b/${board}/feed.atom`)
+                                    .set('If-None-Match', res.header.etag)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 304);
+
+                                        done();
+                                    });
+                            });
+                    });
+                });
+
+                test('Thread RSS feed lists replies and honours If-Modified-Since', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Feed thread', function (threadId) {
+                        createReplies(board, threadId, ['First reply', 'Second reply'], function () {
+                            chai.request(server)
+                                .get(`/b/${board}/${threadId}/feed.rss`)
+                                .buffer()
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.match(res.header['content-type'], /application\/rss\+xml/);
+                                    assert.include(res.text, '<title>Feed thread</title>');
+                                    assert.equal((res.text.match(/<item>/g) || []).length, 2);
+                                    assert.isBelow(res.text.indexOf('Second reply'), res.text.indexOf('First reply'), 'Newest reply first');
+
+                                    chai.request(server)
+                                        .get(`/b/${board}/${threadId}/feed.rss`)
+                                        .set('If-Modified-Since', res.header['last-modified'])
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 304);
+
+                                            chai.request(server)
+                                                .get(`/b/${board}/999/feed.atom`)
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 404);
+
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Feeds name posters, link reply anchors and date edits', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Feed thread', function (threadId) {
+                        chai.request(server)
+                            .post(`/api/replies/${board}`)
+                            .send({ thread_id: threadId, text: 'Signed reply', name: 'Poster#secret', delete_password: 'pass' })
+                            .end(function (err, res) {
+                                const reply = res.body;
+
+                                chai.request(server)
+                                    .get(`/b/${board}/${threadId}/feed.atom`)
+                                    .buffer()
+                                    .end(function (err, res) {
+                                        assert.include(res.text, `<name>Poster ${reply.tripcode}</name>`);
+                                        assert.include(res.text, `/b/${board}/${threadId}#reply-${reply.reply_id}</id>`);
+
+                                        // An edit after the client's copy makes it stale
+                                        const lastModified = res.header['last-modified'];
+                                        const editedOn = new Date(Date.now() + 60000);
+                                        threadStorage.updateReply(board, threadId, reply.reply_id, { edited_on: editedOn });
+
+                                        chai.request(server)
+                                            .get(`/b/${board}/${threadId}/feed.atom`)
+                                            .set('If-Modified-Since', lastModified)
+                                            .buffer()
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+                                                assert.equal(res.header['last-modified'], editedOn.toUTCString());
+                                                assert.include(res.text, `<updated>${editedOn.toISOString()}</updated>`);
+
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Feed links come from PUBLIC_URL, never the Host header', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Feed thread', function (threadId) {
+                        chai.request(server)
+                            .get(`/b/${board}/feed.atom`)
+                            .set('Host', 'forged.example')
+                            .buffer()
+                            .end(function (err, res) {
+                                assert.notInclude(res.text, 'forged.example');
+                                assert.include(res.text, `<id>/b/${board}/${threadId}</id>`);
+                                const relativeTag = res.header.etag;
+
+                                process.env.PUBLIC_URL = 'https://board.example/';
+
+                                chai.request(server)
+                                    .get(`/b/${board}/feed.atom`)
+                                    .set('Host', 'forged.example')
+                                    .buffer()
+                                    .end(function (err, res) {
+                                        assert.notInclude(res.text, 'forged.example');
+                                        assert.include(res.text, `<id>https://board.example/b/${board}/${threadId}</id>`);
+                                        assert.notEqual(res.header.etag, relativeTag);
+
+                                        done();
+                                    });
+                            });
+                    });
+                });
+            });
+
+            suite('Post text Tests', function () {
+                test('Text is cleaned and returned with rendered HTML', function (done) {
+                    const board = 'testBoard';
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send({ text: '  <b>Hi</b>\u0007\r\n>quoted  ', delete_password: 'pass' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            assert.equal(res.body.text, '<b>Hi</b>\n>quoted');
+                            assert.equal(res.body.html, '&lt;b&gt;Hi&lt;/b&gt;<br><span class="quote">&gt;quoted</span>');
+
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .send({ thread_id: res.body.thread_id, text: '\u0000 \n ', delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_field', 'text is required', 'text'));
+
+                                    done();
+                                });
+                        });
+                });
+            });
+
+            suite('Tripcode Tests', function () {
+                teardown(function () {
+                    delete process.env.TRIPCODE_PEPPER;
+                });
+
+                test('Same secret gives the same tripcode on threads and replies', function (done) {
+                    const board = 'testBoard';
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send({ text: 'Signed thread', delete_password: 'pass', name: 'alice#hunter2' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            assert.equal(res.body.name, 'alice');
+                            assert.match(res.body.tripcode, /^![A-Za-z0-9]{10}$/);
+                            assert.notInclude(JSON.stringify(res.body), 'hunter2');
+                            const threadId = res.body.thread_id;
+                            const tripcode = res.body.tripcode;
+
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .send({ thread_id: threadId, text: 'Still me', delete_password: 'pass', name: 'not alice#hunter2' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+                                    assert.equal(res.body.name, 'not alice');
+                                    assert.equal(res.body.tripcode, tripcode);
+
+                                    chai.request(server)
+                                        .post(`/api/replies/${board}`)
+                                        .send({ thread_id: threadId, text: 'Anonymous', delete_password: 'pass' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.body.name, 'Anonymous');
+                                            assert.isNull(res.body.tripcode);
+
+                                            chai.request(server)
+                                                .get(`/api/replies/${board}`)
+                                                .query({ thread_id: threadId })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.body.tripcode, tripcode);
+                                                    assert.deepEqual(res.body.replies.map(r => r.tripcode), [tripcode, null]);
+
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                });
+
+                test('Secure tripcodes need the pepper from the environment', function (done) {
+                    const board = 'testBoard';
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send({ text: 'Secure', delete_password: 'pass', name: 'bob##secret' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'Secure tripcodes are not available on this server', 'name'));
+
+                            process.env.TRIPCODE_PEPPER = 'server-side-pepper';
+
+                            chai.request(server)
+                                .post(`/api/threads/${board}`)
+                                .send({ text: 'Secure', delete_password: 'pass', name: 'bob##secret' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+                                    assert.match(res.body.tripcode, /^!![A-Za-z0-9]{10}$/);
+
+                                    done();
+                                });
+                        });
+                });
+
+                test('Regular tripcodes use the server\'s pepper', function (done) {
+                    const board = 'testBoard';
+                    const pepper = process.env.TRIPCODE_REGULAR_PEPPER;
+                    const post = { text: 'Signed', delete_password: 'pass', name: 'bob#secret' };
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send(post)
+                        .end(function (err, res) {
+                            const tripcode = res.body.tripcode;
+                            process.env.TRIPCODE_REGULAR_PEPPER = 'another-pepper';
+
+                            chai.request(server)
+                                .post(`/api/threads/${board}`)
+                                .send(post)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+                                    assert.notEqual(res.body.tripcode, tripcode);
+                                    delete process.env.TRIPCODE_REGULAR_PEPPER;
+
+                                    chai.request(server)
+                                        .post(`/api/threads/${board}`)
+                                        .send(post)
+                                        .end(function (err, res) {
+                                            process.env.TRIPCODE_REGULAR_PEPPER = pepper;
+                                            assert.equal(res.status, 400);
+                                            assert.deepEqual(res.body, apiError('invalid_field', 'Tripcodes are not available on this server', 'name'));
+
+                                            done();
+                                        });
+                                });
+                        });
+                });
+            });
+
+            suite('Edit Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                test('Edit a thread and read its revisions', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Frist post', function (threadId) {
+                        chai.request(server)
+                            .patch(`/api/threads/${board}`)
+                            .send({ thread_id: threadId, text: 'First post', delete_password: 'wrong' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 403);
+                                assert.deepEqual(res.body, apiError('incorrect_password', 'Incorrect delete password', 'delete_password'));
+
+                                chai.request(server)
+                                    .patch(`/api/threads/${board}`)
+                                    .send({ thread_id: threadId, text: 'First post', delete_password: 'threadPassword' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.equal(res.body.text, 'First post');
+                                        assert.property(res.body, 'edited_on');
+                                        assert.notProperty(res.body, 'revisions');
+                                        assert.notProperty(res.body, 'delete_password');
+
+                                        chai.request(server)
+                                            .get(`/api/admin/revisions/${board}`)
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .query({ thread_id: threadId })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+                                                assert.equal(res.body.text, 'First post');
+                                                assert.deepEqual(res.body.revisions.map(r => r.text), ['Frist post']);
+                                                assert.property(res.body.revisions[0], 'written_on');
+
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Replies can only be edited within the board edit window', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        createReplies(board, threadId, ['Reply with a typpo'], function ([replyId]) {
+                            chai.request(server)
+                                .patch(`/api/replies/${board}`)
+                                .send({ thread_id: threadId, reply_id: replyId, text: 'Reply without a typo', delete_password: 'replyPassword' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.equal(res.body.text, 'Reply without a typo');
+
+                                    threadStorage.updateBoard(board, { edit_window: 0 });
+                                    threadStorage.updateReply(board, threadId, replyId, { created_on: new Date(Date.now() - 1000) });
+
+                                    chai.request(server)
+                                        .patch(`/api/replies/${board}`)
+                                        .send({ thread_id: threadId, reply_id: replyId, text: 'Too late', delete_password: 'replyPassword' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 403);
+                                            assert.deepEqual(res.body, apiError('edit_window_closed', 'Edit window has closed'));
+
+                                            done();
+                                        });
+                                });
+                        });
+                    });
+                });
+            });
+
+            suite('Archive Tests', function () {
+                test('Threads over the board cap move to a read-only archive', function (done) {
+                    const board = 'testBoard';
+                    threadStorage.updateBoard(board, { max_threads: 2 });
+
+                    createThread(board, 'Oldest', function (oldestId) {
+                        createThread(board, 'Middle', function (middleId) {
+                            createThread(board, 'Newest', function (newestId) {
+                                chai.request(server)
+                                    .get(`/api/threads/${board}`)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.deepEqual(res.body.map(t => t.thread_id), [newestId, middleId]);
+
+                                        chai.request(server)
+                                            .get(`/api/archive/${board}`)
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+                                                assert.deepEqual(res.body.map(t => t.thread_id), [oldestId]);
+                                                assert.property(res.body[0], 'archived_on');
+                                                assert.notProperty(res.body[0], 'delete_password');
+
+                                                chai.request(server)
+                                                    .post(`/api/replies/${board}`)
+                                                    .send({ thread_id: oldestId, text: 'Too late', delete_password: 'replyPassword' })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 403);
+                                                        assert.deepEqual(res.body, apiError('thread_archived', 'Thread is archived'));
+
+                                                        chai.request(server)
+                                                            .delete(`/api/threads/${board}`)
+                                                            .send({ thread_id: oldestId, delete_password: 'threadPassword' })
+                                                            .end(function (err, res) {
+                                                                assert.equal(res.status, 403);
+                                                                assert.deepEqual(res.body, apiError('thread_archived', 'Thread is archived'));
+
+                                                                chai.request(server)
+                                                                    .get(`/api/archive/${board}`)
+                                                                    .query({ thread_id: oldestId })
+                                                                    .end(function (err, res) {
+                                                                        assert.equal(res.status, 200);
+                                                                        assert.equal(res.body.text, 'Oldest');
+                                                                        assert.isArray(res.body.replies);
+
+                                                                        chai.request(server)
+                                                                            .get(`/api/archive/${board}`)
+                                                                            .query({ thread_id: newestId })
+                                                                            .end(function (err, res) {
+                                                                                assert.equal(res.status, 404);
+                                                                                done();
+                                                                            });
+                                                                    });
+                                                            });
+                                                    });
+                                            });
+                                    });
+                            });
+                        });
+                    });
+                });
+
+                test('The sweeper deletes archived threads past the TTL', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Expired', function (expiredId) {
+                        createThread(board, 'Recent', function (recentId) {
+                            const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+                            threadStorage.updateThread(board, expiredId, { archived_on: eightDaysAgo });
+                            threadStorage.updateThread(board, recentId, { archived_on: new Date() });
+
+                            assert.equal(sweepArchive(), 1);
+                            assert.notOk(threadStorage.findThread(board, expiredId));
+                            assert.isOk(threadStorage.findThread(board, recentId));
+
+                            done();
+                        });
+                    });
+                });
+            });
+
+            suite('Sticky and locked thread Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                test('Sticky threads sort first on every page', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Board rules', function (rulesId) {
+                        createThread(board, 'Older thread', function (olderId) {
+                            createThread(board, 'Newer thread', function (newerId) {
+                                chai.request(server)
+                                    .patch(`/api/admin/threads/${board}`)
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .send({ thread_id: rulesId, sticky: true })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.isTrue(res.body.sticky);
+                                        assert.isFalse(res.body.locked);
+
+                                        chai.request(server)
+                                            .get(`/api/threads/${board}`)
+                                            .query({ limit: 2 })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+                                                assert.deepEqual(res.body.map(t => t.thread_id), [rulesId, newerId]);
+                                                assert.deepEqual(res.body.map(t => t.sticky), [true, false]);
+
+                                                chai.request(server)
+                                                    .get(`/api/threads/${board}`)
+                                                    .query({ limit: 2, cursor: res.headers['x-next-cursor'] })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 200);
+                                                        assert.deepEqual(res.body.map(t => t.thread_id), [olderId]);
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                            });
+                        });
+                    });
+                });
+
+                test('Locked threads refuse replies until unlocked', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Heated thread', function (threadId) {
+                        chai.request(server)
+                            .patch(`/api/admin/threads/${board}`)
+                            .set('X-Admin-Secret', adminSecret)
+                            .send({ thread_id: threadId, locked: 'maybe' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.deepEqual(res.body, apiError('invalid_field', 'locked must be true or false', 'locked'));
+
+                                chai.request(server)
+                                    .patch(`/api/admin/threads/${board}`)
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .type('form')
+                                    .send({ thread_id: String(threadId), locked: 'true' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.isTrue(res.body.locked);
+
+                                        chai.request(server)
+                                            .post(`/api/replies/${board}`)
+                                            .send({ thread_id: threadId, text: 'One more thing', delete_password: 'replyPassword' })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 423);
+                                                assert.deepEqual(res.body, apiError('thread_locked', 'Thread is locked'));
+
+                                                chai.request(server)
+                                                    .patch(`/api/admin/threads/${board}`)
+                                                    .set('X-Admin-Secret', adminSecret)
+                                                    .send({ thread_id: threadId, locked: false })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 200);
+                                                        assert.isFalse(res.body.locked);
+
+                                                        chai.request(server)
+                                                            .post(`/api/replies/${board}`)
+                                                            .send({ thread_id: threadId, text: 'Calmer now', delete_password: 'replyPassword' })
+                                                            .end(function (err, res) {
+                                                                assert.equal(res.status, 201);
+                                                                done();
+                                                            });
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Threads locked or removed while a reply hashes refuse it', function (done) {
+                    const board = threadStorage.findBoard('testBoard');
+                    const reply = { text: 'Too late', delete_password: 'pass', ip: '127.0.0.1' };
+
+                    createThread(board.name, 'Closing soon', function (lockedId) {
+                        createThread(board.name, 'Going soon', function (removedId) {
+                            // Each change lands while the reply waits on bcrypt
+                            const toLocked = createReplyPost(board, lockedId, reply);
+                            threadStorage.updateThread(board.name, lockedId, { locked: true });
+
+                            const toRemoved = createReplyPost(board, removedId, reply);
+                            threadStorage.deleteThread(board.name, removedId);
+
+                            Promise.all([toLocked, toRemoved]).then(function ([locked, removed]) {
+                                assert.include(locked, { status: 423, code: 'thread_locked' });
+                                assert.lengthOf(threadStorage.findThread(board.name, lockedId).replies, 0);
+                                assert.include(removed, { status: 404, field: 'thread_id' });
+                                done();
+                            }).catch(done);
+                        });
+                    });
+                });
+            });
+
+            suite('Attachment Tests', function () {
+                // Smallest valid PNG header followed by some bytes
+                const png = Buffer.concat([
+                    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+                    Buffer.from('screenshot pixels')
+                ]);
+                const pngFile = `${crypto.createHash('sha256').update(png).digest('hex')}.png`;
+                let attachmentDir;
+
+                setup(function () {
+                    attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+                    process.env.ATTACHMENT_DIR = attachmentDir;
+                });
+
+                teardown(function () {
+                    delete process.env.ATTACHMENT_DIR;
+                    delete process.env.ATTACHMENT_MAX_SIZE;
+                    fs.rmSync(attachmentDir, { recursive: true, force: true });
+                });
+
+                test('Text-only posts do not create the attachment directory', function (done) {
+                    process.env.ATTACHMENT_DIR = path.join(attachmentDir, 'unused');
+
+                    chai.request(server)
+                        .post('/api/threads/testBoard')
+                        .send({ text: 'No files here', delete_password: 'threadPassword' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            assert.deepEqual(res.body.attachments, []);
+                            assert.isFalse(fs.existsSync(process.env.ATTACHMENT_DIR));
+                            done();
+                        });
+                });
+
+                test('Attached files are stored by content hash and served back', function (done) {
+                    const board = 'testBoard';
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .field('text', 'See the screenshot')
+                        .field('delete_password', 'threadPassword')
+                        .attach('attachments', png, 'screen shot.png')
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            assert.lengthOf(res.body.attachments, 1);
+                            const attachment = res.body.attachments[0];
+                            assert.equal(attachment.file, pngFile);
+                            assert.equal(attachment.type, 'image/png');
+                            assert.equal(attachment.size, png.length);
+                            assert.equal(attachment.url, `/api/attachments/${pngFile}`);
+                            assert.isTrue(fs.existsSync(path.join(attachmentDir, pngFile)));
+                            const threadId = res.body.thread_id;
+
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .field('thread_id', String(threadId))
+                                .field('text', 'Here is the log')
+                                .field('delete_password', 'replyPassword')
+                                .attach('attachments', Buffer.from('ERROR something broke\n'), 'server.png')
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+                                    assert.equal(res.body.attachments[0].type, 'text/plain');
+                                    assert.match(res.body.attachments[0].file, /\.txt$/);
+
+                                    chai.request(server)
+                                        .get(attachment.url)
+                                        .buffer()
+                                        .parse(function (res, callback) {
+                                            const chunks = [];
+                                            res.on('data', chunk => chunks.push(chunk));
+                                            res.on('end', () => callback(null, Buffer.concat(chunks)));
+                                        })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.equal(res.headers['content-type'], 'image/png');
+                                            assert.include(res.headers['content-security-policy'], 'sandbox');
+                                            assert.isTrue(res.body.equals(png));
+
+                                            done();
+                                        });
+                                });
+                        });
+                });
+
+                test('Files are checked by content and size', function (done) {
+                    const board = 'testBoard';
+                    process.env.ATTACHMENT_MAX_SIZE = '64';
+
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .field('text', 'Not really a picture')
+                        .field('delete_password', 'threadPassword')
+                        .attach('attachments', Buffer.from([0x00, 0x01, 0x02, 0x03]), 'fake.png')
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'fake.png is not an allowed file type', 'attachments'));
+
+                            chai.request(server)
+                                .post(`/api/threads/${board}`)
+                                .field('text', 'Too big')
+                                .field('delete_password', 'threadPassword')
+                                .attach('attachments', Buffer.alloc(65, 'a'), 'big.txt')
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 413);
+                                    assert.deepEqual(res.body, apiError('payload_too_large', 'Attachments must be at most 64 bytes', 'attachments'));
+                                    assert.deepEqual(fs.readdirSync(attachmentDir), []);
+
+                                    done();
+                                });
+                        });
+                });
+
+                test('Deleting the last post that uses a file removes it', function (done) {
+                    const board = 'testBoard';
+                    const postWithPng = (text, callback) => {
+                        chai.request(server)
+                            .post(`/api/threads/${board}`)
+                            .field('text', text)
+                            .field('delete_password', 'threadPassword')
+                            .attach('attachments', png, 'shot.png')
+                            .end(function (err, res) {
+                                callback(res.body.thread_id);
+                            });
+                    };
+                    const deleteThread = (threadId, callback) => {
+                        chai.request(server)
+                            .delete(`/api/threads/${board}`)
+                            .send({ thread_id: threadId, delete_password: 'threadPassword' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 200);
+                                callback();
+                            });
+                    };
+
+                    postWithPng('First copy', function (firstId) {
+                        postWithPng('Second copy', function (secondId) {
+                            deleteThread(firstId, function () {
+                                assert.isTrue(fs.existsSync(path.join(attachmentDir, pngFile)));
+
+                                deleteThread(secondId, function () {
+                                    assert.isFalse(fs.existsSync(path.join(attachmentDir, pngFile)));
+
+                                    chai.request(server)
+                                        .get(`/api/attachments/${pngFile}`)
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 404);
+                                            done();
+                                        });
+                                });
+                            });
+                        });
+                    });
+                });
+
+                test('The collector removes stale unreferenced files', function () {
+                    const stray = path.join(attachmentDir, `${'a'.repeat(64)}.png`);
+                    const fresh = path.join(attachmentDir, `${'b'.repeat(64)}.png`);
+                    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+                    fs.writeFileSync(stray, png);
+                    fs.utimesSync(stray, hourAgo, hourAgo);
+                    fs.writeFileSync(fresh, png);
+
+                    assert.equal(attachmentIndex.collectGarbage(), 1);
+                    assert.isFalse(fs.existsSync(stray));
+                    assert.isTrue(fs.existsSync(fresh));
+                });
+            });
+
+            suite('Quote link Tests', function () {
+                test('Quotes link to posts on the board and show up as backlinks', function (done) {
+                    const board = 'testBoard';
+                    const getThread = (threadId, callback) => {
+                        chai.request(server)
+                            .get(`/api/replies/${board}`)
+                            .query({ thread_id: threadId })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 200);
+                                callback(res.body);
+                            });
+                    };
+
+                    createThread(board, 'Thread one', function (firstId) {
+                        createThread(board, 'Thread two', function (secondId) {
+                            createReplies(board, firstId, ['Original point'], function ([pointId]) {
+                                const text = `>>${pointId} agreed, see >>${secondId} and >>404`;
+
+                                createReplies(board, secondId, [text], function ([quotingId]) {
+                                    getThread(firstId, function (thread) {
+                                        assert.deepEqual(thread.replies[0].quoted_by, [{ thread_id: secondId, reply_id: quotingId }]);
+                                        assert.notProperty(thread.replies[0], 'quotes');
+
+                                        getThread(secondId, function (thread) {
+                                            const html = thread.replies[0].html;
+                                            assert.deepEqual(thread.quoted_by, [{ thread_id: secondId, reply_id: quotingId }]);
+                                            assert.include(html, `href="/b/${board}/${firstId}#reply-${pointId}"`);
+                                            assert.include(html, `href="/b/${board}/${secondId}"`);
+                                            assert.include(html, 'and &gt;&gt;404');
+
+                                            chai.request(server)
+                                                .delete(`/api/replies/${board}`)
+                                                .send({ thread_id: firstId, reply_id: pointId, delete_password: 'replyPassword' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 200);
+
+                                                    // The deleted reply stays as a tombstone, so quotes of it still link
+                                                    getThread(secondId, function (thread) {
+                                                        assert.include(thread.replies[0].html, `#reply-${pointId}`);
+
+                                                        chai.request(server)
+                                                            .delete(`/api/replies/${board}`)
+                                                            .send({ thread_id: secondId, reply_id: quotingId, delete_password: 'replyPassword' })
+                                                            .end(function (err, res) {
+                                                                assert.equal(res.status, 200);
+
+                                                                getThread(secondId, function (thread) {
+                                                                    assert.deepEqual(thread.quoted_by, []);
+                                                                    done();
+                                                                });
+                                                            });
+                                                    });
+                                                });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+
+            suite('Soft delete Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                test('Deleted replies leave a tombstone in their place', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        createReplies(board, threadId, ['Regrettable reply', 'Later reply'], function ([firstId, secondId]) {
+                            chai.request(server)
+                                .delete(`/api/replies/${board}`)
+                                .send({ thread_id: threadId, reply_id: firstId, delete_password: 'replyPassword' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.deepEqual(res.body, { message: 'Reply deleted successfully' });
+
+                                    chai.request(server)
+                                        .get(`/api/replies/${board}`)
+                                        .query({ thread_id: threadId })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.deepEqual(res.body.replies.map(r => r.reply_id), [firstId, secondId]);
+                                            assert.equal(res.body.replies[0].text, '[deleted]');
+                                            assert.property(res.body.replies[0], 'deleted_on');
+                                            assert.deepEqual(res.body.replies[0].attachments, []);
+                                            assert.equal(res.body.replies[1].text, 'Later reply');
+
+                                            chai.request(server)
+                                                .put(`/api/replies/${board}`)
+                                                .send({ thread_id: threadId, reply_id: firstId })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 410);
+                                                    assert.deepEqual(res.body, apiError('deleted', 'Reply is deleted'));
+
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Threads with replies become tombstones until moderators purge them', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread with replies', function (threadId) {
+                        createReplies(board, threadId, ['Reply'], function ([replyId]) {
+                            chai.request(server)
+                                .delete(`/api/threads/${board}`)
+                                .send({ thread_id: threadId, delete_password: 'threadPassword' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+
+                                    chai.request(server)
+                                        .get(`/api/replies/${board}`)
+                                        .query({ thread_id: threadId })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.equal(res.body.text, '[deleted]');
+                                            assert.equal(res.body.replies[0].text, 'Reply');
+
+                                            chai.request(server)
+                                                .delete(`/api/replies/${board}`)
+                                                .send({ thread_id: threadId, reply_id: replyId, delete_password: 'replyPassword' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 200);
+
+                                                    chai.request(server)
+                                                        .delete(`/api/admin/tombstones/${board}`)
+                                                        .set('X-Admin-Secret', adminSecret)
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 200);
+                                                            assert.deepEqual(res.body, { purged: 2 });
+
+                                                            chai.request(server)
+                                                                .get(`/api/replies/${board}`)
+                                                                .query({ thread_id: threadId })
+                                                                .end(function (err, res) {
+                                                                    assert.equal(res.status, 404);
+                                                                    done();
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+            });
+
+            suite('Content filter Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                // Saves a rule and passes the response to the callback
+                function createFilter(rule, callback) {
+                    chai.request(server)
+                        .post('/api/admin/filters')
+                        .set('X-Admin-Secret', adminSecret)
+                        .send(rule)
+                        .end(function (err, res) {
+                            callback(res);
+                        });
+                }
+
+                test('Reject and replace rules apply globally or per board', function (done) {
+                    createFilter({ pattern: 'spam', action: 'reject', reason: 'No spam please' }, function (res) {
+                        assert.equal(res.status, 201);
+                        assert.include(res.body, { board: null, kind: 'word', pattern: 'spam', action: 'reject' });
+
+                        createFilter({ board: 'boardA', pattern: 'dang', action: 'replace' }, function (res) {
+                            assert.equal(res.status, 201);
+
+                            chai.request(server)
+                                .post('/api/threads/boardB')
+                                .send({ text: 'Buy SPAM today', delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('filtered', 'No spam please', 'text'));
+
+                                    chai.request(server)
+                                        .post('/api/threads/boardA')
+                                        .send({ text: 'Dang it, a dangerous spammer', delete_password: 'pass' })
+                                        .end(function (err, res) {
+                                            // Whole words only: "dangerous" and "spammer" pass
+                                            assert.equal(res.status, 201);
+                                            assert.equal(res.body.text, '*** it, a dangerous spammer');
+
+                                            chai.request(server)
+                                                .post('/api/threads/boardB')
+                                                .send({ text: 'Dang it', delete_password: 'pass' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 201);
+                                                    assert.equal(res.body.text, 'Dang it');
+
+                                                    chai.request(server)
+                                                        .get('/api/admin/filters')
+                                                        .query({ board: 'boardB' })
+                                                        .set('X-Admin-Secret', adminSecret)
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 200);
+                                                            assert.deepEqual(res.body.map(rule => rule.pattern), ['spam']);
+                                                            done();
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Regexes that could backtrack catastrophically are refused', function (done) {
+                    createFilter({ kind: 'regex', pattern: '(a+)+$', action: 'reject' }, function (res) {
+                        assert.equal(res.status, 400);
+                        assert.match(res.body.error, /^Regex could backtrack catastrophically/);
+
+                        createFilter({ kind: 'regex', pattern: '(a|aa)*b', action: 'reject' }, function (res) {
+                            assert.equal(res.status, 400);
+
+                            createFilter({ kind: 'regex', pattern: '([a-z]+)', action: 'reject' }, function (res) {
+                                assert.equal(res.status, 201);
+
+                                createFilter({ kind: 'regex', pattern: 'free [', action: 'reject' }, function (res) {
+                                    assert.equal(res.status, 400);
+                                    assert.match(res.body.error, /^Invalid regex/);
+
+                                    createFilter({ board: 'noSuchBoard', pattern: 'x', action: 'reject' }, function (res) {
+                                        assert.equal(res.status, 404);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+
+                test('Overlapping repetitions are refused, and separated ones allowed', function (done) {
+                    const refused = ['.*.*.*.*=x', 'a*a*a*a*a*b', '\\s*\\s*\\s*\\s*\\s*\\s*!', 'a{1,100}a{1,100}a{1,100}a{1,100}b'];
+                    const allowed = ['\\d+-\\d+', 'https?://\\S+', 'x{1,3}x{1,3}y'];
+
+                    const check = (patterns, status, callback) => {
+                        if (!patterns.length) return callback();
+
+                        createFilter({ kind: 'regex', pattern: patterns[0], action: 'reject' }, function (res) {
+                            assert.equal(res.status, status, patterns[0]);
+                            if (status === 400) {
+                                assert.match(res.body.error, /^Regex could backtrack catastrophically: overlapping repetition/);
+                            }
+                            check(patterns.slice(1), status, callback);
+                        });
+                    };
+
+                    check(refused, 400, () => check(allowed, 201, done));
+                });
+
+                test('Deleted rules stop applying', function (done) {
+                    createFilter({ kind: 'regex', pattern: 'b[i1]tc[o0]in', action: 'reject' }, function (res) {
+                        const filterId = res.body.filter_id;
+
+                        chai.request(server)
+                            .post('/api/threads/testBoard')
+                            .send({ text: 'Free B1TC0IN', delete_password: 'pass' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.deepEqual(res.body, apiError('filtered', 'Post contains blocked content', 'text'));
+
+                                chai.request(server)
+                                    .delete(`/api/admin/filters/${filterId}`)
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+
+                                        chai.request(server)
+                                            .delete(`/api/admin/filters/${filterId}`)
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 404);
+
+                                                chai.request(server)
+                                                    .post('/api/threads/testBoard')
+                                                    .send({ text: 'Free B1TC0IN', delete_password: 'pass' })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 201);
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Held threads do not push live threads into the archive', function (done) {
+                    const board = 'testBoard';
+                    threadStorage.updateBoard(board, { max_threads: 2 });
+
+                    createFilter({ pattern: 'casino', action: 'hold' }, function () {
+                        createThread(board, 'Older', function (olderId) {
+                            createThread(board, 'Newer', function (newerId) {
+                                createThread(board, 'casino one', function () {
+                                    createThread(board, 'casino two', function (heldId) {
+                                        assert.deepEqual(threadStorage.listThreads(board).filter(t => t.archived_on), []);
+
+                                        // Releasing one makes room for it like any new thread
+                                        chai.request(server)
+                                            .post(`/api/admin/reports/${board}/dismiss`)
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .send({ thread_id: heldId })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+
+                                                chai.request(server)
+                                                    .get(`/api/threads/${board}`)
+                                                    .end(function (err, res) {
+                                                        assert.sameMembers(res.body.map(t => t.thread_id), [heldId, newerId]);
+                                                        assert.isOk(threadStorage.findThread(board, olderId).archived_on);
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+
+                test('Held replies stay out of backlinks until released', function (done) {
+                    const board = 'testBoard';
+                    const quotedBy = (threadId, callback) => {
+                        chai.request(server)
+                            .get(`/api/replies/${board}`)
+                            .query({ thread_id: threadId })
+                            .end(function (err, res) {
+                                callback(res.body.quoted_by);
+                            });
+                    };
+
+                    createFilter({ pattern: 'casino', action: 'hold' }, function () {
+                        createThread(board, 'Public thread', function (threadId) {
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .send({ thread_id: threadId, text: `>>${threadId} casino`, delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 202);
+                                    const replyId = res.body.reply_id;
+
+                                    quotedBy(threadId, function (sources) {
+                                        assert.deepEqual(sources, []);
+
+                                        chai.request(server)
+                                            .post(`/api/admin/reports/${board}/dismiss`)
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .send({ thread_id: threadId, reply_id: replyId })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+
+                                                quotedBy(threadId, function (sources) {
+                                                    assert.deepEqual(sources, [{ thread_id: threadId, reply_id: replyId }]);
+                                                    done();
+                                                });
+                                            });
+                                    });
+                                });
+                        });
+                    });
+                });
+
+                test('Held replies wait in the report queue until dismissed', function (done) {
+                    const board = 'testBoard';
+
+                    createFilter({ pattern: 'http', kind: 'regex', action: 'hold', reason: 'Links need review' }, function () {
+                        createThread(board, 'Thread', function (threadId) {
+                            chai.request(server)
+                                .post(`/api/replies/${board}`)
+                                .send({ thread_id: threadId, text: 'See http://example.com', delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 202);
+                                    assert.isTrue(res.body.held);
+                                    const replyId = res.body.reply_id;
+
+                                    chai.request(server)
+                                        .get(`/api/replies/${board}`)
+                                        .query({ thread_id: threadId })
+                                        .end(function (err, res) {
+                                            assert.equal(res.body.reply_count, 0);
+                                            assert.lengthOf(res.body.replies, 0);
+
+                                            chai.request(server)
+                                                .get('/api/admin/reports')
+                                                .set('X-Admin-Secret', adminSecret)
+                                                .end(function (err, res) {
+                                                    assert.lengthOf(res.body, 1);
+                                                    assert.equal(res.body[0].reply_id, replyId);
+                                                    assert.equal(res.body[0].reports[0].reason, 'Held by filter: Links need review');
+
+                                                    chai.request(server)
+                                                        .post(`/api/admin/reports/${board}/dismiss`)
+                                                        .set('X-Admin-Secret', adminSecret)
+                                                        .send({ thread_id: threadId, reply_id: replyId })
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 200);
+
+                                                            chai.request(server)
+                                                                .get(`/api/replies/${board}`)
+                                                                .query({ thread_id: threadId })
+                                                                .end(function (err, res) {
+                                                                    assert.deepEqual(res.body.replies.map(r => r.reply_id), [replyId]);
+                                                                    assert.isFalse(res.body.replies[0].held);
+                                                                    done();
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Dry runs report the posts a rule would catch', function (done) {
+                    createThread('boardA', 'Cheap pills here', function (threadId) {
+                        createReplies('boardA', threadId, ['No pills', 'Unrelated'], function ([pillsId]) {
+                            createThread('boardB', 'More pills', function () {
+                                chai.request(server)
+                                    .post('/api/admin/filters/dry-run')
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .send({ board: 'boardA', pattern: 'pills', action: 'replace', replacement: '[removed]' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+                                        assert.equal(res.body.total, 2);
+                                        assert.deepEqual(res.body.matches.map(m => m.filtered_text), ['Cheap [removed] here', 'No [removed]']);
+                                        assert.equal(res.body.matches[1].reply_id, pillsId);
+
+                                        chai.request(server)
+                                            .get('/api/admin/filters')
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .end(function (err, res) {
+                                                assert.deepEqual(res.body, [], 'A dry run saves nothing');
+                                                done();
+                                            });
+                                    });
+                            });
+                        });
+                    });
+                });
+            });
+
+            suite('Ban Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                test('Banned posters are turned away until the ban is lifted', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        createReplies(board, threadId, ['Abusive reply'], function ([replyId]) {
+                            chai.request(server)
+                                .get(`/api/replies/${board}`)
+                                .query({ thread_id: threadId })
+                                .end(function (err, res) {
+                                    assert.notProperty(res.body, 'ip_hash');
+                                    assert.notProperty(res.body.replies[0], 'ip_hash');
+
+                                    chai.request(server)
+                                        .post(`/api/admin/bans/${board}`)
+                                        .set('X-Admin-Secret', adminSecret)
+                                        .send({ thread_id: threadId, reply_id: replyId, duration: 3600, reason: 'Abuse' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 201);
+                                            assert.include(res.body, { board: null, thread_id: threadId, reply_id: replyId, reason: 'Abuse' });
+                                            assert.notProperty(res.body, 'ip_hash');
+                                            const banId = res.body.ban_id;
+                                            const expiresOn = res.body.expires_on;
+
+                                            chai.request(server)
+                                                .post('/api/threads/boardA')
+                                                .send({ text: 'Back again', delete_password: 'pass' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 403);
+                                                    assert.equal(res.body.error, `Banned until ${expiresOn}: Abuse`);
+                                                    assert.equal(res.body.reason, 'Abuse');
+                                                    assert.equal(res.body.expires_on, expiresOn);
+
+                                                    chai.request(server)
+                                                        .get('/api/admin/bans')
+                                                        .set('X-Admin-Secret', adminSecret)
+                                                        .end(function (err, res) {
+                                                            assert.deepEqual(res.body.map(ban => ban.ban_id), [banId]);
+                                                            assert.notProperty(res.body[0], 'ip_hash');
+
+                                                            chai.request(server)
+                                                                .delete(`/api/admin/bans/${banId}`)
+                                                                .set('X-Admin-Secret', adminSecret)
+                                                                .end(function (err, res) {
+                                                                    assert.equal(res.status, 200);
+
+                                                                    chai.request(server)
+                                                                        .post('/api/threads/boardA')
+                                                                        .send({ text: 'Behaving now', delete_password: 'pass' })
+                                                                        .end(function (err, res) {
+                                                                            assert.equal(res.status, 201);
+                                                                            done();
+                                                                        });
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Board bans stay on their board and expired bans are swept', function (done) {
+                    createThread('boardA', 'Off-topic thread', function (threadId) {
+                        chai.request(server)
+                            .post('/api/admin/bans/boardA')
+                            .set('X-Admin-Secret', adminSecret)
+                            .send({ thread_id: threadId, duration: 60, reason: 'Off-topic', scope: 'board' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 201);
+                                assert.equal(res.body.board, 'boardA');
+
+                                chai.request(server)
+                                    .post('/api/replies/boardA')
+                                    .send({ thread_id: threadId, text: 'Still here', delete_password: 'pass' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 403);
+
+                                        chai.request(server)
+                                            .post('/api/threads/boardB')
+                                            .send({ text: 'Elsewhere', delete_password: 'pass' })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 201);
+
+                                                assert.equal(sweepBans(Date.now()), 0);
+                                                assert.equal(sweepBans(Date.now() + 61 * 1000), 1);
+                                                assert.lengthOf(threadStorage.listBans(), 0);
+
+                                                chai.request(server)
+                                                    .post('/api/replies/boardA')
+                                                    .send({ thread_id: threadId, text: 'Back', delete_password: 'pass' })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 201);
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Ban requests need a duration and a reason', function (done) {
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        chai.request(server)
+                            .post('/api/admin/bans/testBoard')
+                            .set('X-Admin-Secret', adminSecret)
+                            .send({ thread_id: threadId, duration: 'forever', reason: 'Abuse' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.equal(res.body.field, 'duration');
+
+                                chai.request(server)
+                                    .post('/api/admin/bans/testBoard')
+                                    .set('X-Admin-Secret', adminSecret)
+                                    .send({ thread_id: threadId, duration: 60 })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 400);
+                                        assert.deepEqual(res.body, apiError('missing_field', 'Missing required field: reason', 'reason'));
+                                        done();
+                                    });
+                            });
+                    });
+                });
+            });
+
+            suite('Board export and import Tests', function () {
+                const adminSecret = 'moderator-secret';
+
+                setup(function () {
+                    process.env.ADMIN_SECRET = adminSecret;
+                });
+
+                teardown(function () {
+                    delete process.env.ADMIN_SECRET;
+                });
+
+                // Reads an NDJSON response into its records
+                function parseNdjson(res, callback) {
+                    let data = '';
+                    res.setEncoding('utf8');
+                    res.on('data', chunk => { data += chunk; });
+                    res.on('end', () => callback(null, data.split('\n').filter(Boolean).map(line => JSON.parse(line))));
+                }
+
+                test('Exports keep password hashes for moderators who ask', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Exported thread', function (threadId) {
+                        createReplies(board, threadId, ['Exported reply'], function ([replyId]) {
+                            chai.request(server)
+                                .get(`/api/boards/${board}/export`)
+                                .buffer(true)
+                                .parse(parseNdjson)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+                                    assert.deepEqual(res.body.map(record => record.type), ['board', 'thread', 'reply']);
+                                    assert.include(res.body[1], { thread_id: threadId, text: 'Exported thread' });
+                                    assert.include(res.body[2], { thread_id: threadId, reply_id: replyId, text: 'Exported reply' });
+                                    res.body.forEach(record => {
+                                        assert.notProperty(record, 'delete_password');
+                                        assert.notProperty(record, 'ip_hash');
+                                        assert.notProperty(record, 'reports');
+                                    });
+
+                                    chai.request(server)
+                                        .get(`/api/boards/${board}/export`)
+                                        .query({ passwords: true })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 401);
+
+                                            chai.request(server)
+                                                .get(`/api/boards/${board}/export`)
+                                                .query({ passwords: true })
+                                                .set('X-Admin-Secret', adminSecret)
+                                                .buffer(true)
+                                                .parse(parseNdjson)
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 200);
+                                                    assert.match(res.body[1].delete_password, /^\$2[aby]\$/);
+                                                    assert.notProperty(res.body[1], 'ip_hash');
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Posts made while an import hashes take no id it uses', function (done) {
+                    const board = 'boardA';
+                    const body = [
+                        JSON.stringify({ type: 'thread', thread_id: 1, text: 'Imported', created_on: new Date() }),
+                        JSON.stringify({ type: 'reply', thread_id: 1, reply_id: 1, text: 'Imported reply', created_on: new Date() })
+                    ].join('\n');
+
+                    const importing = importBoard(board, body);
+
+                    // Lands while the import waits on bcrypt, as a POST would
+                    const posted = threadStorage.createThread({ board, text: 'Posted meanwhile', created_on: new Date(), bumped_on: new Date() });
+
+                    importing.then(function (result) {
+                        assert.deepEqual(result.imported, { threads: 1, replies: 1 });
+                        assert.notEqual(result.remapped.threads[1], posted.thread_id);
+
+                        const ids = threadStorage.listThreads(board).map(thread => thread.thread_id);
+                        assert.sameMembers(ids, [posted.thread_id, result.remapped.threads[1]]);
+                        assert.equal(threadStorage.findThread(board, posted.thread_id).text, 'Posted meanwhile');
+                        done();
+                    }).catch(done);
+                });
+
+                test('Imported text and names follow the board\'s rules', function (done) {
+                    const body = [
+                        JSON.stringify({ type: 'board', max_text_length: 20 }),
+                        JSON.stringify({ type: 'thread', thread_id: 1, text: ' Clean\u0007 thread\u202E ', name: ' Anon\u0000 ', created_on: new Date() }),
+                        JSON.stringify({ type: 'thread', thread_id: 2, text: 'x'.repeat(21), created_on: new Date() }),
+                        JSON.stringify({ type: 'thread', thread_id: 3, text: '\u0007', created_on: new Date() }),
+                        JSON.stringify({ type: 'reply', thread_id: 1, reply_id: 1, text: 'Reply', name: 'n'.repeat(33), created_on: new Date() })
+                    ].join('\n');
+
+                    importBoard('strictBoard', body).then(function (result) {
+                        assert.deepEqual(result.imported, { threads: 1, replies: 0 });
+                        assert.deepEqual(result.errors, [
+                            { line: 3, error: 'text must be at most 20 characters' },
+                            { line: 4, error: 'text is required' },
+                            { line: 5, error: 'name must be at most 32 characters' }
+                        ]);
+
+                        const [thread] = threadStorage.listThreads('strictBoard');
+                        assert.equal(thread.text, 'Clean thread');
+                        assert.equal(thread.name, 'Anon');
+                        done();
+                    }).catch(done);
+                });
+
+                test('Imports remap taken ids and report bad lines', function (done) {
+                    // A thread elsewhere first, so the quoted reply's id is not also a thread's
+                    createThread('boardB', 'Filler', function () {
+                        createThread('testBoard', 'Original thread', function (threadId) {
+                            createReplies('testBoard', threadId, ['First', 'Second'], function ([firstId, secondId]) {
+                                chai.request(server)
+                                    .patch('/api/replies/testBoard')
+                                    .send({ thread_id: threadId, reply_id: secondId, text: `Agreed with >>${firstId}`, delete_password: 'replyPassword' })
+                                    .end(function () {
+                                        chai.request(server)
+                                            .get('/api/boards/testBoard/export')
+                                            .query({ passwords: true })
+                                            .set('X-Admin-Secret', adminSecret)
+                                            .buffer(true)
+                                            .parse(parseNdjson)
+                                            .end(function (err, res) {
+                                                const lines = res.body.map(record => JSON.stringify(record));
+                                                lines[0] = JSON.stringify({ ...res.body[0], title: 'Copied board' });
+                                                lines.splice(2, 0, '{not json', JSON.stringify({ type: 'reply', thread_id: 999, reply_id: 5, text: 'Orphan', created_on: new Date() }));
+
+                                                chai.request(server)
+                                                    .post('/api/boards/copiedBoard/import')
+                                                    .set('X-Admin-Secret', adminSecret)
+                                                    .set('Content-Type', 'application/x-ndjson')
+                                                    .send(lines.join('\n'))
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 200);
+                                                        assert.deepEqual(res.body.imported, { threads: 1, replies: 2 });
+                                                        assert.deepEqual(res.body.errors, [
+                                                            { line: 3, error: 'Invalid JSON' },
+                                                            { line: 4, error: 'Reply to unknown thread_id 999' }
+                                                        ]);
+
+                                                        // Every id was taken on this store, so all of them move
+                                                        const newThreadId = res.body.remapped.threads[threadId];
+                                                        const newFirstId = res.body.remapped.replies[firstId];
+                                                        assert.isAbove(newThreadId, threadId);
+                                                        assert.isAbove(newFirstId, secondId);
+
+                                                        chai.request(server)
+                                                            .get('/api/replies/copiedBoard')
+                                                            .query({ thread_id: newThreadId })
+                                                            .end(function (err, res) {
+                                                                assert.equal(res.status, 200);
+                                                                assert.equal(res.body.text, 'Original thread');
+                                                                assert.deepEqual(res.body.replies.map(r => r.text), ['First', `Agreed with >>${newFirstId}`]);
+                                                                assert.include(res.body.replies[1].html, `href="/b/copiedBoard/${newThreadId}#reply-${newFirstId}"`);
+
+                                                                chai.request(server)
+                                                                    .get('/api/boards/copiedBoard')
+                                                                    .end(function (err, res) {
+                                                                        assert.equal(res.body.title, 'Copied board');
+
+                                                                        // Password hashes came along, so posters can still delete
+                                                                        chai.request(server)
+                                                                            .delete('/api/threads/copiedBoard')
+                                                                            .send({ thread_id: newThreadId, delete_password: 'threadPassword' })
+                                                                            .end(function (err, res) {
+                                                                                assert.equal(res.status, 200);
+                                                                                done();
+                                                                            });
+                                                                    });
+                                                            });
+                                                    });
+                                            });
+                                    });
+                            });
+                        });
+                    });
+                });
+
+                test('Imports need a moderator and an NDJSON body', function (done) {
+                    chai.request(server)
+                        .post('/api/boards/testBoard/import')
+                        .set('Content-Type', 'application/x-ndjson')
+                        .send('{}')
+                        .end(function (err, res) {
+                            assert.equal(res.status, 401);
+
+                            chai.request(server)
+                                .post('/api/boards/testBoard/import')
+                                .set('X-Admin-Secret', adminSecret)
+                                .send({ type: 'thread' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_request', 'Send the records as application/x-ndjson'));
+                                    done();
+                                });
+                        });
+                });
+            });
+
+            suite('Input validation Tests', function () {
+                test('Form posts with string ids can reply, report and delete', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        chai.request(server)
+                            .post(`/api/replies/${board}`)
+                            .type('form')
+                            .send({ thread_id: String(threadId), text: 'Form reply', delete_password: 'pass' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 201);
+                                const replyId = res.body.reply_id;
+
+                                chai.request(server)
+                                    .put(`/api/replies/${board}`)
+                                    .type('form')
+                                    .send({ thread_id: String(threadId), reply_id: String(replyId) })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 200);
+
+                                        chai.request(server)
+                                            .delete(`/api/replies/${board}`)
+                                            .type('form')
+                                            .send({ thread_id: String(threadId), reply_id: String(replyId), delete_password: 'pass' })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 200);
+
+                                                chai.request(server)
+                                                    .delete(`/api/threads/${board}`)
+                                                    .type('form')
+                                                    .send({ thread_id: String(threadId), delete_password: 'threadPassword' })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 200);
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('JSON bodies may send ids as numbers or numeric strings', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        chai.request(server)
+                            .put(`/api/threads/${board}`)
+                            .send({ thread_id: String(threadId) })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 200);
+
+                                chai.request(server)
+                                    .put(`/api/threads/${board}`)
+                                    .send({ thread_id: 'first' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 400);
+                                        assert.deepEqual(res.body, apiError('invalid_field', 'thread_id must be a positive integer', 'thread_id'));
+
+                                        chai.request(server)
+                                            .put(`/api/threads/${board}`)
+                                            .send({ thread_id: threadId + 100 })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 404);
+                                                assert.deepEqual(res.body, apiError('not_found', 'Thread not found', 'thread_id'));
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Replies need a delete password in JSON and forms alike', function (done) {
+                    const board = 'testBoard';
+
+                    createThread(board, 'Thread', function (threadId) {
+                        chai.request(server)
+                            .post(`/api/replies/${board}`)
+                            .send({ thread_id: threadId, text: 'No password' })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.deepEqual(res.body, apiError('missing_field', 'Missing required field: delete_password', 'delete_password'));
+
+                                chai.request(server)
+                                    .post(`/api/replies/${board}`)
+                                    .type('form')
+                                    .send({ thread_id: String(threadId), text: 'No password', delete_password: '' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 400);
+                                        assert.equal(res.body.code, 'missing_field');
+                                        assert.equal(res.body.field, 'delete_password');
+
+                                        chai.request(server)
+                                            .post(`/api/replies/${board}`)
+                                            .send({ thread_id: threadId, text: 'Odd password', delete_password: 1234 })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 400);
+                                                assert.deepEqual(res.body, apiError('invalid_field', 'delete_password must be a string', 'delete_password'));
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Query strings are checked the same way', function (done) {
+                    chai.request(server)
+                        .get('/api/replies/testBoard')
+                        .query({ thread_id: 'abc' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'thread_id must be a positive integer', 'thread_id'));
+
+                            chai.request(server)
+                                .get('/api/threads/testBoard')
+                                .query({ replies_preview: -1 })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_field', 'replies_preview must be a non-negative integer', 'replies_preview'));
+                                    done();
+                                });
+                        });
+                });
+
+                test('Archive and search queries are checked the same way', function (done) {
+                    chai.request(server)
+                        .get('/api/archive/testBoard')
+                        .query({ limit: 0 })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 400);
+                            assert.deepEqual(res.body, apiError('invalid_field', 'limit must be a positive integer', 'limit'));
+
+                            chai.request(server)
+                                .get('/api/archive/testBoard')
+                                .query({ cursor: 'not-a-cursor' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.deepEqual(res.body, apiError('invalid_field', 'Invalid cursor', 'cursor'));
+
+                                    chai.request(server)
+                                        .get('/api/search')
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 400);
+                                            assert.deepEqual(res.body, apiError('missing_field', 'Missing required field: q', 'q'));
+                                            done();
+                                        });
+                                });
+                        });
+                });
+            });
+
+            suite('API v2 Tests', function () {
+                const threads = '/api/v2/boards/testBoard/threads';
+
+                test('Creating a thread answers with its location and links', function (done) {
+                    chai.request(server)
+                        .post(threads)
+                        .send({ text: 'Version two', delete_password: 'pass' })
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            const threadId = res.body.thread_id;
+                            const self = `${threads}/${threadId}`;
+                            assert.equal(res.header.location, self);
+                            assert.deepEqual(res.body.links, {
+                                self,
+                                board: threads,
+                                replies: `${self}/replies`,
+                                reports: `${self}/reports`,
+                                page: `/b/testBoard/${threadId}`
+                            });
+                            assert.notProperty(res.body, 'delete_password');
+
+                            chai.request(server)
+                                .get(self)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.equal(res.body.text, 'Version two');
+                                    assert.equal(res.body.reply_count, 0);
+
+                                    // v1 reads the same storage
+                                    chai.request(server)
+                                        .get('/api/threads/testBoard')
+                                        .end(function (err, res) {
+                                            assert.deepEqual(res.body.map(thread => thread.thread_id), [threadId]);
+
+                                            chai.request(server)
+                                                .get(threads)
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 200);
+                                                    assert.equal(res.body.threads[0].links.self, self);
+                                                    assert.isNull(res.body.next_cursor);
+                                                    assert.isNull(res.body.links.next);
+                                                    done();
+                                                });
+                                        });
+                                });
+                        });
+                });
+
+                test('Replies live under their thread and page with next links', function (done) {
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        createReplies('testBoard', threadId, ['First'], function () {
+                            chai.request(server)
+                                .post(`${threads}/${threadId}/replies`)
+                                .type('form')
+                                .send({ text: 'Second', delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 201);
+                                    const replyId = res.body.reply_id;
+                                    assert.equal(res.header.location, `${threads}/${threadId}/replies/${replyId}`);
+                                    assert.equal(res.body.links.thread, `${threads}/${threadId}`);
+
+                                    chai.request(server)
+                                        .get(`${threads}/${threadId}/replies`)
+                                        .query({ limit: 1 })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.equal(res.body.reply_count, 2);
+                                            assert.deepEqual(res.body.replies.map(reply => reply.text), ['First']);
+                                            assert.isString(res.body.links.next);
+
+                                            chai.request(server)
+                                                .get(res.body.links.next)
+                                                .end(function (err, res) {
+                                                    assert.deepEqual(res.body.replies.map(reply => reply.text), ['Second']);
+                                                    assert.isNull(res.body.links.next);
+
+                                                    chai.request(server)
+                                                        .get(`${threads}/${threadId}/replies/${replyId}`)
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 200);
+                                                            assert.equal(res.body.text, 'Second');
+                                                            done();
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Posts are edited, reported and deleted by path', function (done) {
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        createReplies('testBoard', threadId, ['Reply'], function ([replyId]) {
+                            const reply = `${threads}/${threadId}/replies/${replyId}`;
+
+                            chai.request(server)
+                                .patch(reply)
+                                .send({ text: 'Edited', delete_password: 'replyPassword' })
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.equal(res.body.text, 'Edited');
+                                    assert.equal(res.body.links.self, reply);
+
+                                    chai.request(server)
+                                        .post(`${reply}/reports`)
+                                        .send({ reason: 'spam' })
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 202);
+                                            assert.isTrue(threadStorage.findReply('testBoard', threadId, replyId).reported);
+
+                                            chai.request(server)
+                                                .delete(reply)
+                                                .send({ delete_password: 'replyPassword' })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 204);
+
+                                                    // v1 sees the same tombstone
+                                                    chai.request(server)
+                                                        .delete('/api/replies/testBoard')
+                                                        .send({ thread_id: threadId, reply_id: replyId, delete_password: 'replyPassword' })
+                                                        .end(function (err, res) {
+                                                            assert.equal(res.status, 410);
+
+                                                            chai.request(server)
+                                                                .delete(`${threads}/${threadId}`)
+                                                                .send({ delete_password: 'threadPassword' })
+                                                                .end(function (err, res) {
+                                                                    assert.equal(res.status, 204);
+                                                                    done();
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Path ids are validated and errors use the envelope', function (done) {
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        chai.request(server)
+                            .get(`${threads}/first`)
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.deepEqual(res.body, apiError('invalid_field', 'thread_id must be a positive integer', 'thread_id'));
+
+                                chai.request(server)
+                                    .get(`${threads}/${threadId}/replies/${threadId + 100}`)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 404);
+                                        assert.deepEqual(res.body, apiError('not_found', 'Reply not found', 'reply_id'));
+
+                                        chai.request(server)
+                                            .delete(`${threads}/${threadId}`)
+                                            .send({ delete_password: 'wrong' })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 403);
+                                                assert.deepEqual(res.body, apiError('incorrect_password', 'Incorrect delete password', 'delete_password'));
+
+                                                chai.request(server)
+                                                    .get('/api/v2/boards/nowhere/threads')
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 404);
+                                                        assert.deepEqual(res.body, apiError('not_found', 'Board not found', 'board'));
+                                                        done();
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+            });
+
+            suite('OpenAPI contract Tests', function () {
+                let doc;
+
+                setup(function (done) {
+                    chai.request(server)
+                        .get('/api/openapi.json')
+                        .end(function (err, res) {
+                            doc = res.body;
+                            done();
+                        });
+                });
+
+                test('Every thread and reply route is documented', function () {
+                    assert.match(doc.openapi, /^3\./);
+
+                    const routes = server._router.stack
+                        .filter(layer => layer.route && /^\/api\/(threads|replies|v2|challenges)\//.test(layer.route.path))
+                        .flatMap(layer => Object.keys(layer.route.methods)
+                            .filter(method => method !== '_all')
+                            .map(method => `${method} ${toOpenApiPath(layer.route.path)}`));
+                    const documented = Object.keys(doc.paths)
+                        .flatMap(path => Object.keys(doc.paths[path]).map(method => `${method} ${path}`));
+
+                    assert.isAbove(routes.length, 0);
+                    assert.sameMembers(documented, routes);
+                });
+
+                test('Request schemas follow the routes\' validation', function () {
+                    const operation = doc.paths['/api/v2/boards/{board}/threads/{thread_id}/replies'].post;
+
+                    assert.deepInclude(operation.parameters, {
+                        name: 'thread_id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 }
+                    });
+                    assert.sameMembers(operation.requestBody.content['application/json'].schema.required, ['text', 'delete_password']);
+                    assert.property(operation.requestBody.content, 'multipart/form-data');
+
+                    const limit = doc.paths['/api/threads/{board}'].get.parameters.find(param => param.name === 'limit');
+                    assert.include(limit.schema, { type: 'integer', minimum: 1, maximum: 50, default: 10 });
+                });
+
+                test('The docs page loads only scripts the CSP allows', function (done) {
+                    // helmet only sends the policy to browsers it recognises
+                    chai.request(server)
+                        .get('/api/docs')
+                        .set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36')
+                        .end(function (err, res) {
+                            assert.equal(res.status, 200);
+                            assert.include(res.header['content-security-policy'], "script-src 'self'");
+                            assert.include(res.text, '<script src="/public/docs.js"></script>');
+                            assert.notMatch(res.text, /<script>|<script(?![^>]*\ssrc="\/)|\sstyle=/);
+
+                            chai.request(server)
+                                .get('/public/docs.js')
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.match(res.header['content-type'], /javascript/);
+                                    done();
+                                });
+                        });
+                });
+
+                test('Undocumented response fields break the contract', function () {
+                    const reply = {
+                        reply_id: 1, text: 'Hi', html: 'Hi', name: 'Anonymous', tripcode: null,
+                        attachments: [], created_on: new Date().toISOString(), quoted_by: []
+                    };
+                    const schema = { $ref: '#/components/schemas/Reply' };
+
+                    assert.deepEqual(schemaErrors(doc, schema, reply), []);
+                    assert.deepEqual(schemaErrors(doc, schema, { ...reply, ip_hash: 'abc' }), ['body.ip_hash is not documented']);
+                    assert.deepEqual(schemaErrors(doc, schema, { ...reply, reply_id: '1' }), ['body.reply_id is not integer']);
+                });
+
+                test('v1 thread responses match the document', function (done) {
+                    const path = '/api/threads/{board}';
+
+                    chai.request(server)
+                        .post('/api/threads/testBoard')
+                        .send({ text: 'Documented', delete_password: 'pass' })
+                        .end(function (err, res) {
+                            assertContract(doc, 'post', path, res);
+                            const threadId = res.body.thread_id;
+
+                            createReplies('testBoard', threadId, ['Reply'], function () {
+                                chai.request(server)
+                                    .get('/api/threads/testBoard')
+                                    .end(function (err, res) {
+                                        assertContract(doc, 'get', path, res);
+
+                                        chai.request(server)
+                                            .patch('/api/threads/testBoard')
+                                            .send({ thread_id: threadId, text: 'Edited', delete_password: 'pass' })
+                                            .end(function (err, res) {
+                                                assertContract(doc, 'patch', path, res);
+
+                                                chai.request(server)
+                                                    .put('/api/threads/testBoard')
+                                                    .send({ thread_id: threadId })
+                                                    .end(function (err, res) {
+                                                        assertContract(doc, 'put', path, res);
+
+                                                        chai.request(server)
+                                                            .delete('/api/threads/testBoard')
+                                                            .send({ thread_id: threadId, delete_password: 'wrong' })
+                                                            .end(function (err, res) {
+                                                                assert.equal(res.status, 403);
+                                                                assertContract(doc, 'delete', path, res);
+                                                                done();
+                                                            });
+                                                    });
+                                            });
+                                    });
+                            });
+                        });
+                });
+
+                test('v1 reply responses match the document', function (done) {
+                    const path = '/api/replies/{board}';
+
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        chai.request(server)
+                            .post('/api/replies/testBoard')
+                            .send({ thread_id: threadId, text: 'Documented >>' + threadId, delete_password: 'pass' })
+                            .end(function (err, res) {
+                                assertContract(doc, 'post', path, res);
+                                const replyId = res.body.reply_id;
+
+                                chai.request(server)
+                                    .get('/api/replies/testBoard')
+                                    .query({ thread_id: threadId })
+                                    .end(function (err, res) {
+                                        assertContract(doc, 'get', path, res);
+
+                                        chai.request(server)
+                                            .patch('/api/replies/testBoard')
+                                            .send({ thread_id: threadId, reply_id: replyId, text: 'Edited', delete_password: 'pass' })
+                                            .end(function (err, res) {
+                                                assertContract(doc, 'patch', path, res);
+
+                                                chai.request(server)
+                                                    .put('/api/replies/testBoard')
+                                                    .send({ thread_id: threadId, reply_id: 'x' })
+                                                    .end(function (err, res) {
+                                                        assert.equal(res.status, 400);
+                                                        assertContract(doc, 'put', path, res);
+
+                                                        chai.request(server)
+                                                            .delete('/api/replies/testBoard')
+                                                            .send({ thread_id: threadId, reply_id: replyId, delete_password: 'pass' })
+                                                            .end(function (err, res) {
+                                                                assertContract(doc, 'delete', path, res);
+                                                                done();
+                                                            });
+                                                    });
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('v2 responses match the document', function (done) {
+                    const threads = '/api/v2/boards/{board}/threads';
+
+                    chai.request(server)
+                        .post('/api/v2/boards/testBoard/threads')
+                        .send({ text: 'Documented', delete_password: 'pass' })
+                        .end(function (err, res) {
+                            assertContract(doc, 'post', threads, res);
+                            const thread = res.body.links.self;
+
+                            chai.request(server)
+                                .post(`${thread}/replies`)
+                                .send({ text: 'Reply', delete_password: 'pass' })
+                                .end(function (err, res) {
+                                    assertContract(doc, 'post', `${threads}/{thread_id}/replies`, res);
+                                    const reply = res.body.links.self;
+
+                                    chai.request(server)
+                                        .get('/api/v2/boards/testBoard/threads')
+                                        .end(function (err, res) {
+                                            assertContract(doc, 'get', threads, res);
+
+                                            chai.request(server)
+                                                .get(thread)
+                                                .end(function (err, res) {
+                                                    assertContract(doc, 'get', `${threads}/{thread_id}`, res);
+
+                                                    chai.request(server)
+                                                        .get(`${thread}/replies`)
+                                                        .end(function (err, res) {
+                                                            assertContract(doc, 'get', `${threads}/{thread_id}/replies`, res);
+
+                                                            chai.request(server)
+                                                                .post(`${reply}/reports`)
+                                                                .send({ reason: 'spam' })
+                                                                .end(function (err, res) {
+                                                                    assertContract(doc, 'post', `${threads}/{thread_id}/replies/{reply_id}/reports`, res);
+
+                                                                    chai.request(server)
+                                                                        .delete(reply)
+                                                                        .send({ delete_password: 'pass' })
+                                                                        .end(function (err, res) {
+                                                                            assertContract(doc, 'delete', `${threads}/{thread_id}/replies/{reply_id}`, res);
+
+                                                                            chai.request(server)
+                                                                                .get(reply)
+                                                                                .end(function (err, res) {
+                                                                                    assertContract(doc, 'get', `${threads}/{thread_id}/replies/{reply_id}`, res);
+                                                                                    assert.isDefined(res.body.deleted_on);
+                                                                                    done();
+                                                                                });
+                                                                        });
+                                                                });
+                                                        });
+                                                });
+                                        });
+                                });
+                        });
+                });
+            });
+
+            suite('Metrics and logging Tests', function () {
+                const token = 'scrape-token';
+                let logLevel;
+                let write;
+                let logged;
+
+                setup(function () {
+                    logLevel = process.env.LOG_LEVEL;
+                    write = logOutput.write;
+                    logged = [];
+                    logOutput.write = line => logged.push(JSON.parse(line));
+                    process.env.METRICS_TOKEN = token;
+                });
+
+                teardown(function () {
+                    process.env.LOG_LEVEL = logLevel;
+                    logOutput.write = write;
+                    delete process.env.METRICS_TOKEN;
+                });
+
+                test('/metrics needs the configured token', function (done) {
+                    chai.request(server)
+                        .get('/metrics')
+                        .set('Authorization', 'Bearer wrong')
+                        .end(function (err, res) {
+                            assert.equal(res.status, 401);
+                            assert.deepEqual(res.body, apiError('unauthorized', 'Metrics token required'));
+
+                            delete process.env.METRICS_TOKEN;
+
+                            chai.request(server)
+                                .get('/metrics')
+                                .set('Authorization', `Bearer ${token}`)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 503);
+                                    done();
+                                });
+                        });
+                });
+
+                test('Metrics count requests by route, time bcrypt and gauge boards', function (done) {
+                    createThread('testBoard', 'Thread', function (threadId) {
+                        createReplies('testBoard', threadId, ['Reply'], function () {
+                            chai.request(server)
+                                .get(`/api/v2/boards/testBoard/threads/${threadId}`)
+                                .end(function () {
+                                    chai.request(server)
+                                        .get('/metrics')
+                                        .set('Authorization', `Bearer ${token}`)
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.match(res.header['content-type'], /^text\/plain/);
+                                            assert.match(res.text, /^# TYPE http_requests_total counter$/m);
+                                            assert.match(res.text, /^http_requests_total\{method="POST",route="\/api\/threads\/:board",status="201"\} [1-9]\d*$/m);
+                                            assert.match(res.text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/v2\/boards\/:board\/threads\/:thread_id",status="200",le="\+Inf"\} [1-9]\d*$/m);
+                                            assert.match(res.text, /^bcrypt_duration_seconds_count\{operation="hash"\} [1-9]\d*$/m);
+                                            assert.match(res.text, /^board_threads\{board="testBoard"\} 1$/m);
+                                            assert.match(res.text, /^board_replies\{board="testBoard"\} 1$/m);
+                                            assert.match(res.text, /^board_threads\{board="boardA"\} 0$/m);
+                                            done();
+                                        });
+                                });
+                        });
+                    });
+                });
+
+                test('Requests keep their X-Request-Id and are logged as JSON lines', function (done) {
+                    process.env.LOG_LEVEL = 'info';
+
+                    chai.request(server)
+                        .get('/api/threads/testBoard')
+                        .set('X-Request-Id', 'trace-123')
+                        .end(function (err, res) {
+                            assert.equal(res.header['x-request-id'], 'trace-123');
+
+                            const line = logged.find(entry => entry.request_id === 'trace-123');
+                            assert.include(line, {
+                                level: 'info',
+                                method: 'GET',
+                                path: '/api/threads/testBoard',
+                                route: '/api/threads/:board',
+                                status: 200
+                            });
+                            assert.isNumber(line.duration_ms);
+
+                            chai.request(server)
+                                .get('/api/threads/testBoard')
+                                .set('X-Request-Id', 'not an id')
+                                .end(function (err, res) {
+                                    assert.match(res.header['x-request-id'], /^[0-9a-f-]{36}$/);
+                                    done();
+                                });
+                        });
+                });
+
+                test('Errors are logged with the request id', function (done) {
+                    const listThreads = threadStorage.listThreads;
+                    threadStorage.listThreads = () => { throw new Error('Disk on fire'); };
+
+                    chai.request(server)
+                        .get('/api/threads/testBoard')
+                        .set('X-Request-Id', 'trace-500')
+                        .end(function (err, res) {
+                            threadStorage.listThreads = listThreads;
+                            assert.equal(res.status, 500);
+                            assert.deepEqual(res.body, apiError('internal_error', 'Internal server error'));
+
+                            const line = logged.find(entry => entry.level === 'error');
+                            assert.include(line, { message: 'Error retrieving threads', request_id: 'trace-500' });
+                            assert.equal(line.error.message, 'Disk on fire');
+
+                            // Bodies that do not parse get the envelope too
+                            chai.request(server)
+                                .post('/api/threads/testBoard')
+                                .set('Content-Type', 'application/json')
+                                .send('{"text":')
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 400);
+                                    assert.equal(res.body.code, 'invalid_request');
+                                    done();
+                                });
+                        });
+                });
+
+                test('Report failures are logged by their route', function (done) {
+                    const findThread = threadStorage.findThread;
+                    threadStorage.findThread = () => { throw new Error('Disk on fire'); };
+
+                    chai.request(server)
+                        .put('/api/threads/testBoard')
+                        .send({ thread_id: 1 })
+                        .end(function (err, res) {
+                            threadStorage.findThread = findThread;
+                            assert.equal(res.status, 500);
+                            assert.deepEqual(res.body, apiError('internal_error', 'Internal server error'));
+                            assert.equal(logged.find(entry => entry.level === 'error').message, 'Error reporting thread');
+                            done();
+                        });
+                });
+            });
+
+            suite('Proof-of-work Tests', function () {
+                const board = 'boardB';
+                const post = { text: 'Proven thread', delete_password: 'pass' };
+                let spikeThreshold;
+
+                setup(function () {
+                    spikeThreshold = process.env.POW_SPIKE_THRESHOLD;
+                    threadStorage.updateBoard(board, { pow_difficulty: 8 });
+                });
+
+                teardown(function () {
+                    if (spikeThreshold === undefined) {
+                        delete process.env.POW_SPIKE_THRESHOLD;
+                    } else {
+                        process.env.POW_SPIKE_THRESHOLD = spikeThreshold;
+                    }
+                });
+
+                // Gets a challenge for the board and passes it with a solution
+                function challenge(board, callback) {
+                    chai.request(server)
+                        .post(`/api/challenges/${board}`)
+                        .end(function (err, res) {
+                            assert.equal(res.status, 201);
+                            callback(res.body, solveChallenge(res.body));
+                        });
+                }
+
+                test('Posts need a solved challenge, which can be used once', function (done) {
+                    chai.request(server)
+                        .post(`/api/threads/${board}`)
+                        .send(post)
+                        .end(function (err, res) {
+                            assert.equal(res.status, 403);
+                            assert.deepEqual(res.body, apiError('challenge_required',
+                                `Posting needs a solved challenge from /api/challenges/${board}`, 'pow_token'));
+
+                            challenge(board, function (body, solution) {
+                                assert.equal(body.algorithm, 'sha256');
+                                assert.equal(body.difficulty, 8);
+                                assert.isAbove(Date.parse(body.expires_on), Date.now());
+
+                                const proven = { ...post, pow_token: body.token, pow_solution: solution };
+
+                                chai.request(server)
+                                    .post(`/api/threads/${board}`)
+                                    .send(proven)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 201);
+                                        assert.notProperty(res.body, 'pow_token');
+
+                                        chai.request(server)
+                                            .post(`/api/threads/${board}`)
+                                            .send(proven)
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 403);
+                                                assert.deepEqual(res.body, apiError('challenge_used',
+                                                    'Challenge has already been used', 'pow_token'));
+                                                done();
+                                            });
+                                    });
+                            });
+                        });
+                });
+
+                test('A post refused after its challenge is checked can use it again', function (done) {
+                    challenge(board, function (body, solution) {
+                        const proof = { pow_token: body.token, pow_solution: solution };
+
+                        chai.request(server)
+                            .post(`/api/threads/${board}`)
+                            .send({ ...post, ...proof, text: 'x'.repeat(2001) })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 400);
+                                assert.equal(res.body.field, 'text');
+
+                                chai.request(server)
+                                    .post(`/api/threads/${board}`)
+                                    .send({ ...post, ...proof })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 201);
+
+                                        chai.request(server)
+                                            .post(`/api/threads/${board}`)
+                                            .send({ ...post, ...proof })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 403);
+                                                assert.equal(res.body.code, 'challenge_used');
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Wrong solutions and tokens are refused', function (done) {
+                    challenge(board, function (body, solution) {
+                        let failed = 'x';
+                        while (solvesChallenge(body, failed)) failed += 'x';
+                        const [payload, signature] = body.token.split('.');
+                        const forged = Buffer.from(JSON.stringify({
+                            ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+                            difficulty: 0
+                        })).toString('base64url');
+
+                        chai.request(server)
+                            .post(`/api/threads/${board}`)
+                            .send({ ...post, pow_token: body.token, pow_solution: failed })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 403);
+                                assert.equal(res.body.code, 'challenge_failed');
+                                assert.equal(res.body.field, 'pow_solution');
+
+                                chai.request(server)
+                                    .post(`/api/threads/${board}`)
+                                    .send({ ...post, pow_token: `${forged}.${signature}`, pow_solution: '0' })
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 403);
+                                        assert.equal(res.body.code, 'challenge_invalid');
+
+                                        // Solutions only count on the board they were issued for
+                                        threadStorage.updateBoard('boardA', { pow_difficulty: 8 });
+
+                                        chai.request(server)
+                                            .post('/api/threads/boardA')
+                                            .send({ ...post, pow_token: body.token, pow_solution: solution })
+                                            .end(function (err, res) {
+                                                assert.equal(res.status, 403);
+                                                assert.equal(res.body.code, 'challenge_invalid');
+                                                done();
+                                            });
+                                    });
+                            });
+                    });
+                });
+
+                test('Replies and v2 posts need solved challenges too', function (done) {
+                    threadStorage.updateBoard(board, { pow_difficulty: 0 });
+
+                    createThread(board, 'Open thread', function (threadId) {
+                        threadStorage.updateBoard(board, { pow_difficulty: 8 });
+
+                        chai.request(server)
+                            .post(`/api/replies/${board}`)
+                            .send({ ...post, thread_id: threadId })
+                            .end(function (err, res) {
+                                assert.equal(res.status, 403);
+                                assert.equal(res.body.code, 'challenge_required');
+
+                                chai.request(server)
+                                    .post(`/api/v2/boards/${board}/threads/${threadId}/replies`)
+                                    .send(post)
+                                    .end(function (err, res) {
+                                        assert.equal(res.status, 403);
+                                        assert.equal(res.body.code, 'challenge_required');
+
+                                        challenge(board, function (body, solution) {
+                                            chai.request(server)
+                                                .post(`/api/v2/boards/${board}/threads/${threadId}/replies`)
+                                                .send({ ...post, pow_token: body.token, pow_solution: solution })
+                                                .end(function (err, res) {
+                                                    assert.equal(res.status, 201);
+                                                    done();
+                                                });
+                                        });
+                                    });
+                            });
+                    });
+                });
+
+                test('Difficulty rises while posting spikes', function (done) {
+                    process.env.POW_SPIKE_THRESHOLD = '3';
+                    threadStorage.updateBoard(board, { pow_difficulty: 0 });
+
+                    chai.request(server)
+                        .post(`/api/challenges/${board}`)
+                        .end(function (err, res) {
+                            assert.equal(res.body.difficulty, 0);
+
+                            createThread(board, 'First', function (threadId) {
+                                createReplies(board, threadId, ['Second', 'Third'], function () {
+                                    chai.request(server)
+                                        .post(`/api/threads/${board}`)
+                                        .send(post)
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 403);
+                                            assert.equal(res.body.code, 'challenge_required');
+
+                                            chai.request(server)
+                                                .post(`/api/challenges/${board}`)
+                                                .end(function (err, res) {
+                                                    assert.equal(res.body.difficulty, 4);
+                                                    done();
+                                                });
+                                        });
+                                });
+                            });
+                        });
+                });
+
+                test('Board and thread pages load only scripts the CSP allows', function (done) {
+                    // helmet only sends the policy to browsers it recognises
+                    const browser = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+                    chai.request(server)
+                        .get(`/b/${board}/`)
+                        .set('User-Agent', browser)
+                        .end(function (err, res) {
+                            assert.equal(res.status, 200);
+                            assert.include(res.header['content-security-policy'], "script-src 'self' https://code.jquery.com");
+                            assert.include(res.text, '<script src="/public/board.js"></script>');
+                            assert.notMatch(res.text, /<script>/);
+
+                            chai.request(server)
+                                .get(`/b/${board}/1`)
+                                .set('User-Agent', browser)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.include(res.text, '<script src="/public/thread.js"></script>');
+                                    assert.notMatch(res.text, /<script>|console\.log/);
+
+                                    chai.request(server)
+                                        .get('/public/thread.js')
+                                        .buffer(true)
+                                        .end(function (err, res) {
+                                            assert.equal(res.status, 200);
+                                            assert.include(res.text, 'submitWithProofOfWork(this, currentURL[0])');
+                                            done();
+                                        });
+                                });
+                        });
+                });
+            });
+        });
+    });
+
+    suite('File storage persistence Tests', function () {
+        let storageDir;
+
+        setup(function () {
+            storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messageboard-'));
+        });
+
+        teardown(function () {
+            threadStorage.close();
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        });
+
+        test('Threads and replies survive reopening the store', function (done) {
+            const board = 'testBoard';
+            const env = { STORAGE_BACKEND: 'file', STORAGE_DIR: storageDir, STORAGE_COMPACT_THRESHOLD: '2' };
+            threadStorage.use(createStorage(env));
+            createBoard({ name: board });
+
+            chai.request(server)
+                .post(`/api/threads/${board}`)
+                .send({ text: 'Durable thread', delete_password: 'pass' })
+                .end(function (err, res) {
+                    const threadId = res.body.thread_id;
+
+                    chai.request(server)
+                        .post(`/api/replies/${board}`)
+                        .send({ thread_id: threadId, text: 'Durable reply', delete_password: 'pass' })
+                        .end(function () {
+                            // Simulate a restart by opening a fresh adapter on the same directory
+                            threadStorage.close();
+                            threadStorage.use(createStorage(env));
+
+                            chai.request(server)
+                                .get(`/api/threads/${board}`)
+                                .end(function (err, res) {
+                                    assert.equal(res.status, 200);
+                                    assert.lengthOf(res.body, 1, 'Thread should be restored');
+                                    assert.equal(res.body[0].text, 'Durable thread');
+                                    assert.lengthOf(res.body[0].replies, 1, 'Reply should be restored');
+                                    assert.equal(res.body[0].replies[0].text, 'Durable reply');
+                                    assert.isString(res.body[0].bumped_on);
+                                    assert.deepEqual(threadStorage.counters(), { nextThreadId: 2, nextReplyId: 2, nextFilterId: 1, nextBanId: 1 });
+
+                                    done();
+                                });
+                        });
+                });
+        });
+
+        test('A torn journal line is logged as JSON and skipped', function () {
+            const env = { STORAGE_BACKEND: 'file', STORAGE_DIR: storageDir };
+            threadStorage.use(createStorage(env));
+            createBoard({ name: 'testBoard' });
+            threadStorage.close();
+
+            // A crash mid-write leaves half a line at the end of the journal
+            fs.appendFileSync(path.join(storageDir, 'journal.ndjson'), '{"seq": 99, "type": "boa');
+
+            const write = logOutput.write;
+            const logged = [];
+            logOutput.write = line => logged.push(JSON.parse(line));
+
+            try {
+                threadStorage.use(createStorage(env));
+            } finally {
+                logOutput.write = write;
+            }
+
+            assert.lengthOf(logged, 1);
+            assert.include(logged[0], { level: 'error', message: 'Ignoring unreadable journal entry' });
+            assert.equal(logged[0].error.name, 'SyntaxError');
+            assert.isOk(threadStorage.findBoard('testBoard'));
+        });
+    });
+
+    suite('Markup rendering Tests', function () {
+        test('Escapes HTML before adding markup', function () {
+            assert.equal(renderMarkup('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+            assert.equal(renderMarkup('"quotes" & \'apostrophes\''), '&quot;quotes&quot; &amp; &#39;apostrophes&#39;');
+        });
+
+        test('Renders line breaks, greentext, code and spoilers', function () {
+            assert.equal(renderMarkup('one\ntwo'), 'one<br>two');
+            assert.equal(renderMarkup('>be me'), '<span class="quote">&gt;be me</span>');
+            assert.equal(renderMarkup('run `rm -rf <dir>` now'), 'run <code>rm -rf &lt;dir&gt;</code> now');
+            assert.equal(renderMarkup('it was [spoiler]the butler[/spoiler]'), 'it was <span class="spoiler">the butler</span>');
+            assert.equal(renderMarkup('`[spoiler]x[/spoiler]`'), '<code>[spoiler]x[/spoiler]</code>');
+        });
+
+        test('Links URLs with rel=nofollow', function () {
+            assert.equal(
+                renderMarkup('see https://example.com/a?b=1&c=2.'),
+                'see <a href="https://example.com/a?b=1&amp;c=2" rel="nofollow noopener noreferrer">https://example.com/a?b=1&amp;c=2</a>.'
+            );
+            assert.equal(renderMarkup('javascript:alert(1)'), 'javascript:alert(1)');
+            assert.notInclude(renderMarkup('https://x.com/"onmouseover="alert(1)'), '"onmouseover');
+        });
+
+        test('Links only the quotes it has targets for', function () {
+            const links = { 7: '/b/general/3#reply-7' };
+            assert.equal(
+                renderMarkup('>>7 and >>8', links),
+                '<a class="quotelink" href="/b/general/3#reply-7">&gt;&gt;7</a> and &gt;&gt;8'
+            );
+            assert.equal(renderMarkup('>>>/general/ `>>7`', links), '&gt;&gt;&gt;/general/ <code>&gt;&gt;7</code>');
         });
     });
-});
\ No newline at end of file
+});